@@ -1,10 +1,17 @@
 import React from "react";
 import { ThemeProvider } from "./theme/ThemeProvider";
+import { AuthProvider } from "./auth/AuthProvider";
+import { BookmarksProvider } from "./bookmarks/BookmarksProvider";
+import { SyllabusProgressProvider } from "./progress/SyllabusProgressProvider";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import Navbar from "./components/Navbar";
+import CommandPalette from "./components/CommandPalette";
+import SyncNotice from "./components/SyncNotice";
 import Home from "./pages/Home";
 import Syllabus from "./pages/Syllabus";
+import SyllabusDetail from "./pages/SyllabusDetail";
 import Notes from "./pages/Notes";
+import NoteViewer from "./pages/NoteViewer";
 import PYQs from "./pages/PYQs";
 import Feedback from "./pages/Feedback";
 import About from "./pages/About";
@@ -18,35 +25,53 @@ import MindMapEditor from "./pages/MindMapEditor";
 import Profile from "./pages/Profile.js";
 import SubmitFeedback from "./pages/SubmitFeedback";
 import Todo from "./pages/Todo";
+import Login from "./pages/Login";
+import Admin from "./pages/Admin";
+import Search from "./pages/Search";
+import Collection from "./pages/Collection";
 
 
 const App = () => {
   return (
     <ThemeProvider>
-      <Router>
-        <Navbar />
-        <div style={{ padding: "2rem" }}>
-          <ScrollToTop />
-          <Routes>
-          <Route path="/" element={<Home />} />
-          <Route path="/tasks" element={<Todo />} />
-          <Route path="/syllabus" element={<Syllabus />} />
-          <Route path="/notes" element={<Notes />} />
-          <Route path="/pyqs" element={<PYQs />} />
-          <Route path="/analytics" element={<Analytics />} />
-          <Route path="/faq" element={<Faq />} />
-          <Route path="/feedback" element={<Feedback />} />
-          <Route path="/about" element={<About />} />
-          <Route path="/privacy" element={<Privacy />} />
-          <Route path="/privacy" element={<Privacy />} />
-          <Route path="/contribute" element={<Contribute />} />
-          <Route path="/mindmap" element={<MindMapEditor />} />
-          <Route path="/contact" element={<Contact />} />
-          <Route path="/profile" element={<Profile />} />
-          <Route path="/feedback/submit" element={<SubmitFeedback />} />
-          </Routes>
-        </div>
-      </Router>
+      <AuthProvider>
+        <BookmarksProvider>
+        <SyllabusProgressProvider>
+        <Router>
+          <Navbar />
+          <CommandPalette />
+          <SyncNotice />
+          <div style={{ padding: "2rem" }}>
+            <ScrollToTop />
+            <Routes>
+            <Route path="/" element={<Home />} />
+            <Route path="/tasks" element={<Todo />} />
+            <Route path="/syllabus" element={<Syllabus />} />
+            <Route path="/syllabus/:id" element={<SyllabusDetail />} />
+            <Route path="/notes" element={<Notes />} />
+            <Route path="/notes/:id" element={<NoteViewer />} />
+            <Route path="/pyqs" element={<PYQs />} />
+            <Route path="/analytics" element={<Analytics />} />
+            <Route path="/faq" element={<Faq />} />
+            <Route path="/feedback" element={<Feedback />} />
+            <Route path="/about" element={<About />} />
+            <Route path="/privacy" element={<Privacy />} />
+            <Route path="/privacy" element={<Privacy />} />
+            <Route path="/contribute" element={<Contribute />} />
+            <Route path="/mindmap" element={<MindMapEditor />} />
+            <Route path="/contact" element={<Contact />} />
+            <Route path="/profile" element={<Profile />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/admin" element={<Admin />} />
+            <Route path="/search" element={<Search />} />
+            <Route path="/collections/:id" element={<Collection />} />
+            <Route path="/feedback/submit" element={<SubmitFeedback />} />
+            </Routes>
+          </div>
+        </Router>
+        </SyllabusProgressProvider>
+        </BookmarksProvider>
+      </AuthProvider>
     </ThemeProvider>
   );
 };
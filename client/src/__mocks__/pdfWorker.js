@@ -0,0 +1 @@
+// Tests never render a PDF, so the pdf.js worker is left unset
@@ -0,0 +1,117 @@
+import axios from "axios";
+
+// Base URL of the Express server; override with REACT_APP_API_URL in client/.env
+export const API_BASE_URL = process.env.REACT_APP_API_URL || "http://localhost:5000";
+
+// Where the signed-in user's session token is kept between visits
+export const TOKEN_KEY = "smp_auth_token";
+
+// Anonymous per-browser id, so a guest's repeat downloads of a file count once
+const FINGERPRINT_KEY = "smp_client_id";
+
+// crypto.randomUUID only exists on HTTPS and localhost, so plain-HTTP hosts build the v4 UUID themselves
+const randomUuid = () => {
+  if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+  const bytes = new Uint8Array(16);
+  if (window.crypto && window.crypto.getRandomValues) window.crypto.getRandomValues(bytes);
+  else bytes.forEach((_, index) => { bytes[index] = Math.floor(Math.random() * 256); });
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const getClientFingerprint = () => {
+  let id = window.localStorage.getItem(FINGERPRINT_KEY);
+  if (!id) {
+    id = randomUuid();
+    window.localStorage.setItem(FINGERPRINT_KEY, id);
+  }
+  return id;
+};
+
+const api = axios.create({ baseURL: `${API_BASE_URL}/api` });
+
+api.interceptors.request.use((config) => {
+  const token = window.localStorage.getItem(TOKEN_KEY);
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+export default api;
+
+// Files stored by the server come back as "/api/..." paths; everything else is served by the client
+export const resolveFileUrl = (link) => (link && link.startsWith("/api/") ? `${API_BASE_URL}${link}` : link);
+
+// Counted download of a note, syllabus or paper. Safe to build while rendering: the guest
+// fingerprint is only added once a download is actually clicked.
+export const getDownloadUrl = (id) => `${API_BASE_URL}/api/files/${id}/download`;
+
+const withClientFingerprint = (url) => {
+  const tagged = new URL(url);
+  tagged.searchParams.set("client", getClientFingerprint());
+  return tagged.toString();
+};
+
+// onClick for <a href={getDownloadUrl(id)}>: tags the link just before the browser follows it
+export const addClientFingerprint = (event) => {
+  event.currentTarget.href = withClientFingerprint(event.currentTarget.href);
+};
+
+// Opens a counted download in a new tab, for buttons rather than links
+export const openDownload = (id) => {
+  window.open(withClientFingerprint(getDownloadUrl(id)), "_blank", "noopener,noreferrer");
+};
+
+// Pulls a readable message out of an API error response
+export const getErrorMessage = (error) => {
+  const data = error.response && error.response.data;
+  if (data && data.errors && data.errors.length) return data.errors[0].msg;
+  if (data && data.message) return data.message;
+  return "Something went wrong. Please try again.";
+};
+
+// Error bodies of blob requests arrive as blobs too; parse them back so getErrorMessage can read them
+const readBlobError = async (error) => {
+  if (error.response && error.response.data instanceof Blob) {
+    try {
+      error.response.data = JSON.parse(await error.response.data.text());
+    } catch {
+      // Not JSON; getErrorMessage falls back to its generic message
+    }
+  }
+  return error;
+};
+
+// Opens a file the API only shows to its owner or moderators (e.g. an upload still in review) in a new tab.
+// The tab is opened before the request so popup blockers still count it as a click.
+export const openFromApi = async (path) => {
+  const tab = window.open("", "_blank");
+  try {
+    const { data } = await api.get(path, { responseType: "blob" });
+    const url = URL.createObjectURL(data);
+    if (tab) tab.location.href = url;
+    else window.location.href = url;
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (error) {
+    if (tab) tab.close();
+    throw await readBlobError(error);
+  }
+};
+
+// Fetches a file through the API (so the session token is sent) and hands it to the browser as `fileName`
+export const downloadFromApi = async (path, params, fileName) => {
+  try {
+    const { data } = await api.get(path, { params, responseType: "blob" });
+    const url = URL.createObjectURL(data);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = fileName;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    throw await readBlobError(error);
+  }
+};
@@ -0,0 +1,65 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import api, { TOKEN_KEY } from "../api";
+
+const AuthContext = createContext({
+  user: null,
+  loading: false,
+  login: async () => {},
+  register: async () => {},
+  logout: async () => {},
+  hasRole: () => false,
+});
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(() => !!window.localStorage.getItem(TOKEN_KEY));
+
+  // Restore the session from a stored token; drop the token if the server no longer accepts it
+  useEffect(() => {
+    if (!window.localStorage.getItem(TOKEN_KEY)) return;
+    api
+      .get("/auth/me")
+      .then(({ data }) => setUser(data))
+      .catch(() => window.localStorage.removeItem(TOKEN_KEY))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const startSession = useCallback(({ token, user: signedIn }) => {
+    window.localStorage.setItem(TOKEN_KEY, token);
+    setUser(signedIn);
+    return signedIn;
+  }, []);
+
+  const login = useCallback(
+    (email, password) => api.post("/auth/login", { email, password }).then(({ data }) => startSession(data)),
+    [startSession]
+  );
+
+  const register = useCallback(
+    (name, email, password) => api.post("/auth/register", { name, email, password }).then(({ data }) => startSession(data)),
+    [startSession]
+  );
+
+  const logout = useCallback(async () => {
+    try {
+      await api.post("/auth/logout");
+    } catch (error) {
+      console.error("Error signing out", error);
+    } finally {
+      window.localStorage.removeItem(TOKEN_KEY);
+      setUser(null);
+    }
+  }, []);
+
+  // True when the signed-in user has one of the given roles, e.g. hasRole("moderator", "admin")
+  const hasRole = useCallback((...roles) => !!user && roles.includes(user.role), [user]);
+
+  const value = useMemo(
+    () => ({ user, loading, login, register, logout, hasRole }),
+    [user, loading, login, register, logout, hasRole]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => useContext(AuthContext);
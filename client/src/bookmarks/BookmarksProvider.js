@@ -0,0 +1,181 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import api, { getErrorMessage } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+
+// Guests keep bookmarks in this browser; they move to the account on the next sign-in,
+// and stay here until a merge succeeds
+const GUEST_KEY = "smp_bookmarks_v1";
+
+// The merge endpoint's limits, checked here so one bad entry cannot get the whole merge refused
+const BOOKMARK_KINDS = ["note", "syllabus", "pyq", "feedback"];
+const MAX_MERGED_BOOKMARKS = 200;
+
+const BookmarksContext = createContext({
+  bookmarks: [],
+  isBookmarked: () => false,
+  toggleBookmark: async () => {},
+  syncError: "",
+  clearSyncError: () => {},
+  retrySync: () => {},
+  discardGuestData: null,
+});
+
+const keyOf = (kind, itemId) => `${kind}:${itemId}`;
+
+const loadGuestBookmarks = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(GUEST_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveGuestBookmarks = (bookmarks) => {
+  window.localStorage.setItem(GUEST_KEY, JSON.stringify(bookmarks));
+};
+
+const clip = (value, max) => (typeof value === "string" ? value.trim().slice(0, max) : "");
+
+// The guest entries the merge endpoint accepts, newest first; malformed ones are dropped and long text trimmed
+const toMergeableBookmarks = (bookmarks) => bookmarks
+  .filter((bookmark) => bookmark
+    && BOOKMARK_KINDS.includes(bookmark.kind)
+    && /^.{1,64}$/.test(String(bookmark.itemId ?? "").trim())
+    && clip(bookmark.title, 200))
+  .map((bookmark) => {
+    const link = clip(bookmark.link, 500);
+    return {
+      kind: bookmark.kind,
+      itemId: String(bookmark.itemId).trim(),
+      title: clip(bookmark.title, 200),
+      subtitle: clip(bookmark.subtitle, 200) || undefined,
+      link: /^(\/|https?:\/\/)/.test(link) ? link : undefined,
+    };
+  })
+  .slice(0, MAX_MERGED_BOOKMARKS);
+
+export const BookmarksProvider = ({ children }) => {
+  const { user, loading } = useAuth();
+  const [bookmarks, setBookmarks] = useState([]);
+  const [syncError, setSyncError] = useState("");
+  const [hasUnmergedGuestData, setHasUnmergedGuestData] = useState(false);
+  const [syncAttempt, setSyncAttempt] = useState(0);
+
+  // Guests read from localStorage; signed-in users merge anything saved as a guest, then use the server copy.
+  // A failed merge still loads the account's bookmarks and says so; the guest copy is kept for another try.
+  useEffect(() => {
+    if (loading) return undefined;
+    if (!user) {
+      setBookmarks(loadGuestBookmarks());
+      return undefined;
+    }
+
+    let cancelled = false;
+    const sync = async () => {
+      const guestBookmarks = loadGuestBookmarks();
+      const mergeable = toMergeableBookmarks(guestBookmarks);
+      // Nothing in the guest copy is a bookmark the server could store
+      if (guestBookmarks.length > 0 && mergeable.length === 0) window.localStorage.removeItem(GUEST_KEY);
+
+      if (mergeable.length > 0) {
+        try {
+          const { data } = await api.post("/bookmarks/merge", { bookmarks: mergeable });
+          window.localStorage.removeItem(GUEST_KEY);
+          if (!cancelled) setHasUnmergedGuestData(false);
+          return data;
+        } catch (error) {
+          if (!cancelled) {
+            setHasUnmergedGuestData(true);
+            setSyncError(`Bookmarks saved before you signed in could not be added (${getErrorMessage(error)}). They are still kept in this browser.`);
+          }
+        }
+      }
+      const { data } = await api.get("/bookmarks");
+      return data;
+    };
+
+    sync()
+      .then((data) => {
+        if (!cancelled) setBookmarks(data);
+      })
+      .catch((error) => {
+        console.error("Error loading bookmarks", error);
+        if (!cancelled) setSyncError(`We could not load your bookmarks: ${getErrorMessage(error)}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, loading, syncAttempt]);
+
+  const clearSyncError = useCallback(() => setSyncError(""), []);
+
+  const retrySync = useCallback(() => {
+    setSyncError("");
+    setSyncAttempt((attempt) => attempt + 1);
+  }, []);
+
+  const discardGuestBookmarks = useCallback(() => {
+    window.localStorage.removeItem(GUEST_KEY);
+    setHasUnmergedGuestData(false);
+    setSyncError("");
+  }, []);
+
+  const bookmarkedKeys = useMemo(
+    () => new Set(bookmarks.map((bookmark) => keyOf(bookmark.kind, bookmark.itemId))),
+    [bookmarks]
+  );
+
+  const isBookmarked = useCallback(
+    (kind, itemId) => bookmarkedKeys.has(keyOf(kind, String(itemId))),
+    [bookmarkedKeys]
+  );
+
+  // `item` is { kind, itemId, title, subtitle?, link? }; the list updates right away and rolls back if the server refuses
+  const toggleBookmark = useCallback(
+    async (item) => {
+      const entry = { ...item, itemId: String(item.itemId) };
+      const removing = bookmarkedKeys.has(keyOf(entry.kind, entry.itemId));
+      const previous = bookmarks;
+      const next = removing
+        ? bookmarks.filter((bookmark) => keyOf(bookmark.kind, bookmark.itemId) !== keyOf(entry.kind, entry.itemId))
+        : [{ ...entry, createdAt: new Date().toISOString() }, ...bookmarks];
+      setBookmarks(next);
+
+      if (!user) {
+        saveGuestBookmarks(next);
+        return;
+      }
+      try {
+        if (removing) {
+          await api.delete(`/bookmarks/${entry.kind}/${encodeURIComponent(entry.itemId)}`);
+        } else {
+          await api.post("/bookmarks", entry);
+        }
+      } catch (error) {
+        setBookmarks(previous);
+        throw error;
+      }
+    },
+    [user, bookmarks, bookmarkedKeys]
+  );
+
+  const value = useMemo(
+    () => ({
+      bookmarks,
+      isBookmarked,
+      toggleBookmark,
+      syncError,
+      clearSyncError,
+      retrySync,
+      // Only offered while a guest copy is waiting to be merged
+      discardGuestData: hasUnmergedGuestData ? discardGuestBookmarks : null,
+    }),
+    [bookmarks, isBookmarked, toggleBookmark, syncError, clearSyncError, retrySync, hasUnmergedGuestData, discardGuestBookmarks]
+  );
+
+  return <BookmarksContext.Provider value={value}>{children}</BookmarksContext.Provider>;
+};
+
+export const useBookmarks = () => useContext(BookmarksContext);
@@ -0,0 +1,245 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import api, { downloadFromApi, getErrorMessage } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+import PdfViewer from "./PdfViewer";
+import "./AnnotatedPdfViewer.css";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const TYPE_LABELS = { highlight: "Highlight", underline: "Underline", sticky: "Note" };
+
+// Reading order: by page, then oldest first, the same order the API and the export use
+const byReadingOrder = (a, b) => a.page - b.page || new Date(a.createdAt) - new Date(b.createdAt);
+
+// One entry in the annotations sidebar; its comment is edited in place
+const AnnotationItem = ({ annotation, isSelected, isOnPage, onJump, onSave, onDelete }) => {
+  const itemRef = useRef(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [comment, setComment] = useState(annotation.comment);
+
+  useEffect(() => {
+    if (isSelected) itemRef.current.scrollIntoView({ block: "nearest" });
+  }, [isSelected]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSave(annotation, comment)) setIsEditing(false);
+  };
+
+  const cancelEdit = () => {
+    setComment(annotation.comment);
+    setIsEditing(false);
+  };
+
+  return (
+    <li ref={itemRef} className={`annotation-item mark-${annotation.color} ${isSelected ? "selected" : ""} ${isOnPage ? "on-page" : ""}`}>
+      <button type="button" className="annotation-jump" onClick={() => onJump(annotation)} title={`Go to page ${annotation.page}`}>
+        <span className="annotation-type">{TYPE_LABELS[annotation.type]} · page {annotation.page}</span>
+        {annotation.text && <q>{annotation.text}</q>}
+      </button>
+
+      {isEditing ? (
+        <form onSubmit={handleSubmit}>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            maxLength={MAX_COMMENT_LENGTH}
+            rows="3"
+            placeholder="Your comment"
+            aria-label="Comment"
+          />
+          <div className="annotation-actions">
+            <button type="submit">Save</button>
+            <button type="button" onClick={cancelEdit}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <>
+          {annotation.comment && <p className="annotation-comment">{annotation.comment}</p>}
+          <div className="annotation-actions">
+            <button type="button" onClick={() => setIsEditing(true)}>{annotation.comment ? "Edit" : "Add comment"}</button>
+            <button type="button" className="danger" onClick={() => onDelete(annotation)}>Delete</button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+};
+
+// PdfViewer for a note with the signed-in reader's highlights, underlines and sticky notes, which are
+// kept on the server per user and note. Guests get the same viewer with a prompt to sign in.
+const AnnotatedPdfViewer = ({ noteId, url, title, initialPage, onPageChange, actions }) => {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  const [annotations, setAnnotations] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [message, setMessage] = useState("");
+  const [isExporting, setIsExporting] = useState(false);
+  // A sticky note that has been placed but not written yet
+  const [draft, setDraft] = useState(null);
+  const [draftText, setDraftText] = useState("");
+
+  useEffect(() => {
+    setAnnotations([]);
+    setSelectedId(null);
+    setDraft(null);
+    if (!user) return undefined;
+
+    const controller = new AbortController();
+    api.get("/annotations", { params: { note: noteId }, signal: controller.signal })
+      .then(({ data }) => setAnnotations(data))
+      .catch((error) => {
+        if (!controller.signal.aborted) setMessage(getErrorMessage(error));
+      });
+
+    return () => controller.abort();
+  }, [noteId, user]);
+
+  const create = async (fields) => {
+    try {
+      const { data } = await api.post("/annotations", { note: noteId, ...fields });
+      setAnnotations((prev) => [...prev, data].sort(byReadingOrder));
+      setSelectedId(data._id);
+      setMessage("");
+      return true;
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+      return false;
+    }
+  };
+
+  const handleAnnotate = (fields) => {
+    if (fields.type === "sticky") {
+      setDraft(fields);
+      setDraftText("");
+    } else {
+      create(fields);
+    }
+  };
+
+  const handleDraftSubmit = async (e) => {
+    e.preventDefault();
+    if (await create({ ...draft, comment: draftText })) setDraft(null);
+  };
+
+  const handleCommentSave = async (annotation, comment) => {
+    try {
+      const { data } = await api.patch(`/annotations/${annotation._id}`, { comment });
+      setAnnotations((prev) => prev.map((item) => (item._id === data._id ? data : item)));
+      setMessage("");
+      return true;
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+      return false;
+    }
+  };
+
+  const handleDelete = async (annotation) => {
+    if (!window.confirm("Delete this annotation?")) return;
+    try {
+      await api.delete(`/annotations/${annotation._id}`);
+      setAnnotations((prev) => prev.filter((item) => item._id !== annotation._id));
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await downloadFromApi("/annotations/export", { note: noteId }, `${title || "Note"} - annotations.md`);
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderSidebar = ({ page, goToPage }) => {
+    if (!user) {
+      return (
+        <div className="annotations-panel">
+          <h3>Annotations</h3>
+          <p className="annotations-muted">
+            <Link to="/login" state={{ from: location.pathname }}>Sign in</Link> to highlight, underline and pin notes
+            to this document. They are saved to your account.
+          </p>
+        </div>
+      );
+    }
+
+    const jumpTo = (annotation) => {
+      setSelectedId(annotation._id);
+      goToPage(annotation.page);
+    };
+
+    return (
+      <div className="annotations-panel">
+        <header className="annotations-header">
+          <h3>Annotations {annotations.length > 0 && <span>({annotations.length})</span>}</h3>
+          <button type="button" onClick={handleExport} disabled={!annotations.length || isExporting} title="Download as Markdown">
+            {isExporting ? "Exporting..." : "⬇ Markdown"}
+          </button>
+        </header>
+
+        {message && <p className="annotations-message" role="alert">{message}</p>}
+
+        {draft && (
+          <form className="annotations-draft" onSubmit={handleDraftSubmit}>
+            <label htmlFor="annotation-draft">New note on page {draft.page}</label>
+            <textarea
+              id="annotation-draft"
+              value={draftText}
+              onChange={(e) => setDraftText(e.target.value)}
+              maxLength={MAX_COMMENT_LENGTH}
+              rows="3"
+              placeholder="Write your note"
+            />
+            <div className="annotation-actions">
+              <button type="submit" disabled={!draftText.trim()}>Save note</button>
+              <button type="button" onClick={() => setDraft(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {annotations.length === 0 && !draft && (
+          <p className="annotations-muted">Select text and choose Highlight or Underline, or pin a Note anywhere on a page.</p>
+        )}
+
+        <ul className="annotations-list">
+          {annotations.map((annotation) => (
+            <AnnotationItem
+              key={annotation._id}
+              annotation={annotation}
+              isSelected={annotation._id === selectedId}
+              isOnPage={annotation.page === page}
+              onJump={jumpTo}
+              onSave={handleCommentSave}
+              onDelete={handleDelete}
+            />
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  return (
+    <PdfViewer
+      url={url}
+      docId={`note:${noteId}`}
+      title={title}
+      initialPage={initialPage}
+      onPageChange={onPageChange}
+      actions={actions}
+      annotations={annotations}
+      onAnnotate={user ? handleAnnotate : undefined}
+      onAnnotationClick={(annotation) => setSelectedId(annotation._id)}
+      selectedAnnotationId={selectedId}
+      renderSidebar={renderSidebar}
+    />
+  );
+};
+
+export default AnnotatedPdfViewer;
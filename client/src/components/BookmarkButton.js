@@ -0,0 +1,32 @@
+import React from "react";
+import { FaBookmark, FaRegBookmark } from "react-icons/fa";
+import { getErrorMessage } from "../api";
+import { useBookmarks } from "../bookmarks/BookmarksProvider";
+import "./BookmarkButton.css";
+
+// Save/unsave toggle for catalog cards; `item` is { kind, itemId, title, subtitle?, link? }
+const BookmarkButton = ({ item, className = "" }) => {
+  const { isBookmarked, toggleBookmark } = useBookmarks();
+  const saved = isBookmarked(item.kind, item.itemId);
+
+  const handleClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    toggleBookmark(item).catch((error) => window.alert(getErrorMessage(error)));
+  };
+
+  return (
+    <button
+      type="button"
+      className={`bookmark-btn ${saved ? "saved" : ""} ${className}`.trim()}
+      onClick={handleClick}
+      aria-pressed={saved}
+      aria-label={saved ? `Remove ${item.title} from bookmarks` : `Bookmark ${item.title}`}
+      title={saved ? "Remove bookmark" : "Bookmark"}
+    >
+      {saved ? <FaBookmark /> : <FaRegBookmark />}
+    </button>
+  );
+};
+
+export default BookmarkButton;
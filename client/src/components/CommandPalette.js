@@ -0,0 +1,250 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { resolveFileUrl } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+import { useTheme } from "../theme/ThemeProvider";
+import { addTasks, loadTasks } from "../taskStore";
+import { getRecentItems } from "../recentItems";
+import "./CommandPalette.css";
+
+const ROUTES = [
+  { label: "Home", path: "/" },
+  { label: "About Us", path: "/about" },
+  { label: "Syllabus", path: "/syllabus" },
+  { label: "Notes", path: "/notes" },
+  { label: "PYQs", path: "/pyqs", keywords: "previous year question papers" },
+  { label: "Analytics", path: "/analytics", keywords: "topics heatmap" },
+  { label: "Tasks", path: "/tasks", keywords: "todo calendar" },
+  { label: "Mind Map", path: "/mindmap" },
+  { label: "Feedback", path: "/feedback", keywords: "exam experiences" },
+  { label: "Search", path: "/search" },
+  { label: "FAQs", path: "/faq" },
+  { label: "Contribute", path: "/contribute" },
+  { label: "Contact", path: "/contact" },
+  { label: "Privacy", path: "/privacy" },
+];
+
+const MIND_MAP_TEMPLATES = [
+  { id: "exam", label: "Exam Prep" },
+  { id: "research", label: "Research" },
+  { id: "planner", label: "Planner" },
+];
+
+const MAX_RESULTS = 12;
+const UPCOMING_TASKS = 5;
+
+// Subsequence match: every query character must appear in order. Consecutive runs and
+// word starts score higher, and shorter texts win ties. Returns null when there is no match.
+const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let streak = 0;
+  let from = 0;
+  for (const char of needle) {
+    const found = haystack.indexOf(char, from);
+    if (found === -1) return null;
+    streak = found === from ? streak + 1 : 0;
+    const wordStart = found === 0 || /[\s\-:/(]/.test(haystack[found - 1]);
+    score += 1 + streak * 2 + (wordStart ? 3 : 0);
+    from = found + 1;
+  }
+  return score - haystack.length / 100;
+};
+
+// 09:00 tomorrow, the same default time the Todo calendar uses
+const tomorrowMorning = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date.toISOString();
+};
+
+const CommandPalette = () => {
+  const navigate = useNavigate();
+  const { user, hasRole } = useAuth();
+  const { theme, toggleTheme } = useTheme();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Re-read from localStorage on every open so the lists are never stale
+  const [recentItems, setRecentItems] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setIsOpen((open) => !open);
+      } else if (e.key === "Escape") {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery("");
+    setActiveIndex(0);
+    setRecentItems(getRecentItems());
+    setTasks(loadTasks().filter((task) => !task.completed));
+    inputRef.current?.focus();
+  }, [isOpen]);
+
+  const commands = useMemo(() => {
+    const go = (path) => () => navigate(path);
+    const pages = [
+      ...ROUTES,
+      { label: "Share Exam Feedback", path: "/feedback/submit", keywords: "submit" },
+      user ? { label: "Profile", path: "/profile" } : { label: "Sign in", path: "/login", keywords: "login register" },
+      ...(hasRole("moderator", "admin") ? [{ label: "Admin Dashboard", path: "/admin" }] : []),
+    ].map((route) => ({ id: `page:${route.path}`, group: "Page", label: route.label, keywords: route.keywords, run: go(route.path) }));
+
+    const recent = recentItems.map((item) => ({
+      id: `recent:${item.type}:${item.id}`,
+      group: item.type === "note" ? "Recent note" : "Recent syllabus",
+      label: item.title,
+      run: item.link
+        ? () => window.open(resolveFileUrl(item.link), "_blank", "noopener,noreferrer")
+        : go(item.type === "note" ? "/notes" : "/syllabus"),
+    }));
+
+    const taskItems = [...tasks]
+      .sort((a, b) => new Date(a.deadline) - new Date(b.deadline))
+      .map((task, index) => ({
+        id: `task:${task.id}`,
+        group: "Task",
+        label: task.title,
+        hint: `Due ${new Date(task.deadline).toLocaleString()}`,
+        // Only the next few deadlines are listed up front; the rest show up when searched
+        listed: index < UPCOMING_TASKS,
+        run: go("/tasks"),
+      }));
+
+    const actions = [
+      { id: "action:theme", label: `Switch to ${theme === "dark" ? "light" : "dark"} mode`, keywords: "theme", run: toggleTheme },
+      ...MIND_MAP_TEMPLATES.map((template) => ({
+        id: `action:mindmap:${template.id}`,
+        label: `Open mind map template: ${template.label}`,
+        run: go(`/mindmap?template=${template.id}`),
+      })),
+    ].map((action) => ({ ...action, group: "Action" }));
+
+    return [...recent, ...taskItems, ...actions, ...pages];
+  }, [navigate, user, hasRole, theme, toggleTheme, recentItems, tasks]);
+
+  const results = useMemo(() => {
+    const text = query.trim();
+    if (!text) return commands.filter((command) => command.listed !== false);
+
+    const matches = commands
+      .map((command) => ({ command, score: fuzzyScore(text, `${command.label} ${command.keywords || ""}`) }))
+      .filter((match) => match.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map((match) => match.command);
+
+    // Free-text actions take whatever was typed as their argument
+    return [
+      ...matches,
+      {
+        id: "action:add-task",
+        group: "Action",
+        label: `Add task due tomorrow: “${text}”`,
+        run: () => {
+          addTasks([{ title: text, deadline: tomorrowMorning() }]);
+          navigate("/tasks");
+        },
+      },
+      {
+        id: "action:search",
+        group: "Action",
+        label: `Search notes, PYQs and feedback for “${text}”`,
+        run: () => navigate(`/search?q=${encodeURIComponent(text)}`),
+      },
+    ];
+  }, [commands, query, navigate]);
+
+  useEffect(() => {
+    const active = listRef.current && listRef.current.querySelector('[aria-selected="true"]');
+    if (active) active.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  if (!isOpen) return null;
+
+  const close = () => setIsOpen(false);
+
+  const runCommand = (command) => {
+    close();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % results.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((index) => (index - 1 + results.length) % results.length);
+    } else if (e.key === "Enter" && results[activeIndex]) {
+      e.preventDefault();
+      runCommand(results[activeIndex]);
+    }
+  };
+
+  return (
+    <div className="command-palette-overlay" onClick={close}>
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <input
+          ref={inputRef}
+          className="command-palette-input"
+          type="text"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-list"
+          aria-activedescendant={results[activeIndex] ? `command-${activeIndex}` : undefined}
+          placeholder="Jump to a page, note or task, or type a new task..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+        />
+        <ul id="command-palette-list" className="command-palette-list" role="listbox" ref={listRef}>
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`command-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`command-palette-item ${index === activeIndex ? "active" : ""}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => runCommand(command)}
+            >
+              <span className="command-palette-label">{command.label}</span>
+              {command.hint && <span className="command-palette-hint">{command.hint}</span>}
+              <span className="command-palette-group">{command.group}</span>
+            </li>
+          ))}
+        </ul>
+        <p className="command-palette-footer">
+          ↑↓ to move · Enter to open · Esc to close · type anything to add it as a task
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -1,13 +1,16 @@
 // client/src/components/FeedbackModal.js
 import React, { useState, useEffect } from "react";
+import api, { getErrorMessage } from "../api";
 import './FeedbackModal.css'; // This line connects the component to the CSS above
 
 const FeedbackModal = ({ onClose, onSuccess }) => {
   const [formData, setFormData] = useState({
     studentName: '',
     university: '',
-    examName: '',
-    difficulty: 'Medium',
+    subject: '',
+    difficulty: 'moderate',
+    rating: '',
+    importantTopics: '',
     feedback: '',
     tips: '',
   });
@@ -39,17 +42,9 @@ const FeedbackModal = ({ onClose, onSuccess }) => {
     setStatusMessage('Submitting...');
 
     try {
-      const response = await fetch('http://localhost:5000/api/feedback', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(formData),
-      });
-
-      if (!response.ok) {
-        throw new Error('Something went wrong');
-      }
-
-      setStatusMessage('Thank you! Your feedback has been submitted.');
+      // Sent through the shared client so signed-in users are credited
+      const { data } = await api.post('/feedback', formData);
+      setStatusMessage(data.message);
       if (onSuccess) {
         onSuccess();
       }
@@ -57,7 +52,7 @@ const FeedbackModal = ({ onClose, onSuccess }) => {
         onClose();
       }, 2000);
     } catch (error) {
-      setStatusMessage(`Error: ${error.message}`);
+      setStatusMessage(`Error: ${getErrorMessage(error)}`);
       setIsSubmitting(false);
     }
   };
@@ -77,21 +72,33 @@ const FeedbackModal = ({ onClose, onSuccess }) => {
             <input type="text" id="university" name="university" value={formData.university} onChange={handleChange} required />
           </div>
           <div className="form-group">
-            <label htmlFor="examName">Subject / Exam Name</label>
-            <input type="text" id="examName" name="examName" value={formData.examName} onChange={handleChange} required />
+            <label htmlFor="subject">Subject / Exam Name</label>
+            <input type="text" id="subject" name="subject" value={formData.subject} onChange={handleChange} required />
           </div>
           <div className="form-group">
             <label htmlFor="difficulty">Difficulty Level</label>
             <select id="difficulty" name="difficulty" value={formData.difficulty} onChange={handleChange}>
-              <option value="Easy">Easy</option>
-              <option value="Medium">Medium</option>
-              <option value="Hard">Hard</option>
-              <option value="Very Hard">Very Hard</option>
+              <option value="easy">Easy</option>
+              <option value="moderate">Moderate</option>
+              <option value="hard">Hard</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="rating">Overall Rating</label>
+            <select id="rating" name="rating" value={formData.rating} onChange={handleChange} required>
+              <option value="">Select a rating</option>
+              {[5, 4, 3, 2, 1].map((value) => (
+                <option key={value} value={value}>{"★".repeat(value)}</option>
+              ))}
             </select>
           </div>
+          <div className="form-group">
+            <label htmlFor="importantTopics">Important Topics</label>
+            <input type="text" id="importantTopics" name="importantTopics" value={formData.importantTopics} onChange={handleChange} placeholder="Comma separated, e.g. Trees, Graphs" />
+          </div>
           <div className="form-group">
             <label htmlFor="feedback">Your Feedback</label>
-            <textarea id="feedback" name="feedback" rows="4" value={formData.feedback} onChange={handleChange} required placeholder="How was the paper?"></textarea>
+            <textarea id="feedback" name="feedback" rows="4" value={formData.feedback} onChange={handleChange} placeholder="How was the paper?"></textarea>
           </div>
           <div className="form-group">
             <label htmlFor="tips">Study Tips for Juniors</label>
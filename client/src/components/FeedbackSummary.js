@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import api from "../api";
+import "./FeedbackSummary.css";
+
+const DIFFICULTY_COLORS = { easy: "#10b981", moderate: "#f59e0b", hard: "#ef4444" };
+
+// Per university + subject summary of exam feedback, from GET /api/stats/feedback
+const FeedbackSummary = ({ university, subject }) => {
+  const [groups, setGroups] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = {};
+    if (university) params.university = university;
+    if (subject) params.subject = subject;
+
+    setIsLoading(true);
+    api.get("/stats/feedback", { params, signal: controller.signal })
+      .then(({ data }) => {
+        setGroups(data.groups);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error("Error fetching feedback stats", error);
+        setLoadError("Summary unavailable right now.");
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [university, subject]);
+
+  if (isLoading) return <p className="summary-muted">Crunching the numbers...</p>;
+  if (loadError) return <p className="summary-muted">{loadError}</p>;
+  if (groups.length === 0) return <p className="summary-muted">No feedback to summarize yet.</p>;
+
+  return (
+    <div className="summary-grid">
+      {groups.map((group, index) => (
+        <motion.div
+          key={`${group.university}-${group.subject}`}
+          className="summary-card"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: index * 0.05 }}
+        >
+          <div className="summary-card-header">
+            <div>
+              <h4>{group.subject}</h4>
+              <span className="summary-university">{group.university}</span>
+            </div>
+            <div className="summary-rating" title="Average rating">
+              ⭐ {group.averageRating ?? "–"}
+              <span className="summary-count">{group.count} review{group.count !== 1 ? "s" : ""}</span>
+            </div>
+          </div>
+
+          {/* Stacked bar of difficulty votes */}
+          <div className="summary-difficulty" role="img" aria-label={
+            Object.entries(group.difficulty).map(([level, count]) => `${count} ${level}`).join(", ")
+          }>
+            {Object.entries(group.difficulty).map(([level, count]) => count > 0 && (
+              <span
+                key={level}
+                className="summary-difficulty-segment"
+                style={{ flexGrow: count, backgroundColor: DIFFICULTY_COLORS[level] }}
+                title={`${count} ${level}`}
+              />
+            ))}
+          </div>
+          <div className="summary-legend">
+            {Object.entries(group.difficulty).map(([level, count]) => (
+              <span key={level}>
+                <i style={{ backgroundColor: DIFFICULTY_COLORS[level] }} /> {level} {count}
+              </span>
+            ))}
+          </div>
+
+          {group.topTopics.length > 0 && (
+            <div className="summary-list">
+              <h5>🎯 Most cited topics</h5>
+              <div className="topics-list">
+                {group.topTopics.map(({ value, count }) => (
+                  <span key={value} className="topic-tag">{value} ×{count}</span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {group.topResources.length > 0 && (
+            <div className="summary-list">
+              <h5>📚 Most cited resources</h5>
+              <div className="resources-list">
+                {group.topResources.map(({ value, count }) => (
+                  <span key={value} className="resource-tag">{value} ×{count}</span>
+                ))}
+              </div>
+            </div>
+          )}
+        </motion.div>
+      ))}
+    </div>
+  );
+};
+
+export default FeedbackSummary;
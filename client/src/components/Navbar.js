@@ -1,17 +1,20 @@
 // STEP 1: Import NavLink along with Link
 import React, { useState, useEffect } from "react";
-import { Link, NavLink } from "react-router-dom"; // CHANGED HERE
+import { Link, NavLink, useNavigate } from "react-router-dom"; // CHANGED HERE
 import "./Navbar.css";
 import { useTheme } from "../theme/ThemeProvider";
-import { FaMoon, FaSun } from "react-icons/fa";
+import { useAuth } from "../auth/AuthProvider";
+import { FaMoon, FaSearch, FaSun } from "react-icons/fa";
 
-const user = {
-  avatar: "https://avatar.iran.liara.run/public/boy",
-};
+export const DEFAULT_AVATAR = "https://avatar.iran.liara.run/public/boy";
 
 const Navbar = () => {
   const { theme, toggleTheme } = useTheme();
+  const { user, hasRole } = useAuth();
+  const canModerate = hasRole("moderator", "admin");
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const navigate = useNavigate();
 
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
@@ -21,6 +24,29 @@ const Navbar = () => {
     setIsMobileMenuOpen(false);
   };
 
+  // Hands the query to the search results page
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const q = searchQuery.trim();
+    if (!q) return;
+    navigate(`/search?q=${encodeURIComponent(q)}`);
+    setSearchQuery("");
+    closeMobileMenu();
+  };
+
+  const searchForm = (className) => (
+    <form className={className} role="search" onSubmit={handleSearch}>
+      <FaSearch className="navbar-search-icon" aria-hidden="true" />
+      <input
+        type="search"
+        placeholder="Search notes, PYQs..."
+        aria-label="Search"
+        value={searchQuery}
+        onChange={(e) => setSearchQuery(e.target.value)}
+      />
+    </form>
+  );
+
   useEffect(() => {
     const handleResize = () => {
       if (window.innerWidth > 768) {
@@ -59,9 +85,12 @@ const Navbar = () => {
             <li><NavLink to="/mindmap" className="navbar-link">Mind Map</NavLink></li>
             <li><NavLink to="/feedback" className="navbar-link">Feedback</NavLink></li>
             <li><NavLink to="/faq" className="navbar-link">FAQs</NavLink></li>
+            {canModerate && <li><NavLink to="/admin" className="navbar-link">Admin</NavLink></li>}
           </ul>
           {/* END OF STEP 2 CHANGE */}
 
+          {searchForm("navbar-search")}
+
 
           <button
             aria-label="Toggle theme"
@@ -72,13 +101,19 @@ const Navbar = () => {
             {theme === "dark" ? <FaSun /> : <FaMoon />}
           </button>
 
-          <Link to="/profile" className="navbar-profile-link">
-            <img
-              src={user.avatar}
-              alt="User Profile"
-              className="navbar-profile-img"
-            />
-          </Link>
+          {user ? (
+            <Link to="/profile" className="navbar-profile-link" title={user.name}>
+              <img
+                src={user.avatar || DEFAULT_AVATAR}
+                alt="User Profile"
+                className="navbar-profile-img"
+              />
+            </Link>
+          ) : (
+            <Link to="/login" className="navbar-signin-link">
+              Sign in
+            </Link>
+          )}
 
           <button className="navbar-toggle" onClick={toggleMobileMenu}>
             ☰
@@ -88,6 +123,8 @@ const Navbar = () => {
 
       <div className={`navbar-menu-mobile ${isMobileMenuOpen ? "active" : ""}`}>
         
+        {searchForm("navbar-search navbar-search-mobile")}
+
         {/* STEP 3: Change Mobile <Link> to <NavLink> */}
         <ul className="navbar-links-mobile">
           <li><NavLink to="/" className="navbar-link-mobile" onClick={closeMobileMenu}>Home</NavLink></li>
@@ -100,6 +137,7 @@ const Navbar = () => {
           <li><NavLink to="/mindmap" className="navbar-link-mobile" onClick={closeMobileMenu}>Mind Map</NavLink></li>
           <li><NavLink to="/feedback" className="navbar-link-mobile" onClick={closeMobileMenu}>Feedback</NavLink></li>
           <li><NavLink to="/faq" className="navbar-link-mobile" onClick={closeMobileMenu}>FAQs</NavLink></li>
+          {canModerate && <li><NavLink to="/admin" className="navbar-link-mobile" onClick={closeMobileMenu}>Admin</NavLink></li>}
         </ul>
         {/* END OF STEP 3 CHANGE */}
 
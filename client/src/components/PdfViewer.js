@@ -0,0 +1,502 @@
+import React, { useEffect, useRef, useState } from "react";
+import * as pdfjsLib from "pdfjs-dist";
+import "../pdfWorker";
+import { getLastPage, rememberPage } from "../readingProgress";
+import "./PdfViewer.css";
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 0.25;
+const THUMBNAIL_WIDTH = 110;
+const MAX_MARK_RECTS = 50;
+
+export const ANNOTATION_COLORS = ["yellow", "green", "pink", "blue"];
+
+const clampPage = (page, numPages) => Math.min(Math.max(1, page), numPages || 1);
+
+// Page positions are stored as fractions of the page so marks line up at every zoom level
+const toFraction = (value) => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+
+const toPercentStyle = ({ x, y, width, height }) => ({
+  left: `${x * 100}%`,
+  top: `${y * 100}%`,
+  width: `${width * 100}%`,
+  height: `${height * 100}%`,
+});
+
+// How often `term` (already lower-cased) appears in `text`
+const countMatches = (text, term) => {
+  let count = 0;
+  for (let at = text.indexOf(term); at !== -1; at = text.indexOf(term, at + term.length)) count += 1;
+  return count;
+};
+
+// One sidebar thumbnail; pages are only drawn once they scroll into view
+const Thumbnail = ({ pdf, pageNumber, isActive, onSelect }) => {
+  const buttonRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setIsVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: "200px" });
+    observer.observe(buttonRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!isVisible) return undefined;
+    let cancelled = false;
+    let task = null;
+    pdf.getPage(pageNumber).then((page) => {
+      if (cancelled) return;
+      const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width });
+      const canvas = canvasRef.current;
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      task = page.render({ canvasContext: canvas.getContext("2d"), viewport });
+      return task.promise;
+    }).catch(() => {
+      // Cancelled or unreadable thumbnails just stay blank
+    });
+    return () => {
+      cancelled = true;
+      if (task) task.cancel();
+    };
+  }, [isVisible, pdf, pageNumber]);
+
+  useEffect(() => {
+    if (isActive) buttonRef.current.scrollIntoView({ block: "nearest" });
+  }, [isActive]);
+
+  return (
+    <button
+      ref={buttonRef}
+      type="button"
+      className={`pdf-viewer-thumb ${isActive ? "active" : ""}`}
+      onClick={() => onSelect(pageNumber)}
+      aria-label={`Page ${pageNumber}`}
+      aria-current={isActive ? "page" : undefined}
+    >
+      <canvas ref={canvasRef} />
+      <span>{pageNumber}</span>
+    </button>
+  );
+};
+
+// pdf.js document viewer with thumbnails, zoom and text search. `docId` keys the remembered
+// last-read page; `initialPage` (e.g. from a ?page= deep link) wins over it. `onPageChange`
+// hears about every page turn, and `actions` are extra toolbar controls.
+// Annotations are drawn from `annotations`; passing `onAnnotate` adds the highlight, underline and
+// sticky-note tools, which hand it a draft { type, page, rects, color, text }. `renderSidebar` draws a
+// panel beside the page and is given { page, goToPage }.
+const PdfViewer = ({
+  url, docId, title, initialPage, onPageChange, actions,
+  annotations = [], onAnnotate, onAnnotationClick, selectedAnnotationId, renderSidebar,
+}) => {
+  const [pdf, setPdf] = useState(null);
+  const [numPages, setNumPages] = useState(0);
+  const [page, setPage] = useState(() => initialPage || getLastPage(docId) || 1);
+  const [pageInput, setPageInput] = useState("");
+  const [zoom, setZoom] = useState(1);
+  const [fitWidth, setFitWidth] = useState(true);
+  const [renderedScale, setRenderedScale] = useState(1);
+  const [stageWidth, setStageWidth] = useState(0);
+  const [showThumbnails, setShowThumbnails] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [pageError, setPageError] = useState("");
+  const [renderCount, setRenderCount] = useState(0);
+
+  const [query, setQuery] = useState("");
+  const [searchTerm, setSearchTerm] = useState("");
+  const [matches, setMatches] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const [markColor, setMarkColor] = useState(ANNOTATION_COLORS[0]);
+  const [isPlacingNote, setIsPlacingNote] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [showSidebar, setShowSidebar] = useState(true);
+
+  const stageRef = useRef(null);
+  const pageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const textCache = useRef(new Map());
+  const searchRun = useRef(0);
+  // Read through a ref so parents can pass an inline callback without re-running the page effects
+  const onPageChangeRef = useRef(onPageChange);
+  onPageChangeRef.current = onPageChange;
+
+  useEffect(() => {
+    setPdf(null);
+    setLoadError("");
+    setMatches([]);
+    setSearchTerm("");
+    textCache.current = new Map();
+
+    const task = pdfjsLib.getDocument(url);
+    task.promise
+      .then((doc) => {
+        setPdf(doc);
+        setNumPages(doc.numPages);
+        setPage((current) => clampPage(current, doc.numPages));
+      })
+      .catch((error) => {
+        if (error && error.name === "AbortException") return;
+        console.error("Error opening PDF", error);
+        setLoadError("We could not open this document. Try downloading it instead.");
+      });
+
+    return () => {
+      task.destroy();
+    };
+  }, [url]);
+
+  useEffect(() => {
+    setPageInput(String(page));
+    if (!pdf) return;
+    rememberPage(docId, page);
+    if (onPageChangeRef.current) onPageChangeRef.current(page);
+  }, [pdf, docId, page]);
+
+  // Fit-to-width follows the viewer's size
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return undefined;
+    const observer = new ResizeObserver(([entry]) => setStageWidth(Math.floor(entry.contentRect.width)));
+    observer.observe(stage);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!pdf || !stageWidth) return undefined;
+    let cancelled = false;
+    let renderTask = null;
+    let textTask = null;
+    setPageError("");
+
+    pdf.getPage(page).then((pdfPage) => {
+      if (cancelled) return undefined;
+      const natural = pdfPage.getViewport({ scale: 1 });
+      const scale = fitWidth ? Math.max(MIN_ZOOM, (stageWidth - 32) / natural.width) : zoom;
+      const viewport = pdfPage.getViewport({ scale });
+      const ratio = window.devicePixelRatio || 1;
+
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      pageRef.current.style.width = `${Math.floor(viewport.width)}px`;
+      pageRef.current.style.height = `${Math.floor(viewport.height)}px`;
+      renderTask = pdfPage.render({
+        canvasContext: canvas.getContext("2d"),
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+      });
+
+      // The invisible text layer makes the page selectable and lets search matches be marked
+      const textLayer = textLayerRef.current;
+      textLayer.replaceChildren();
+      textLayer.style.setProperty("--scale-factor", viewport.scale);
+      textTask = pdfjsLib.renderTextLayer({ textContentSource: pdfPage.streamTextContent(), container: textLayer, viewport });
+
+      return Promise.all([renderTask.promise, textTask.promise]).then(() => {
+        if (cancelled) return;
+        setRenderedScale(scale);
+        setRenderCount((count) => count + 1);
+      });
+    }).catch((error) => {
+      if (cancelled || (error && error.name === "RenderingCancelledException")) return;
+      console.error("Error rendering PDF page", error);
+      setPageError("This page could not be displayed.");
+    });
+
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+      if (textTask) textTask.cancel();
+    };
+  }, [pdf, page, zoom, fitWidth, stageWidth]);
+
+  // Marks the text runs on the current page that contain the search term
+  useEffect(() => {
+    const spans = textLayerRef.current ? textLayerRef.current.querySelectorAll("span") : [];
+    spans.forEach((span) => {
+      span.classList.toggle("match", !!searchTerm && span.textContent.toLowerCase().includes(searchTerm));
+    });
+  }, [renderCount, searchTerm]);
+
+  const goToPage = (target) => {
+    if (numPages) setPage(clampPage(target, numPages));
+  };
+
+  const setZoomLevel = (next) => {
+    setFitWidth(false);
+    setZoom(Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.round(next * 100) / 100)));
+  };
+
+  const handlePageSubmit = (e) => {
+    e.preventDefault();
+    const target = parseInt(pageInput, 10);
+    if (Number.isNaN(target)) setPageInput(String(page));
+    else goToPage(target);
+  };
+
+  const getPageText = async (pageNumber) => {
+    if (!textCache.current.has(pageNumber)) {
+      const content = await (await pdf.getPage(pageNumber)).getTextContent();
+      textCache.current.set(pageNumber, content.items.map((item) => item.str).join(" ").toLowerCase());
+    }
+    return textCache.current.get(pageNumber);
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const term = query.trim().toLowerCase();
+    const run = ++searchRun.current;
+    setSearchTerm(term);
+    if (!term || !pdf) {
+      setMatches([]);
+      return;
+    }
+
+    setIsSearching(true);
+    try {
+      const found = [];
+      for (let pageNumber = 1; pageNumber <= numPages; pageNumber += 1) {
+        const count = countMatches(await getPageText(pageNumber), term);
+        if (run !== searchRun.current) return;
+        if (count) found.push({ page: pageNumber, count });
+      }
+      setMatches(found);
+      const next = found.find((match) => match.page >= page) || found[0];
+      if (next) setPage(next.page);
+    } catch (error) {
+      console.error("Error searching PDF", error);
+    } finally {
+      if (run === searchRun.current) setIsSearching(false);
+    }
+  };
+
+  // Moves to the next (or previous) page that has a match, wrapping around the document
+  const stepMatch = (direction) => {
+    if (!matches.length) return;
+    const ordered = direction > 0 ? matches : [...matches].reverse();
+    const next = ordered.find((match) => (direction > 0 ? match.page > page : match.page < page)) || ordered[0];
+    setPage(next.page);
+  };
+
+  const handleKeyDown = (e) => {
+    if (["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
+    if (e.key === "ArrowRight" || e.key === "PageDown") goToPage(page + 1);
+    if (e.key === "ArrowLeft" || e.key === "PageUp") goToPage(page - 1);
+  };
+
+  // Turns the current text selection on the page into a highlight or underline
+  const annotateSelection = (type) => {
+    const selection = window.getSelection();
+    const textLayer = textLayerRef.current;
+    if (!selection || selection.isCollapsed || !textLayer.contains(selection.anchorNode) || !textLayer.contains(selection.focusNode)) {
+      setNotice("Select some text on the page first.");
+      return;
+    }
+
+    const bounds = pageRef.current.getBoundingClientRect();
+    const seen = new Set();
+    const rects = Array.from(selection.getRangeAt(0).getClientRects())
+      .filter((rect) => rect.width > 1 && rect.height > 1)
+      .map((rect) => {
+        const x = toFraction((rect.left - bounds.left) / bounds.width);
+        const y = toFraction((rect.top - bounds.top) / bounds.height);
+        return {
+          x,
+          y,
+          width: toFraction(Math.min(rect.width / bounds.width, 1 - x)),
+          height: toFraction(Math.min(rect.height / bounds.height, 1 - y)),
+        };
+      })
+      // Nested spans report the same box more than once
+      .filter((rect) => {
+        const key = `${rect.x}:${rect.y}:${rect.width}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_MARK_RECTS);
+
+    if (!rects.length) {
+      setNotice("Select some text on the page first.");
+      return;
+    }
+    setNotice("");
+    onAnnotate({ type, page, rects, color: markColor, text: selection.toString().replace(/\s+/g, " ").trim().slice(0, 2000) });
+    selection.removeAllRanges();
+  };
+
+  const handlePageClick = (e) => {
+    if (!isPlacingNote) return;
+    const bounds = pageRef.current.getBoundingClientRect();
+    setIsPlacingNote(false);
+    setNotice("");
+    onAnnotate({
+      type: "sticky",
+      page,
+      rects: [{ x: toFraction((e.clientX - bounds.left) / bounds.width), y: toFraction((e.clientY - bounds.top) / bounds.height), width: 0, height: 0 }],
+      color: markColor,
+    });
+  };
+
+  const togglePlacingNote = () => {
+    setIsPlacingNote(!isPlacingNote);
+    setNotice(isPlacingNote ? "" : "Click on the page where the note should go.");
+  };
+
+  const pageAnnotations = annotations.filter((annotation) => annotation.page === page);
+
+  const totalMatches = matches.reduce((sum, match) => sum + match.count, 0);
+  const matchesHere = (matches.find((match) => match.page === page) || {}).count || 0;
+
+  return (
+    <div className="pdf-viewer" onKeyDown={handleKeyDown} tabIndex={-1} aria-label={title ? `${title} viewer` : "Document viewer"}>
+      <div className="pdf-viewer-toolbar">
+        <button type="button" onClick={() => setShowThumbnails((shown) => !shown)} aria-pressed={showThumbnails} title="Toggle thumbnails">
+          ☰
+        </button>
+
+        <div className="pdf-viewer-group">
+          <button type="button" onClick={() => goToPage(page - 1)} disabled={page <= 1} aria-label="Previous page">‹</button>
+          <form onSubmit={handlePageSubmit}>
+            <input
+              className="pdf-viewer-page-input"
+              value={pageInput}
+              onChange={(e) => setPageInput(e.target.value)}
+              onBlur={handlePageSubmit}
+              inputMode="numeric"
+              aria-label="Page number"
+            />
+          </form>
+          <span>/ {numPages || "–"}</span>
+          <button type="button" onClick={() => goToPage(page + 1)} disabled={page >= numPages} aria-label="Next page">›</button>
+        </div>
+
+        <div className="pdf-viewer-group">
+          <button type="button" onClick={() => setZoomLevel(renderedScale - ZOOM_STEP)} disabled={renderedScale <= MIN_ZOOM} aria-label="Zoom out">−</button>
+          <span className="pdf-viewer-zoom">{Math.round(renderedScale * 100)}%</span>
+          <button type="button" onClick={() => setZoomLevel(renderedScale + ZOOM_STEP)} disabled={renderedScale >= MAX_ZOOM} aria-label="Zoom in">+</button>
+          <button type="button" onClick={() => setFitWidth(true)} aria-pressed={fitWidth}>Fit width</button>
+        </div>
+
+        <form className="pdf-viewer-group pdf-viewer-search" onSubmit={handleSearch}>
+          <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Find in document" aria-label="Find in document" />
+          <button type="submit" disabled={!pdf || isSearching}>{isSearching ? "…" : "Find"}</button>
+          {matches.length > 0 && (
+            <>
+              <button type="button" onClick={() => stepMatch(-1)} aria-label="Previous match">↑</button>
+              <button type="button" onClick={() => stepMatch(1)} aria-label="Next match">↓</button>
+            </>
+          )}
+        </form>
+        {searchTerm && !isSearching && (
+          <span className="pdf-viewer-status" role="status">
+            {totalMatches
+              ? `${totalMatches} match${totalMatches === 1 ? "" : "es"} on ${matches.length} page${matches.length === 1 ? "" : "s"}${matchesHere ? ` · ${matchesHere} here` : ""}`
+              : "No matches"}
+          </span>
+        )}
+
+        {onAnnotate && (
+          <div className="pdf-viewer-group pdf-viewer-tools">
+            {/* mousedown would clear the text selection before the click lands */}
+            <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => annotateSelection("highlight")} disabled={!pdf} title="Highlight the selected text">
+              🖍 Highlight
+            </button>
+            <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => annotateSelection("underline")} disabled={!pdf} title="Underline the selected text">
+              <u>U</u> Underline
+            </button>
+            <button type="button" onClick={togglePlacingNote} aria-pressed={isPlacingNote} disabled={!pdf} title="Pin a sticky note to the page">
+              📌 Note
+            </button>
+            {ANNOTATION_COLORS.map((color) => (
+              <button
+                key={color}
+                type="button"
+                className={`pdf-viewer-swatch mark-${color}`}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => setMarkColor(color)}
+                aria-pressed={markColor === color}
+                aria-label={`${color} marks`}
+              />
+            ))}
+          </div>
+        )}
+        {notice && <span className="pdf-viewer-status" role="status">{notice}</span>}
+
+        {renderSidebar && (
+          <button type="button" onClick={() => setShowSidebar((shown) => !shown)} aria-pressed={showSidebar} title="Toggle annotations">
+            ✎ Annotations
+          </button>
+        )}
+        {actions && <div className="pdf-viewer-group pdf-viewer-actions">{actions}</div>}
+      </div>
+
+      <div className="pdf-viewer-body">
+        {showThumbnails && pdf && (
+          <nav className="pdf-viewer-thumbs" aria-label="Pages">
+            {Array.from({ length: numPages }, (_, index) => (
+              <Thumbnail key={index + 1} pdf={pdf} pageNumber={index + 1} isActive={page === index + 1} onSelect={goToPage} />
+            ))}
+          </nav>
+        )}
+
+        <div className="pdf-viewer-stage" ref={stageRef}>
+          {(loadError || pageError) && <p className="pdf-viewer-message">{loadError || pageError}</p>}
+          {!pdf && !loadError && <p className="pdf-viewer-message">Loading document...</p>}
+          <div
+            className={`pdf-viewer-page ${isPlacingNote ? "placing" : ""}`}
+            ref={pageRef}
+            hidden={!pdf || !!loadError}
+            onClick={handlePageClick}
+          >
+            <canvas ref={canvasRef} />
+            <div className="pdf-viewer-text" ref={textLayerRef} />
+            <div className="pdf-viewer-marks">
+              {pageAnnotations.map((annotation) => {
+                const selected = annotation._id === selectedAnnotationId ? "selected" : "";
+                if (annotation.type === "sticky") {
+                  const [{ x, y }] = annotation.rects;
+                  return (
+                    <button
+                      key={annotation._id}
+                      type="button"
+                      className={`pdf-viewer-sticky mark-${annotation.color} ${selected}`}
+                      style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                      onClick={() => onAnnotationClick && onAnnotationClick(annotation)}
+                      title={annotation.comment}
+                      aria-label="Sticky note"
+                    >
+                      📌
+                    </button>
+                  );
+                }
+                return annotation.rects.map((rect, index) => (
+                  <span
+                    key={`${annotation._id}-${index}`}
+                    className={`pdf-viewer-mark ${annotation.type} mark-${annotation.color} ${selected}`}
+                    style={toPercentStyle(rect)}
+                  />
+                ));
+              })}
+            </div>
+          </div>
+        </div>
+
+        {renderSidebar && showSidebar && <aside className="pdf-viewer-sidebar">{renderSidebar({ page, goToPage })}</aside>}
+      </div>
+    </div>
+  );
+};
+
+export default PdfViewer;
@@ -0,0 +1,18 @@
+import React from "react";
+import "./ProgressBar.css";
+
+// Horizontal completion bar for `percent` (0-100); `label` names it for screen readers
+const ProgressBar = ({ percent, label, size = "normal" }) => (
+  <div
+    className={`progress-bar ${size}`}
+    role="progressbar"
+    aria-valuemin={0}
+    aria-valuemax={100}
+    aria-valuenow={percent}
+    aria-label={label}
+  >
+    <span className={percent === 100 ? "complete" : ""} style={{ width: `${percent}%` }} />
+  </div>
+);
+
+export default ProgressBar;
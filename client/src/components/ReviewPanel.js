@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import api, { getErrorMessage } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+import StarRating from "./StarRating";
+import "./ReviewPanel.css";
+
+const MAX_REVIEW_LENGTH = 500;
+
+// Ratings and reviews for one note or syllabus; give it a `key` per item so switching items starts fresh.
+// `onRatingChange` receives the new { average, count } after a review is saved or removed.
+const ReviewPanel = ({ kind, itemId, onRatingChange }) => {
+  const { user, hasRole } = useAuth();
+  const location = useLocation();
+
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({ average: 0, count: 0 });
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [mine, setMine] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [form, setForm] = useState({ rating: 0, text: "" });
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    api.get(`/reviews/${kind}/${itemId}`, { params: { page }, signal: controller.signal })
+      .then(({ data }) => {
+        // Later pages are appended under the ones already shown
+        setReviews((prev) => (page === 1 ? data.reviews : [...prev, ...data.reviews]));
+        setPages(data.pages);
+        setSummary({ average: data.average, count: data.count });
+        setMine(data.mine);
+        if (page === 1) setForm(data.mine ? { rating: data.mine.rating, text: data.mine.text } : { rating: 0, text: "" });
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (!controller.signal.aborted) setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [kind, itemId, page, user, reloadKey]);
+
+  // Starts over from the first page so the saved or removed review shows up where it belongs
+  const reload = (next) => {
+    setSummary(next);
+    if (onRatingChange) onRatingChange(next);
+    setPage(1);
+    setReloadKey((key) => key + 1);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.rating) {
+      setMessage("Pick a rating from 1 to 5 stars.");
+      return;
+    }
+    setIsSaving(true);
+    setMessage("");
+    try {
+      const { data } = await api.put(`/reviews/${kind}/${itemId}`, form);
+      setMessage(mine ? "Your review was updated." : "Thanks for your review!");
+      reload({ average: data.average, count: data.count });
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!window.confirm("Remove this review?")) return;
+    try {
+      const { data } = await api.delete(`/reviews/${review._id}`);
+      setMessage(data.message);
+      reload({ average: data.average, count: data.count });
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+    }
+  };
+
+  const canRemove = (review) => review.isMine || hasRole("moderator", "admin");
+
+  return (
+    <section className="review-panel" aria-label="Ratings and reviews">
+      <header className="review-summary">
+        <span className="review-average">{summary.count ? summary.average.toFixed(1) : "–"}</span>
+        <div>
+          <StarRating value={summary.average} size="1.1rem" />
+          <p>{summary.count ? `${summary.count} rating${summary.count === 1 ? "" : "s"}` : "No ratings yet"}</p>
+        </div>
+      </header>
+
+      {user ? (
+        <form className="review-form" onSubmit={handleSubmit}>
+          <label>{mine ? "Your rating" : "Rate this"}</label>
+          <StarRating value={form.rating} onChange={(rating) => setForm({ ...form, rating })} size="1.4rem" />
+          <textarea
+            value={form.text}
+            onChange={(e) => setForm({ ...form, text: e.target.value })}
+            placeholder="What was useful, or missing? (optional)"
+            maxLength={MAX_REVIEW_LENGTH}
+            rows="3"
+            aria-label="Review"
+          />
+          <div className="review-form-footer">
+            <span>{form.text.length}/{MAX_REVIEW_LENGTH}</span>
+            <button type="submit" disabled={isSaving}>
+              {isSaving ? "Saving..." : mine ? "Update review" : "Post review"}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="review-muted">
+          <Link to="/login" state={{ from: location.pathname }}>Sign in</Link> to rate and review.
+        </p>
+      )}
+
+      {message && <p className="review-message" role="status">{message}</p>}
+      {loadError && <p className="review-message" role="alert">{loadError}</p>}
+
+      <ul className="review-list">
+        {reviews.map((review) => (
+          <li key={review._id} className={review.isMine ? "mine" : ""}>
+            <div className="review-meta">
+              <StarRating value={review.rating} size="0.85rem" />
+              <strong>{review.isMine ? "You" : review.author}</strong>
+              <span>{new Date(review.updatedAt).toLocaleDateString()}</span>
+              {canRemove(review) && (
+                <button type="button" onClick={() => handleDelete(review)} aria-label="Remove review">Remove</button>
+              )}
+            </div>
+            {review.text && <p>{review.text}</p>}
+          </li>
+        ))}
+      </ul>
+
+      {!isLoading && reviews.length === 0 && !loadError && <p className="review-muted">Be the first to leave a review.</p>}
+      {isLoading && <p className="review-muted">Loading reviews...</p>}
+      {!isLoading && page < pages && (
+        <button type="button" className="review-more" onClick={() => setPage(page + 1)}>Show more reviews</button>
+      )}
+    </section>
+  );
+};
+
+export default ReviewPanel;
@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+import { FaRegStar, FaStar, FaStarHalfAlt } from "react-icons/fa";
+import "./StarRating.css";
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Five stars showing `value` (halves included). Pass `onChange` to let the user pick a whole-star rating.
+const StarRating = ({ value = 0, onChange, size = "1rem", label }) => {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+
+  const iconFor = (star) => {
+    if (shown >= star) return <FaStar />;
+    if (!onChange && shown >= star - 0.5) return <FaStarHalfAlt />;
+    return <FaRegStar />;
+  };
+
+  if (!onChange) {
+    return (
+      <span className="star-rating" style={{ fontSize: size }} role="img" aria-label={label || `Rated ${value} out of 5`}>
+        {STARS.map((star) => <span key={star}>{iconFor(star)}</span>)}
+      </span>
+    );
+  }
+
+  return (
+    <span className="star-rating editable" style={{ fontSize: size }} role="radiogroup" aria-label={label || "Your rating"} onMouseLeave={() => setHovered(0)}>
+      {STARS.map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={value === star}
+          aria-label={`${star} star${star === 1 ? "" : "s"}`}
+          onMouseEnter={() => setHovered(star)}
+          onClick={() => onChange(star)}
+        >
+          {iconFor(star)}
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api, { getErrorMessage } from "../api";
+import { SLOT_HOURS, buildStudyPlan, toStudyTasks } from "../studyPlan";
+import { addTasks } from "../taskStore";
+import "./StudyPlanner.css";
+
+// Past-paper topics at or above this likelihood are flagged in the preview
+const HOT_LIKELIHOOD = 0.5;
+
+const toDateInput = (date) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const countSubjectTopics = (subject) => subject.units.reduce((sum, unit) => sum + unit.topics.length, 0);
+
+// Turns one syllabus, an exam date and the hours free each day into study sessions on the task calendar.
+// Topics that come up often in past papers (GET /api/analytics/pyqs/topics) get more time.
+const StudyPlanner = ({ syllabusId }) => {
+  const navigate = useNavigate();
+  const [syllabus, setSyllabus] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [examDate, setExamDate] = useState("");
+  const [hoursPerDay, setHoursPerDay] = useState(3);
+  const [chosen, setChosen] = useState(new Set());
+  const [plan, setPlan] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.get(`/syllabi/${syllabusId}`, { signal: controller.signal })
+      .then(({ data }) => {
+        setSyllabus(data);
+        setChosen(new Set(data.subjects.filter((subject) => countSubjectTopics(subject) > 0).map((subject) => subject.name)));
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      });
+
+    return () => controller.abort();
+  }, [syllabusId]);
+
+  if (loadError) return <p className="planner-muted">{loadError}</p>;
+  if (!syllabus) return <p className="planner-muted">Loading syllabus...</p>;
+
+  const plannable = syllabus.subjects.filter((subject) => countSubjectTopics(subject) > 0);
+  if (plannable.length === 0) {
+    return <p className="planner-muted">This syllabus does not list units and topics yet, so there is nothing to plan.</p>;
+  }
+
+  // The earliest exam that leaves a day to study, since plans start tomorrow
+  const today = new Date();
+  const minExamDate = toDateInput(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 2));
+
+  const toggleSubject = (name) => {
+    const next = new Set(chosen);
+    if (next.has(name)) next.delete(name);
+    else next.add(name);
+    setChosen(next);
+    setPlan(null);
+  };
+
+  // Only this syllabus's university and semester count, so same-named subjects elsewhere do not skew the plan.
+  // Papers without tagged topics, or a failed lookup, just leave that subject unweighted.
+  const loadPyqTopics = async (subjects) => {
+    const params = { university: syllabus.university, semester: syllabus.semester, limit: 50 };
+    const results = await Promise.all(subjects.map((subject) => api
+      .get("/analytics/pyqs/topics", { params: { ...params, subject: subject.name } })
+      .then(({ data }) => data.topics)
+      .catch(() => [])));
+    return Object.fromEntries(subjects.map((subject, index) => [subject.name, results[index]]));
+  };
+
+  const handlePlan = async (e) => {
+    e.preventDefault();
+    const subjects = plannable.filter((subject) => chosen.has(subject.name));
+    setIsPlanning(true);
+    setMessage("");
+    try {
+      const pyqTopics = await loadPyqTopics(subjects);
+      const next = buildStudyPlan({ subjects, examDate, hoursPerDay: Number(hoursPerDay), pyqTopics });
+      if (!next) setMessage("Pick an exam date at least two days away.");
+      setPlan(next);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const handleAddTasks = () => {
+    addTasks(toStudyTasks(plan, syllabus));
+    navigate("/tasks");
+  };
+
+  const sessionCount = plan ? plan.days.reduce((sum, day) => sum + day.sessions.length, 0) + (plan.revision ? 1 : 0) : 0;
+
+  return (
+    <div className="study-planner">
+      <form className="planner-form" onSubmit={handlePlan}>
+        <label>
+          Exam date
+          <input type="date" value={examDate} min={minExamDate} required onChange={(e) => { setExamDate(e.target.value); setPlan(null); }} />
+        </label>
+        <label>
+          Hours a day
+          <input type="number" value={hoursPerDay} min={SLOT_HOURS} max={12} step={SLOT_HOURS} required onChange={(e) => { setHoursPerDay(e.target.value); setPlan(null); }} />
+        </label>
+        <fieldset>
+          <legend>Subjects in this exam</legend>
+          {syllabus.subjects.map((subject) => {
+            const topicCount = countSubjectTopics(subject);
+            return (
+              <label key={subject.name} className="planner-subject">
+                <input type="checkbox" checked={chosen.has(subject.name)} disabled={topicCount === 0} onChange={() => toggleSubject(subject.name)} />
+                {subject.code && <span className="planner-code">{subject.code}</span>}
+                {subject.name}
+                <span className="planner-muted">{topicCount ? `${topicCount} topics` : "no topics listed"}</span>
+              </label>
+            );
+          })}
+        </fieldset>
+        <button type="submit" className="btn btn-primary" disabled={isPlanning || chosen.size === 0}>
+          {isPlanning ? "Planning..." : "🗓️ Build plan"}
+        </button>
+      </form>
+
+      {message && <p className="planner-muted" role="status">{message}</p>}
+
+      {plan && (
+        <section className="planner-preview" aria-label="Study plan">
+          <header>
+            <p>
+              <strong>{sessionCount} sessions</strong> · {plan.plannedHours} of {plan.availableHours} hours used
+              {plan.revision && " · the day before the exam is kept for revision"}
+            </p>
+            <button type="button" className="btn btn-primary" onClick={handleAddTasks}>Add to Tasks</button>
+          </header>
+          {plan.skipped.length > 0 && (
+            <p className="planner-warning">
+              Not enough time for every topic; left out as least weighted: {plan.skipped.map((item) => item.topic).join(", ")}.
+            </p>
+          )}
+          <ol className="planner-days">
+            {plan.days.map((day) => (
+              <li key={day.date.toISOString()}>
+                <h4>{day.date.toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" })}</h4>
+                <ul>
+                  {day.sessions.map((session) => (
+                    <li key={`${session.subject}:${session.topic}:${session.part}`}>
+                      <span className="planner-hours">{session.hours} h</span>
+                      {session.topic}{session.part && ` (part ${session.part})`}
+                      {session.likelihood >= HOT_LIKELIHOOD && <span title="Comes up often in past papers"> 🔥</span>}
+                      <small>{session.code || session.subject}</small>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+            {plan.revision && (
+              <li>
+                <h4>{plan.revision.date.toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" })}</h4>
+                <ul><li><span className="planner-hours">{plan.revision.hours} h</span>Revision</li></ul>
+              </li>
+            )}
+          </ol>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default StudyPlanner;
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import api, { getErrorMessage } from "../api";
+import "./SyllabusCompare.css";
+
+const STATUS_LABELS = { added: "New subject", removed: "Dropped subject" };
+
+// "Delhi University · 2024-25", or the semester when the scheme carries no year
+const describe = (syllabus) => `${syllabus.university} · ${syllabus.academicYear || `Semester ${syllabus.semester}`}`;
+
+const TopicList = ({ kind, topics, render }) => (
+  topics.length > 0 && (
+    <ul className={`compare-topics ${kind}`}>
+      {topics.map((topic) => <li key={`${kind}:${topic.title}`}>{render(topic)}</li>)}
+    </ul>
+  )
+);
+
+const SubjectDiff = ({ subject }) => {
+  const hasTopicChanges = subject.added.length + subject.removed.length + subject.moved.length > 0;
+
+  return (
+    <section className={`compare-subject ${subject.status}`}>
+      <header>
+        <h3>
+          {subject.code && <span className="compare-code">{subject.code}</span>}
+          {subject.name}
+        </h3>
+        {STATUS_LABELS[subject.status] && <span className="compare-status">{STATUS_LABELS[subject.status]}</span>}
+      </header>
+
+      {subject.changes.length > 0 && (
+        <ul className="compare-changes">
+          {subject.changes.map((change) => (
+            <li key={change.field}>{change.field}: <del>{change.from ?? "—"}</del> → <ins>{change.to ?? "—"}</ins></li>
+          ))}
+        </ul>
+      )}
+
+      <TopicList kind="added" topics={subject.added} render={(topic) => <>+ {topic.title} <small>{topic.unit}</small></>} />
+      <TopicList kind="removed" topics={subject.removed} render={(topic) => <>− {topic.title} <small>{topic.unit}</small></>} />
+      <TopicList kind="moved" topics={subject.moved} render={(topic) => <>↪ {topic.title} <small>{topic.from} → {topic.to}</small></>} />
+
+      {!hasTopicChanges && subject.changes.length === 0 && (
+        <p className="compare-muted">{subject.unchanged ? `No changes in its ${subject.unchanged} topics.` : "No units or topics listed."}</p>
+      )}
+      {hasTopicChanges && subject.unchanged > 0 && <p className="compare-muted">{subject.unchanged} topics unchanged.</p>}
+    </section>
+  );
+};
+
+// What changed from one syllabus to another: topics added, removed and moved between units, per subject
+const SyllabusCompare = ({ fromId, toId }) => {
+  const [comparison, setComparison] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    api.get("/syllabi/compare", { params: { from: fromId, to: toId }, signal: controller.signal })
+      .then(({ data }) => {
+        setComparison(data);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [fromId, toId]);
+
+  if (isLoading) return <p className="compare-muted">Comparing syllabi...</p>;
+  if (loadError) return <p className="compare-muted">{loadError}</p>;
+
+  const { from, to, subjects, totals } = comparison;
+
+  return (
+    <div className="syllabus-compare">
+      <div className="compare-sides">
+        {[from, to].map((syllabus, index) => (
+          <Link key={syllabus._id} to={`/syllabus/${syllabus._id}`} className="compare-side">
+            <span className="compare-muted">{index === 0 ? "From" : "To"}</span>
+            <strong>{syllabus.title}</strong>
+            <span>{describe(syllabus)}</span>
+          </Link>
+        ))}
+      </div>
+
+      <div className="compare-totals">
+        <span className="added">+{totals.added} added</span>
+        <span className="removed">−{totals.removed} removed</span>
+        <span className="moved">↪ {totals.moved} moved</span>
+        <span>{totals.unchanged} unchanged</span>
+      </div>
+
+      {subjects.length === 0
+        ? <p className="compare-muted">Neither syllabus lists any subjects yet.</p>
+        : subjects.map((subject) => <SubjectDiff key={`${subject.status}:${subject.code}:${subject.name}`} subject={subject} />)}
+    </div>
+  );
+};
+
+export default SyllabusCompare;
@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import { countTopics, toPercent, useSyllabusProgress } from "../progress/SyllabusProgressProvider";
+import ProgressBar from "./ProgressBar";
+import "./SyllabusTracker.css";
+
+// The most the server keeps per subject and per unit
+const MAX_UNITS = 20;
+const MAX_TOPICS = 60;
+
+// Small inline form that adds one unit, or several comma-separated topics at once
+const AddItemForm = ({ placeholder, label, onAdd, splitItems = false }) => {
+  const [value, setValue] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const titles = (splitItems ? value.split(/[,;\n]/) : [value])
+      .map((title) => title.trim().slice(0, 120))
+      .filter(Boolean);
+    if (!titles.length) return;
+    onAdd(titles);
+    setValue("");
+  };
+
+  return (
+    <form className="tracker-add" onSubmit={handleSubmit}>
+      <input value={value} onChange={(e) => setValue(e.target.value)} placeholder={placeholder} aria-label={label} maxLength={splitItems ? 2000 : 120} />
+      <button type="submit" disabled={!value.trim()}>Add</button>
+    </form>
+  );
+};
+
+const Counts = ({ node }) => {
+  const counts = countTopics(node);
+  return (
+    <span className="tracker-counts">
+      {counts.total ? `${counts.done}/${counts.total} · ${toPercent(counts)}%` : "No topics yet"}
+    </span>
+  );
+};
+
+// Progress on one adopted syllabus: subjects expand into the syllabus's units and topics, which the
+// student can add to or trim, and ticking topics fills the subject and overall bars. Changes are
+// saved as they are made.
+const SyllabusTracker = ({ tracker, onStopTracking }) => {
+  const { updateTracker } = useSyllabusProgress();
+  const [openSubjects, setOpenSubjects] = useState(() => new Set(tracker.subjects.length === 1 ? [0] : []));
+
+  const overall = countTopics(tracker);
+
+  // Applies `change` to a copy of subject `subjectIndex` and saves the tracker
+  const changeSubject = (subjectIndex, change) => {
+    updateTracker(tracker.syllabus, tracker.subjects.map((subject, index) => (index === subjectIndex ? change(subject) : subject)));
+  };
+
+  const changeUnit = (subjectIndex, unitIndex, change) => {
+    changeSubject(subjectIndex, (subject) => ({
+      ...subject,
+      units: subject.units.map((unit, index) => (index === unitIndex ? change(unit) : unit)),
+    }));
+  };
+
+  const toggleSubject = (subjectIndex) => {
+    const next = new Set(openSubjects);
+    if (next.has(subjectIndex)) next.delete(subjectIndex);
+    else next.add(subjectIndex);
+    setOpenSubjects(next);
+  };
+
+  const removeUnit = (subjectIndex, unit, unitIndex) => {
+    if (unit.topics.length > 0 && !window.confirm(`Remove "${unit.title}" and its ${unit.topics.length} topics?`)) return;
+    changeSubject(subjectIndex, (subject) => ({ ...subject, units: subject.units.filter((_, index) => index !== unitIndex) }));
+  };
+
+  return (
+    <section className="tracker" aria-label="Syllabus progress">
+      <header className="tracker-overall">
+        <div className="tracker-overall-text">
+          <strong>{toPercent(overall)}% covered</strong>
+          <span>{overall.total ? `${overall.done} of ${overall.total} topics` : "Add units and topics to each subject to start tracking."}</span>
+        </div>
+        <ProgressBar percent={toPercent(overall)} label="Overall progress" />
+      </header>
+
+      <ul className="tracker-subjects">
+        {tracker.subjects.map((subject, subjectIndex) => {
+          const isOpen = openSubjects.has(subjectIndex);
+          return (
+            <li key={subject.name} className="tracker-subject">
+              <button type="button" className="tracker-subject-toggle" onClick={() => toggleSubject(subjectIndex)} aria-expanded={isOpen}>
+                <span className="tracker-caret">{isOpen ? "▾" : "▸"}</span>
+                <span className="tracker-subject-name">{subject.name}</span>
+                <Counts node={subject} />
+              </button>
+              <ProgressBar percent={toPercent(countTopics(subject))} label={`${subject.name} progress`} size="small" />
+
+              {isOpen && (
+                <div className="tracker-units">
+                  {subject.units.map((unit, unitIndex) => (
+                    <div key={`${unitIndex}:${unit.title}`} className="tracker-unit">
+                      <div className="tracker-unit-header">
+                        <strong>{unit.title}</strong>
+                        <Counts node={unit} />
+                        <button type="button" className="tracker-remove" onClick={() => removeUnit(subjectIndex, unit, unitIndex)} aria-label={`Remove ${unit.title}`}>✕</button>
+                      </div>
+                      <ul className="tracker-topics">
+                        {unit.topics.map((topic, topicIndex) => (
+                          <li key={`${topicIndex}:${topic.title}`} className={topic.done ? "done" : ""}>
+                            <label>
+                              <input
+                                type="checkbox"
+                                checked={topic.done}
+                                onChange={() => changeUnit(subjectIndex, unitIndex, (current) => ({
+                                  ...current,
+                                  topics: current.topics.map((item, index) => (index === topicIndex ? { ...item, done: !item.done } : item)),
+                                }))}
+                              />
+                              {topic.title}
+                            </label>
+                            <button
+                              type="button"
+                              className="tracker-remove"
+                              onClick={() => changeUnit(subjectIndex, unitIndex, (current) => ({
+                                ...current,
+                                topics: current.topics.filter((_, index) => index !== topicIndex),
+                              }))}
+                              aria-label={`Remove ${topic.title}`}
+                            >
+                              ✕
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                      <AddItemForm
+                        placeholder="Add topics, separated by commas"
+                        label={`Add topics to ${unit.title}`}
+                        splitItems
+                        onAdd={(titles) => changeUnit(subjectIndex, unitIndex, (current) => ({
+                          ...current,
+                          topics: [...current.topics, ...titles.map((title) => ({ title, done: false }))].slice(0, MAX_TOPICS),
+                        }))}
+                      />
+                    </div>
+                  ))}
+                  {subject.units.length < MAX_UNITS && (
+                    <AddItemForm
+                      placeholder="Add a unit, e.g. Unit 1: Introduction"
+                      label={`Add a unit to ${subject.name}`}
+                      onAdd={([title]) => changeSubject(subjectIndex, (current) => ({ ...current, units: [...current.units, { title, topics: [] }] }))}
+                    />
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <footer className="tracker-footer">
+        <button type="button" onClick={onStopTracking}>Stop tracking this syllabus</button>
+      </footer>
+    </section>
+  );
+};
+
+export default SyllabusTracker;
@@ -0,0 +1,31 @@
+import React from "react";
+import { useBookmarks } from "../bookmarks/BookmarksProvider";
+import { useSyllabusProgress } from "../progress/SyllabusProgressProvider";
+import "./SyncNotice.css";
+
+// Tells a signed-in user when what they saved could not reach their account, with a way to try again
+const SyncNotice = () => {
+  const bookmarks = useBookmarks();
+  const progress = useSyllabusProgress();
+  const notices = [bookmarks, progress].filter((source) => source.syncError);
+  if (notices.length === 0) return null;
+
+  return (
+    <div className="sync-notices">
+      {notices.map(({ syncError, clearSyncError, retrySync, discardGuestData }) => (
+        <div key={syncError} className="sync-notice" role="alert">
+          <p>{syncError}</p>
+          <div className="sync-notice-actions">
+            {retrySync && <button type="button" onClick={retrySync}>Try again</button>}
+            {discardGuestData && (
+              <button type="button" onClick={discardGuestData}>Discard browser copy</button>
+            )}
+          </div>
+          <button type="button" className="sync-notice-dismiss" onClick={clearSyncError} aria-label="Dismiss">×</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SyncNotice;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import api, { getErrorMessage } from "../api";
+import "./TopicInsights.css";
+
+// Heat colour for a cell: pale for one question, deeper gold as a topic repeats in that year
+const heatColor = (count, max) => {
+  if (!count) return "transparent";
+  const strength = 0.25 + 0.75 * (count / max);
+  return `rgba(255, 179, 0, ${strength.toFixed(2)})`;
+};
+
+// Topic-by-year heatmap and "most likely topics" ranking for one subject,
+// from GET /api/analytics/pyqs/topics. Key it by subject so the year range resets.
+const TopicInsights = ({ subject, years = [] }) => {
+  const [fromYear, setFromYear] = useState("");
+  const [toYear, setToYear] = useState("");
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    if (!subject) return undefined;
+    const controller = new AbortController();
+    const params = { subject };
+    if (fromYear) params.fromYear = fromYear;
+    if (toYear) params.toYear = toYear;
+
+    setIsLoading(true);
+    api.get("/analytics/pyqs/topics", { params, signal: controller.signal })
+      .then(({ data: result }) => {
+        setData(result);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [subject, fromYear, toYear]);
+
+  if (!subject) {
+    return <p className="topic-muted">Pick a subject above to see which topics keep coming back.</p>;
+  }
+  if (loadError) return <p className="topic-muted">{loadError}</p>;
+  if (!data) return <p className="topic-muted">Loading topics...</p>;
+
+  const maxCount = Math.max(1, ...data.topics.flatMap((topic) => Object.values(topic.years).map((y) => y.questions)));
+
+  return (
+    <div className={`topic-insights ${isLoading ? "loading" : ""}`}>
+      <div className="topic-range">
+        <label>
+          From
+          <select value={fromYear} onChange={(e) => setFromYear(e.target.value)}>
+            <option value="">Earliest</option>
+            {years.map((year) => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </label>
+        <label>
+          To
+          <select value={toYear} onChange={(e) => setToYear(e.target.value)}>
+            <option value="">Latest</option>
+            {years.map((year) => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </label>
+        <span className="topic-muted-inline">
+          {data.papers} paper{data.papers !== 1 ? "s" : ""} · {data.totalMarks} marks tagged
+        </span>
+      </div>
+
+      {data.topics.length === 0 ? (
+        <p className="topic-muted">No questions have been tagged with topics for these papers yet.</p>
+      ) : (
+        <div className="topic-panels">
+          <div className="topic-heatmap-wrapper">
+            <h3>🔥 Topic Heatmap</h3>
+            <table className="topic-heatmap">
+              <thead>
+                <tr>
+                  <th>Topic</th>
+                  {data.years.map((year) => <th key={year}>{year}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {data.topics.map((topic) => (
+                  <tr key={topic.topic}>
+                    <th scope="row">{topic.topic}</th>
+                    {data.years.map((year) => {
+                      const cell = topic.years[year];
+                      return (
+                        <td
+                          key={year}
+                          style={{ backgroundColor: heatColor(cell && cell.questions, maxCount) }}
+                          title={cell ? `${cell.questions} question(s), ${cell.marks} marks` : "Not asked"}
+                        >
+                          {cell ? cell.marks || cell.questions : ""}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="topic-muted-inline">Cells show marks asked that year; darker means more questions.</p>
+          </div>
+
+          <div className="topic-ranking">
+            <h3>🎯 Most Likely Topics</h3>
+            <ol>
+              {data.topics.slice(0, 8).map((topic, index) => (
+                <motion.li
+                  key={topic.topic}
+                  initial={{ opacity: 0, x: 20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                >
+                  <div className="topic-ranking-row">
+                    <strong>{topic.topic}</strong>
+                    <span>{Math.round(topic.likelihood * 100)}%</span>
+                  </div>
+                  <div className="topic-bar">
+                    <span style={{ width: `${Math.round(topic.likelihood * 100)}%` }} />
+                  </div>
+                  <div className="topic-muted-inline">
+                    {topic.questions} question{topic.questions !== 1 ? "s" : ""} · {topic.weightage}% of marks
+                  </div>
+                </motion.li>
+              ))}
+            </ol>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TopicInsights;
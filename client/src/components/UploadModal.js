@@ -0,0 +1,161 @@
+// client/src/components/UploadModal.js
+import React, { useState, useEffect } from "react";
+import api, { getErrorMessage } from "../api";
+import './FeedbackModal.css'; // Shares the modal look with the feedback form
+
+const MAX_UPLOAD_MB = 20;
+const ACCEPTED_FILES = '.pdf,.ppt,.pptx,.doc,.docx';
+const CURRENT_YEAR = new Date().getFullYear();
+
+const UploadModal = ({ onClose, onSuccess, defaultCategory = 'notes' }) => {
+  const [formData, setFormData] = useState({
+    title: '',
+    category: defaultCategory,
+    university: '',
+    department: '',
+    semester: '',
+    subject: '',
+    difficulty: 'Beginner',
+    tags: '',
+    year: '',
+  });
+  const [file, setFile] = useState(null);
+  const [statusMessage, setStatusMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Effect to handle closing the modal with the Escape key
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleEscapeKey);
+    return () => {
+      document.removeEventListener('keydown', handleEscapeKey);
+    };
+  }, [onClose]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prevState => ({ ...prevState, [name]: value }));
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    if (selected && selected.size > MAX_UPLOAD_MB * 1024 * 1024) {
+      setStatusMessage(`Error: File is too large. The limit is ${MAX_UPLOAD_MB} MB.`);
+      e.target.value = '';
+      setFile(null);
+      return;
+    }
+    setStatusMessage('');
+    setFile(selected);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setStatusMessage('Error: Please choose a file to upload.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setStatusMessage('Uploading...');
+
+    const payload = new FormData();
+    Object.entries(formData).forEach(([key, value]) => payload.append(key, value));
+    payload.append('file', file);
+
+    try {
+      const { data } = await api.post('/uploads', payload);
+
+      setStatusMessage(data.message);
+      if (onSuccess) {
+        onSuccess(data.upload);
+      }
+      setTimeout(() => {
+        onClose();
+      }, 2000);
+    } catch (error) {
+      setStatusMessage(`Error: ${getErrorMessage(error)}`);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <button className="close-button" onClick={onClose}>&times;</button>
+        <h2>Upload Study Material</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="category">What are you sharing?</label>
+            <select id="category" name="category" value={formData.category} onChange={handleChange}>
+              <option value="notes">Notes / Books / PPTs</option>
+              <option value="syllabus">Syllabus</option>
+              <option value="pyq">Previous Year Paper</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="title">Title</label>
+            <input type="text" id="title" name="title" value={formData.title} onChange={handleChange} required maxLength={150} placeholder="e.g., Operating Systems - Unit 3 Notes" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="university">University</label>
+            <input type="text" id="university" name="university" value={formData.university} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label htmlFor="department">Department</label>
+            <input type="text" id="department" name="department" value={formData.department} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label htmlFor="semester">Semester</label>
+            <select id="semester" name="semester" value={formData.semester} onChange={handleChange} required>
+              <option value="">Select Semester</option>
+              {[...Array(8)].map((_, i) => (
+                <option key={i + 1} value={i + 1}>{i + 1}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="subject">Subject</label>
+            <input type="text" id="subject" name="subject" value={formData.subject} onChange={handleChange} required />
+          </div>
+          {formData.category === 'notes' && (
+            <>
+              <div className="form-group">
+                <label htmlFor="difficulty">Level</label>
+                <select id="difficulty" name="difficulty" value={formData.difficulty} onChange={handleChange}>
+                  <option value="Beginner">Beginner</option>
+                  <option value="Intermediate">Intermediate</option>
+                  <option value="Advanced">Advanced</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="tags">Tags (comma separated)</label>
+                <input type="text" id="tags" name="tags" value={formData.tags} onChange={handleChange} placeholder="e.g., CSE, OS, Semester 4" />
+              </div>
+            </>
+          )}
+          {formData.category === 'pyq' && (
+            <div className="form-group">
+              <label htmlFor="year">Exam Year</label>
+              <input type="number" id="year" name="year" value={formData.year} onChange={handleChange} required min={1990} max={CURRENT_YEAR} placeholder={`e.g., ${CURRENT_YEAR - 1}`} />
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="file">File (PDF, PPT, PPTX, DOC, DOCX · max {MAX_UPLOAD_MB} MB)</label>
+            <input type="file" id="file" name="file" accept={ACCEPTED_FILES} onChange={handleFileChange} required />
+          </div>
+          <button type="submit" className="submit-form-btn" disabled={isSubmitting}>
+            {isSubmitting ? 'Uploading...' : 'Upload'}
+          </button>
+        </form>
+        {statusMessage && <p className="status-message">{statusMessage}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default UploadModal;
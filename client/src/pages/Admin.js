@@ -0,0 +1,300 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Link } from "react-router-dom";
+import api, { API_BASE_URL, getErrorMessage, openFromApi } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+import "./Admin.css";
+
+const ROLES = ["student", "contributor", "moderator", "admin"];
+const STATUSES = ["pending", "approved", "rejected"];
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+// Uploads still in review are only served with the moderator's token, so a plain link would 404
+const openUpload = (event, id) => {
+  event.preventDefault();
+  openFromApi(`/uploads/${id}/file`).catch((error) => window.alert(getErrorMessage(error)));
+};
+
+// Columns and filters for each dashboard tab; `moderated` tabs get approve/reject actions
+const TABS = {
+  feedback: {
+    label: "Feedback",
+    endpoint: "/admin/feedback",
+    moderated: true,
+    filter: { name: "status", allLabel: "All statuses", options: STATUSES },
+    columns: [
+      { label: "Subject", render: (item) => item.subject },
+      { label: "University", render: (item) => item.university },
+      { label: "Student", render: (item) => item.studentName || "Anonymous" },
+      { label: "Difficulty", render: (item) => item.difficulty },
+      { label: "Rating", render: (item) => `${item.rating}/5` },
+      { label: "Reports", render: (item) => item.reportCount || 0 },
+      { label: "Feedback", render: (item) => <span className="admin-cell-text">{item.feedback || item.tips}</span> },
+      { label: "Submitted", render: (item) => formatDate(item.createdAt) },
+    ],
+  },
+  uploads: {
+    label: "Materials",
+    endpoint: "/admin/uploads",
+    moderated: true,
+    filter: { name: "status", allLabel: "All statuses", options: STATUSES },
+    columns: [
+      {
+        label: "Title",
+        render: (item) => (
+          <a href={`${API_BASE_URL}/api/uploads/${item._id}/file`} onClick={(e) => openUpload(e, item._id)}>
+            {item.title}
+          </a>
+        ),
+      },
+      { label: "Type", render: (item) => item.category },
+      { label: "Subject", render: (item) => `${item.subject} (Sem ${item.semester})` },
+      { label: "University", render: (item) => item.university },
+      { label: "Uploader", render: (item) => item.uploader },
+      { label: "Uploaded", render: (item) => formatDate(item.createdAt) },
+    ],
+  },
+  users: {
+    label: "Users",
+    endpoint: "/admin/users",
+    adminOnly: true,
+    filter: { name: "role", allLabel: "All roles", options: ROLES },
+    columns: [
+      { label: "Name", render: (item) => item.name },
+      { label: "Email", render: (item) => item.email },
+      { label: "Joined", render: (item) => formatDate(item.createdAt) },
+    ],
+  },
+};
+
+const Admin = () => {
+  const { user, loading, hasRole } = useAuth();
+  const isAdmin = hasRole("admin");
+
+  const [activeTab, setActiveTab] = useState("feedback");
+  const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [filterValue, setFilterValue] = useState("");
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ items: [], total: 0, pages: 1 });
+  const [selected, setSelected] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const tab = TABS[activeTab];
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchItems = useCallback(() => {
+    const params = { page };
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (filterValue) params[tab.filter.name] = filterValue;
+
+    setIsLoading(true);
+    return api
+      .get(tab.endpoint, { params })
+      .then(({ data }) => {
+        setResult(data);
+        setSelected([]);
+      })
+      .catch((error) => setMessage(getErrorMessage(error)))
+      .finally(() => setIsLoading(false));
+  }, [tab, page, debouncedSearch, filterValue]);
+
+  useEffect(() => {
+    if (hasRole("moderator", "admin")) fetchItems();
+  }, [fetchItems, hasRole]);
+
+  const switchTab = (key) => {
+    setActiveTab(key);
+    setSearch("");
+    setDebouncedSearch("");
+    setFilterValue("");
+    setPage(1);
+    setSelected([]);
+    setMessage("");
+  };
+
+  // Runs an action, reports the server's message and reloads the current page
+  const runAction = async (request) => {
+    try {
+      const { data } = await request;
+      setMessage(data.message);
+      await fetchItems();
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+    }
+  };
+
+  const handleModerate = (item, status) => {
+    let reason;
+    if (status === "rejected") {
+      reason = window.prompt("Why is this being rejected?");
+      if (!reason) return;
+    }
+    runAction(api.patch(`/moderation/${activeTab}/${item._id}`, { status, reason }));
+  };
+
+  const handleBulkDelete = () => {
+    if (!window.confirm(`Delete ${selected.length} selected item(s)? This cannot be undone.`)) return;
+    runAction(api.post(`/admin/${activeTab}/bulk-delete`, { ids: selected }));
+  };
+
+  const handleRoleChange = (item, role) => {
+    runAction(api.patch(`/admin/users/${item._id}/role`, { role }));
+  };
+
+  const toggleSelected = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const allSelected = result.items.length > 0 && selected.length === result.items.length;
+  const toggleAll = () => setSelected(allSelected ? [] : result.items.map((item) => item._id));
+
+  if (loading) {
+    return <div className="admin-page"><p className="admin-muted">Loading...</p></div>;
+  }
+
+  if (!hasRole("moderator", "admin")) {
+    return (
+      <div className="admin-page">
+        <div className="admin-denied">
+          <h1>🔒 Admins only</h1>
+          <p>You need a moderator or admin account to view this page.</p>
+          {!user && <Link to="/login" state={{ from: "/admin" }}>Sign in</Link>}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <motion.div
+      className="admin-page"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <h1>🛠️ Admin Dashboard</h1>
+
+      <div className="admin-tabs">
+        {Object.entries(TABS)
+          .filter(([, config]) => !config.adminOnly || isAdmin)
+          .map(([key, config]) => (
+            <button
+              key={key}
+              className={`admin-tab ${activeTab === key ? "active" : ""}`}
+              onClick={() => switchTab(key)}
+            >
+              {config.label}
+            </button>
+          ))}
+      </div>
+
+      <div className="admin-toolbar">
+        <input
+          type="search"
+          className="admin-search"
+          placeholder={`Search ${tab.label.toLowerCase()}...`}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select
+          value={filterValue}
+          onChange={(e) => {
+            setFilterValue(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value="">{tab.filter.allLabel}</option>
+          {tab.filter.options.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        <button className="admin-btn danger" onClick={handleBulkDelete} disabled={selected.length === 0}>
+          Delete selected ({selected.length})
+        </button>
+      </div>
+
+      {message && (
+        <p className="admin-message" role="status">
+          {message}
+          <button aria-label="Dismiss" onClick={() => setMessage("")}>&times;</button>
+        </p>
+      )}
+
+      <div className="admin-table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>
+                <input type="checkbox" aria-label="Select all" checked={allSelected} onChange={toggleAll} />
+              </th>
+              {tab.columns.map((column) => <th key={column.label}>{column.label}</th>)}
+              <th>{tab.moderated ? "Status" : "Role"}</th>
+              {tab.moderated && <th>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {result.items.map((item) => (
+              <tr key={item._id}>
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label="Select row"
+                    checked={selected.includes(item._id)}
+                    onChange={() => toggleSelected(item._id)}
+                  />
+                </td>
+                {tab.columns.map((column) => <td key={column.label}>{column.render(item)}</td>)}
+                {tab.moderated ? (
+                  <>
+                    <td>
+                      <span className={`admin-status ${item.status || "approved"}`} title={item.moderationReason || undefined}>
+                        {item.status || "approved"}
+                      </span>
+                    </td>
+                    <td className="admin-actions">
+                      <button className="admin-btn" onClick={() => handleModerate(item, "approved")} disabled={item.status === "approved"}>
+                        Approve
+                      </button>
+                      <button className="admin-btn danger" onClick={() => handleModerate(item, "rejected")} disabled={item.status === "rejected"}>
+                        Reject
+                      </button>
+                    </td>
+                  </>
+                ) : (
+                  <td>
+                    <select
+                      value={item.role}
+                      onChange={(e) => handleRoleChange(item, e.target.value)}
+                      disabled={item._id === user._id}
+                    >
+                      {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isLoading && result.items.length === 0 && <p className="admin-muted">Nothing to show here.</p>}
+        {isLoading && <p className="admin-muted">Loading...</p>}
+      </div>
+
+      <div className="admin-pagination">
+        <button className="admin-btn" onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>← Previous</button>
+        <span>Page {page} of {result.pages} · {result.total} total</span>
+        <button className="admin-btn" onClick={() => setPage(page + 1)} disabled={page >= result.pages || isLoading}>Next →</button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default Admin;
@@ -11,11 +11,15 @@ import {
 } from 'chart.js';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaArrowUp } from "react-icons/fa";
+import api from '../api';
+import TopicInsights from '../components/TopicInsights';
 import './Analytics.css';
 import './ScrollToTop.css';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, ArcElement, Tooltip, Legend);
 
+const CHART_COLORS = ['#FFD700', '#FFED4A', '#FFA500', '#FFA07A', '#87CEEB', '#9370DB'];
+
 const Analytics = () => {
   // Animation Variants
   const fadeInUp = {
@@ -33,16 +37,43 @@ const Analytics = () => {
     visible: { opacity: 1, scale: 1, transition: { duration: 0.5, ease: "easeOut" } },
   };
 
-  // Dummy Data
-  const subjects = ['DSA', 'DBMS', 'CN', 'OS', 'Java', 'Python'];
-  const pyqCount = [25, 18, 10, 15, 20, 12];
+  // State to track selected subject
+  const [selectedSubject, setSelectedSubject] = useState('all');
+
+  // Breakdowns from GET /api/analytics/pyqs, re-fetched whenever the subject changes
+  const [analytics, setAnalytics] = useState(null);
+  const [loadError, setLoadError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = selectedSubject !== 'all' ? { subject: selectedSubject } : {};
+
+    api.get('/analytics/pyqs', { params, signal: controller.signal })
+      .then(({ data }) => {
+        setAnalytics(data);
+        setLoadError('');
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error('Error fetching PYQ analytics', error);
+        setLoadError('We could not load the analytics right now. Please try again later.');
+      });
+
+    return () => controller.abort();
+  }, [selectedSubject]);
+
+  // With one subject picked, a per-subject bar would be a single column, so show its years instead
+  const barSource = selectedSubject === 'all'
+    ? { title: 'PYQs by Subject', buckets: analytics ? analytics.bySubject : [] }
+    : { title: `${selectedSubject} Papers by Year`, buckets: analytics ? analytics.byYear : [] };
+  const universityBuckets = analytics ? analytics.byUniversity : [];
 
   const barData = {
-    labels: subjects,
+    labels: barSource.buckets.map((bucket) => bucket.value),
     datasets: [
       {
-        label: 'PYQs by Subject',
-        data: pyqCount,
+        label: barSource.title,
+        data: barSource.buckets.map((bucket) => bucket.count),
         backgroundColor: '#ffd700',
         borderColor: '#ffed4a',
         borderWidth: 1,
@@ -51,20 +82,24 @@ const Analytics = () => {
   };
 
   const pieData = {
-    labels: subjects,
+    labels: universityBuckets.map((bucket) => bucket.value),
     datasets: [
       {
-        label: 'PYQ Distribution',
-        data: pyqCount,
-        backgroundColor: [
-          '#FFD700', '#FFED4A', '#FFA500', '#FFA07A', '#87CEEB', '#9370DB'
-        ],
+        label: 'Papers by University',
+        data: universityBuckets.map((bucket) => bucket.count),
+        backgroundColor: CHART_COLORS,
       },
     ],
   };
 
-  // State to track selected subject
-  const [selectedSubject, setSelectedSubject] = useState('all');
+  // Largest bucket of a breakdown, e.g. the subject with the most papers
+  const topOf = (buckets) => (buckets && buckets.length
+    ? buckets.reduce((best, bucket) => (bucket.count > best.count ? bucket : best))
+    : null);
+
+  const topSubject = analytics && topOf(analytics.bySubject);
+  const topSemester = analytics && topOf(analytics.bySemester);
+  const latestYear = analytics && analytics.byYear.length ? analytics.byYear[analytics.byYear.length - 1] : null;
 
   // State for the scroll-to-top button
   const [showScroll, setShowScroll] = useState(false);
@@ -150,6 +185,27 @@ const Analytics = () => {
           </div>
         </motion.section>
 
+        <motion.section 
+          className="filter-section"
+          initial="hidden"
+          whileInView="visible"
+          viewport={{ once: true, margin: "-100px" }}
+          variants={fadeInUp}
+        >
+          <h2>🎯 Filter by Subject</h2>
+          <select
+            value={selectedSubject}
+            onChange={(e) => {
+              setSelectedSubject(e.target.value);
+            }}
+          >
+            <option value="all">All Subjects</option>
+            {analytics && analytics.filters.subjects.map((subject) => (
+              <option key={subject} value={subject}>{subject}</option>
+            ))}
+          </select>
+        </motion.section>
+
         <motion.section 
           className="analytics-section"
           initial="hidden"
@@ -157,12 +213,16 @@ const Analytics = () => {
           viewport={{ once: true, margin: "-100px" }}
           variants={staggerChildren}
         >
+          {loadError && <p className="analytics-message">{loadError}</p>}
+          {analytics && analytics.total === 0 && (
+            <p className="analytics-message">No question papers in the catalog yet.</p>
+          )}
           <motion.div className="chart-container" variants={scaleIn} whileHover={{ y: -5, boxShadow: "0 12px 28px rgba(0,0,0,0.1)" }}>
-            <h2>PYQs by Subject (Bar Chart)</h2>
+            <h2>{barSource.title} (Bar Chart)</h2>
             <Bar data={barData} />
           </motion.div>
           <motion.div className="chart-container" variants={scaleIn} whileHover={{ y: -5, boxShadow: "0 12px 28px rgba(0,0,0,0.1)" }}>
-            <h2>PYQ Subject Distribution (Pie Chart)</h2>
+            <h2>Papers by University (Pie Chart)</h2>
             <Pie data={pieData} />
           </motion.div>
         </motion.section>
@@ -176,34 +236,39 @@ const Analytics = () => {
         >
           <motion.h2 variants={fadeInUp}>📊 Insights Summary</motion.h2>
           <motion.ul variants={staggerChildren}>
-            <motion.li variants={fadeInUp}>📈 <strong>DSA</strong> has the highest number of PYQs – focus more on problem-solving practice.</motion.li>
-            <motion.li variants={fadeInUp}>📘 <strong>DBMS</strong> and <strong>Java</strong> also have significant weightage in exams.</motion.li>
+            {analytics && analytics.total > 0 ? (
+              <>
+                <motion.li variants={fadeInUp}>📚 <strong>{analytics.total}</strong> question paper{analytics.total !== 1 ? 's' : ''} in this view.</motion.li>
+                {selectedSubject === 'all' && topSubject && (
+                  <motion.li variants={fadeInUp}>📈 <strong>{topSubject.value}</strong> has the most PYQs ({topSubject.count}) – focus more on it.</motion.li>
+                )}
+                {topSemester && (
+                  <motion.li variants={fadeInUp}>📘 Semester <strong>{topSemester.value}</strong> has the most papers on record.</motion.li>
+                )}
+                {latestYear && (
+                  <motion.li variants={fadeInUp}>🗓️ The most recent papers are from <strong>{latestYear.value}</strong>.</motion.li>
+                )}
+              </>
+            ) : (
+              <motion.li variants={fadeInUp}>📭 Insights will appear once question papers are uploaded.</motion.li>
+            )}
             <motion.li variants={fadeInUp}>🎯 Use this trend to plan your revision and mock test priorities.</motion.li>
           </motion.ul>
         </motion.section>
 
         <motion.section 
-          className="filter-section"
+          className="insights-section"
           initial="hidden"
           whileInView="visible"
           viewport={{ once: true, margin: "-100px" }}
           variants={fadeInUp}
         >
-          <h2>🎯 Filter by Subject</h2>
-          <select
-            value={selectedSubject}
-            onChange={(e) => {
-              setSelectedSubject(e.target.value);
-            }}
-          >
-            <option value="all">All Subjects</option>
-            <option value="dsa">DSA</option>
-            <option value="dbms">DBMS</option>
-            <option value="cn">Computer Networks</option>
-            <option value="os">Operating Systems</option>
-            <option value="java">Java</option>
-            <option value="python">Python</option>
-          </select>
+          <h2>🧠 Topic Trends</h2>
+          <TopicInsights
+            key={selectedSubject}
+            subject={selectedSubject !== 'all' ? selectedSubject : ''}
+            years={selectedSubject !== 'all' && analytics ? analytics.byYear.map((bucket) => bucket.value) : []}
+          />
         </motion.section>
 
         <motion.section 
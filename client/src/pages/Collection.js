@@ -0,0 +1,322 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import api, { addClientFingerprint, downloadFromApi, getDownloadUrl, getErrorMessage } from "../api";
+import "./Collection.css";
+
+const KIND_LABELS = { note: "Notes", syllabus: "Syllabus", pyq: "PYQ" };
+
+// Search result types that can go into a pack, and the item kind each becomes
+const SEARCH_KINDS = { notes: "note", syllabi: "syllabus", pyqs: "pyq" };
+
+// The ordered list in the shape PUT /collections/:id expects
+const toPayload = (items) => items.map(({ kind, itemId, note }) => ({ kind, item: itemId, note }));
+
+const Collection = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [collection, setCollection] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [details, setDetails] = useState({ title: "", description: "", subject: "" });
+
+  const [searchTerm, setSearchTerm] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    api.get(`/collections/${id}`, { signal: controller.signal })
+      .then(({ data }) => {
+        setCollection(data);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [id]);
+
+  // Candidates for the pack come from the site-wide search
+  useEffect(() => {
+    const term = searchTerm.trim();
+    if (!term) {
+      setSearchResults([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      api.get("/search", { params: { q: term, limit: 5 }, signal: controller.signal })
+        .then(({ data }) => setSearchResults(data.results.filter((result) => SEARCH_KINDS[result.type])))
+        .catch((error) => {
+          if (!controller.signal.aborted) setMessage(getErrorMessage(error));
+        });
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [searchTerm]);
+
+  const save = async (changes, successMessage) => {
+    setIsSaving(true);
+    try {
+      const { data } = await api.put(`/collections/${id}`, changes);
+      setCollection(data);
+      setMessage(successMessage);
+      return true;
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const moveItem = (index, offset) => {
+    const items = [...collection.items];
+    const [moved] = items.splice(index, 1);
+    items.splice(index + offset, 0, moved);
+    save({ items: toPayload(items) }, "Order saved.");
+  };
+
+  const removeItem = (index) => {
+    save({ items: toPayload(collection.items.filter((_, i) => i !== index)) }, "Item removed.");
+  };
+
+  const addItem = (result) => {
+    const kind = SEARCH_KINDS[result.type];
+    if (collection.items.some((item) => item.kind === kind && item.itemId === result.id)) {
+      setMessage("That item is already in this collection.");
+      return;
+    }
+    save({ items: [...toPayload(collection.items), { kind, item: result.id }] }, `Added “${result.title}”.`);
+  };
+
+  const startEditing = () => {
+    setDetails({
+      title: collection.title,
+      description: collection.description || "",
+      subject: collection.subject || "",
+    });
+    setIsEditing(true);
+  };
+
+  const handleDetailsSubmit = async (e) => {
+    e.preventDefault();
+    if (await save(details, "Details saved.")) setIsEditing(false);
+  };
+
+  const toggleVisibility = () => {
+    const visibility = collection.visibility === "public" ? "private" : "public";
+    save({ visibility }, visibility === "public" ? "Anyone with the link can now view this collection." : "Only you can view this collection now.");
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete “${collection.title}”? This cannot be undone.`)) return;
+    try {
+      await api.delete(`/collections/${id}`);
+      navigate("/profile");
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setMessage("Link copied to clipboard.");
+    } catch {
+      setMessage(`Copy this link: ${window.location.href}`);
+    }
+  };
+
+  // The server packs the files into one ZIP, so a single click is all the browser has to allow
+  const downloadAll = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadFromApi(`/collections/${id}/archive`, undefined, `${collection.title}.zip`);
+    } catch (error) {
+      setMessage(getErrorMessage(error));
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="collection-page"><p className="collection-muted">Loading collection...</p></div>;
+  }
+
+  if (loadError) {
+    return (
+      <div className="collection-page">
+        <p className="collection-muted">{loadError}</p>
+        <Link to="/">← Back to home</Link>
+      </div>
+    );
+  }
+
+  const downloadable = collection.items.filter((item) => item.link && !item.missing);
+
+  return (
+    <motion.div
+      className="collection-page"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <header className="collection-header">
+        {isEditing ? (
+          <form className="collection-details-form" onSubmit={handleDetailsSubmit}>
+            <input
+              value={details.title}
+              onChange={(e) => setDetails({ ...details, title: e.target.value })}
+              placeholder="Collection title"
+              aria-label="Title"
+              required
+            />
+            <input
+              value={details.subject}
+              onChange={(e) => setDetails({ ...details, subject: e.target.value })}
+              placeholder="Subject (optional)"
+              aria-label="Subject"
+            />
+            <textarea
+              value={details.description}
+              onChange={(e) => setDetails({ ...details, description: e.target.value })}
+              placeholder="What is this pack for?"
+              aria-label="Description"
+              rows="3"
+            />
+            <div className="collection-actions">
+              <button type="submit" className="collection-btn primary" disabled={isSaving}>Save</button>
+              <button type="button" className="collection-btn" onClick={() => setIsEditing(false)}>Cancel</button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <span className={`collection-visibility ${collection.visibility}`}>
+              {collection.visibility === "public" ? "🌐 Public" : "🔒 Private"}
+            </span>
+            <h1>📦 {collection.title}</h1>
+            {collection.subject && <p className="collection-subject">{collection.subject}</p>}
+            {collection.description && <p className="collection-description">{collection.description}</p>}
+            <p className="collection-muted">
+              {collection.items.length} item{collection.items.length === 1 ? "" : "s"} · curated by {collection.owner.name} · updated{" "}
+              {new Date(collection.updatedAt).toLocaleDateString()}
+            </p>
+          </>
+        )}
+
+        <div className="collection-actions">
+          <button
+            className="collection-btn primary"
+            onClick={downloadAll}
+            disabled={downloadable.length === 0 || isDownloading}
+          >
+            {isDownloading ? "Preparing ZIP..." : `📦 Download all as ZIP (${downloadable.length})`}
+          </button>
+          {collection.visibility === "public" && (
+            <button className="collection-btn" onClick={copyLink}>🔗 Copy link</button>
+          )}
+          {collection.isOwner && !isEditing && (
+            <>
+              <button className="collection-btn" onClick={toggleVisibility} disabled={isSaving}>
+                {collection.visibility === "public" ? "Make private" : "Make public"}
+              </button>
+              <button className="collection-btn" onClick={startEditing}>Edit details</button>
+              <button className="collection-btn danger" onClick={handleDelete}>Delete</button>
+            </>
+          )}
+        </div>
+      </header>
+
+      {message && (
+        <p className="collection-message" role="status">
+          {message}
+          <button aria-label="Dismiss" onClick={() => setMessage("")}>&times;</button>
+        </p>
+      )}
+
+      {collection.items.length === 0 ? (
+        <p className="collection-muted">
+          {collection.isOwner ? "This pack is empty. Search below to add notes, syllabi and papers." : "This pack is empty."}
+        </p>
+      ) : (
+        <ol className="collection-items">
+          {collection.items.map((item, index) => (
+            <li key={`${item.kind}:${item.itemId}`} className={`collection-item ${item.missing ? "missing" : ""}`}>
+              <span className="collection-item-index">{index + 1}</span>
+              <div className="collection-item-body">
+                {item.link && !item.missing ? (
+                  <a href={getDownloadUrl(item.itemId)} onClick={addClientFingerprint} target="_blank" rel="noopener noreferrer" className="collection-item-title">
+                    {item.title}
+                  </a>
+                ) : (
+                  <span className="collection-item-title">{item.title}</span>
+                )}
+                {item.subtitle && <span className="collection-item-meta">{item.subtitle}</span>}
+                {item.note && <span className="collection-item-note">{item.note}</span>}
+              </div>
+              <span className="collection-item-kind">{KIND_LABELS[item.kind]}</span>
+              {collection.isOwner && (
+                <div className="collection-item-controls">
+                  <button onClick={() => moveItem(index, -1)} disabled={index === 0 || isSaving} aria-label="Move up">↑</button>
+                  <button
+                    onClick={() => moveItem(index, 1)}
+                    disabled={index === collection.items.length - 1 || isSaving}
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button onClick={() => removeItem(index)} disabled={isSaving} aria-label={`Remove ${item.title}`}>✕</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {collection.isOwner && (
+        <section className="collection-add">
+          <h2>Add to this pack</h2>
+          <input
+            type="search"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search notes, syllabi and PYQs..."
+            aria-label="Search for items to add"
+          />
+          {searchResults.length > 0 && (
+            <ul className="collection-search-results">
+              {searchResults.map((result) => (
+                <li key={`${result.type}:${result.id}`}>
+                  <div>
+                    <span className="collection-item-title">{result.title}</span>
+                    <span className="collection-item-meta">{result.subtitle}</span>
+                  </div>
+                  <span className="collection-item-kind">{KIND_LABELS[SEARCH_KINDS[result.type]]}</span>
+                  <button className="collection-btn" onClick={() => addItem(result)} disabled={isSaving}>Add</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+    </motion.div>
+  );
+};
+
+export default Collection;
@@ -1,13 +1,37 @@
 import React, { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import api, { getErrorMessage } from "../api";
 import "./Feedback.css";
 import './ScrollToTop.css';
 import { FaArrowUp } from "react-icons/fa";
 import FeedbackModal from "../components/FeedbackModal"; // Import the modal component
+import FeedbackSummary from "../components/FeedbackSummary";
+import BookmarkButton from "../components/BookmarkButton";
+
+const difficulties = ["easy", "moderate", "hard"];
+
+// Entries this browser already voted on or reported, so the buttons stay disabled between visits
+const VOTES_KEY = "smp_feedback_votes_v1";
+
+const loadVotes = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(VOTES_KEY));
+    return { helpful: saved.helpful || [], report: saved.report || [] };
+  } catch {
+    return { helpful: [], report: [] };
+  }
+};
 
 const Feedback = () => {
   const [selectedFilter, setSelectedFilter] = useState("all");
   const [selectedUniversity, setSelectedUniversity] = useState("all");
+  const [selectedDepartment, setSelectedDepartment] = useState("all");
+  const [selectedSubject, setSelectedSubject] = useState("all");
+  const [minRating, setMinRating] = useState("all");
+  const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [sortBy, setSortBy] = useState("newest");
+  const [page, setPage] = useState(1);
   const [showScroll, setShowScroll] = useState(false);
 
   // State and handlers to control the modal popup
@@ -15,157 +39,109 @@ const Feedback = () => {
   const openModal = () => setIsModalOpen(true);
   const closeModal = () => setIsModalOpen(false);
 
-  // Sample feedback data
-  const feedbackData = [
-    {
-      id: 1,
-      studentName: "Arjun K.",
-      university: "Kerala University",
-      department: "Computer Science",
-      subject: "Data Structures",
-      semester: "4th Semester",
-      examDate: "May 2024",
-      difficulty: "moderate",
-      rating: 4,
-      preparationTime: "6 weeks",
-      importantTopics: [
-        "Trees",
-        "Graphs",
-        "Sorting Algorithms",
-        "Dynamic Programming",
-      ],
-      examPattern:
-        "3 sections: MCQs (20 marks), Short answers (40 marks), Long problems (40 marks)",
-      tips: "Focus heavily on tree traversals and graph algorithms. Practice coding problems daily. Previous year papers are very helpful.",
-      timeManagement: "Spent 40% time on basics, 60% on problem solving",
-      resources: [
-        "Textbook",
-        "GeeksforGeeks",
-        "Previous Papers",
-        "YouTube tutorials",
-      ],
-    },
-    {
-      id: 2,
-      studentName: "Priya S.",
-      university: "Calicut University",
-      department: "Electronics",
-      subject: "Digital Signal Processing",
-      semester: "6th Semester",
-      examDate: "April 2024",
-      difficulty: "hard",
-      rating: 3,
-      preparationTime: "8 weeks",
-      importantTopics: [
-        "Z-Transform",
-        "DFT & FFT",
-        "FIR Filters",
-        "IIR Filters",
-      ],
-      examPattern:
-        "2 sections: Theory (60 marks), Numerical problems (40 marks)",
-      tips: "Mathematical derivations are crucial. Practice numerical problems extensively. Understanding concepts is more important than memorizing.",
-      timeManagement: "70% theory, 30% numericals",
-      resources: ["Reference books", "MATLAB practice", "Online courses"],
-    },
-    {
-      id: 3,
-      studentName: "Mohammed R.",
-      university: "Cochin University",
-      department: "Mechanical",
-      subject: "Thermodynamics",
-      semester: "3rd Semester",
-      examDate: "June 2024",
-      difficulty: "easy",
-      rating: 5,
-      preparationTime: "4 weeks",
-      importantTopics: [
-        "Laws of Thermodynamics",
-        "Steam Tables",
-        "Heat Engines",
-        "Refrigeration",
-      ],
-      examPattern:
-        "Mixed: 5 short questions (50 marks), 3 long problems (50 marks)",
-      tips: "Memorize steam table values. Practice problem-solving daily. Understand the physical concepts behind formulas.",
-      timeManagement: "Equal time for theory and numericals",
-      resources: ["Class notes", "Standard textbooks", "Problem banks"],
-    },
-    {
-      id: 4,
-      studentName: "Sneha M.",
-      university: "Kerala University",
-      department: "Mathematics",
-      subject: "Real Analysis",
-      semester: "5th Semester",
-      examDate: "May 2024",
-      difficulty: "hard",
-      rating: 4,
-      preparationTime: "10 weeks",
-      importantTopics: [
-        "Sequences & Series",
-        "Continuity",
-        "Differentiability",
-        "Riemann Integration",
-      ],
-      examPattern: "Proof-based: 6 questions, attempt any 4 (25 marks each)",
-      tips: "Focus on understanding proofs rather than memorizing. Practice writing clear, logical arguments. Work through examples step by step.",
-      timeManagement: "80% proof understanding, 20% problem practice",
-      resources: ["Standard textbooks", "Proof writing guides", "Study groups"],
-    },
-    {
-      id: 5,
-      studentName: "Rahul T.",
-      university: "Calicut University",
-      department: "Physics",
-      subject: "Quantum Mechanics",
-      semester: "6th Semester",
-      examDate: "April 2024",
-      difficulty: "moderate",
-      rating: 4,
-      preparationTime: "7 weeks",
-      importantTopics: [
-        "Schrödinger Equation",
-        "Wave Functions",
-        "Operators",
-        "Angular Momentum",
-      ],
-      examPattern: "Theory + Derivations: 4 long questions (25 marks each)",
-      tips: "Master the mathematical formalism. Practice derivations multiple times. Understand physical interpretations of mathematical results.",
-      timeManagement: "60% derivations, 40% conceptual understanding",
-      resources: ["Griffiths textbook", "Video lectures", "Problem sets"],
-    },
-    {
-      id: 6,
-      studentName: "Aisha K.",
-      university: "Cochin University",
-      department: "Chemical",
-      subject: "Process Control",
-      semester: "7th Semester",
-      examDate: "March 2024",
-      difficulty: "moderate",
-      rating: 5,
-      preparationTime: "5 weeks",
-      importantTopics: [
-        "PID Controllers",
-        "Stability Analysis",
-        "Root Locus",
-        "Frequency Response",
-      ],
-      examPattern: "Numerical heavy: 3 sections with increasing difficulty",
-      tips: "MATLAB simulations helped a lot. Practice controller design problems. Understand stability criteria thoroughly.",
-      timeManagement: "50% theory, 50% MATLAB practice",
-      resources: ["Course materials", "MATLAB", "Industrial case studies"],
-    },
-  ];
+  // Submissions go through moderation, so tell the submitter why theirs isn't listed yet
+  const [showPendingNotice, setShowPendingNotice] = useState(false);
+
+  // Feedback state, filled from GET /api/feedbacks
+  const [feedbacks, setFeedbacks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [facets, setFacets] = useState({ universities: [], departments: [], subjects: [] });
+  const [sortOptions, setSortOptions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [totals, setTotals] = useState(null);
+
+  // Wait for the user to stop typing before hitting the API
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-  const universities = [
-    "all",
-    "Kerala University",
-    "Calicut University",
-    "Cochin University",
-  ];
-  const difficulties = ["all", "easy", "moderate", "hard"];
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = { sortBy, page };
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (selectedFilter !== "all") params.difficulty = selectedFilter;
+    if (selectedUniversity !== "all") params.university = selectedUniversity;
+    if (selectedDepartment !== "all") params.department = selectedDepartment;
+    if (selectedSubject !== "all") params.subject = selectedSubject;
+    if (minRating !== "all") params.minRating = minRating;
+
+    setIsLoading(true);
+    api.get("/feedbacks", { params, signal: controller.signal })
+      .then(({ data }) => {
+        setFeedbacks(data.feedbacks);
+        setTotal(data.total);
+        setPages(data.pages);
+        setFacets(data.facets);
+        setSortOptions(data.sortOptions);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error("Error fetching feedback", error);
+        setLoadError("We could not load feedback right now. Please try again later.");
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [debouncedSearch, selectedFilter, selectedUniversity, selectedDepartment, selectedSubject, minRating, sortBy, page]);
+
+  const [votes, setVotes] = useState(loadVotes);
+  const [voteMessage, setVoteMessage] = useState({});
+
+  useEffect(() => {
+    window.localStorage.setItem(VOTES_KEY, JSON.stringify(votes));
+  }, [votes]);
+
+  const rememberVote = (kind, id) => {
+    setVotes((prev) => ({ ...prev, [kind]: [...prev[kind], id] }));
+  };
+
+  const handleHelpful = async (feedback) => {
+    try {
+      const { data } = await api.post(`/feedbacks/${feedback._id}/vote`);
+      setFeedbacks((prev) => prev.map((item) => (
+        item._id === feedback._id ? { ...item, helpfulCount: data.helpfulCount } : item
+      )));
+      rememberVote("helpful", feedback._id);
+    } catch (error) {
+      if (error.response && error.response.status === 409) rememberVote("helpful", feedback._id);
+      setVoteMessage({ id: feedback._id, text: getErrorMessage(error) });
+    }
+  };
+
+  const handleReport = async (feedback) => {
+    const reason = window.prompt("What's wrong with this feedback? (optional)");
+    if (reason === null) return;
+    try {
+      const { data } = await api.post(`/feedbacks/${feedback._id}/report`, { reason });
+      rememberVote("report", feedback._id);
+      setVoteMessage({ id: feedback._id, text: data.message });
+    } catch (error) {
+      if (error.response && error.response.status === 409) rememberVote("report", feedback._id);
+      setVoteMessage({ id: feedback._id, text: getErrorMessage(error) });
+    }
+  };
+
+  // Site-wide numbers for the stats strip; the summary panel fetches its own filtered view
+  useEffect(() => {
+    api.get("/stats/feedback", { params: { limit: 1 } })
+      .then(({ data }) => setTotals(data.totals))
+      .catch((error) => console.error("Error fetching feedback totals", error));
+  }, []);
+
+  // Any filter change starts over from the first page
+  const handleFilterChange = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
 
   // Effect to handle scroll events for the button
   useEffect(() => {
@@ -191,15 +167,6 @@ const Feedback = () => {
     });
   };
 
-  const filteredFeedback = feedbackData.filter((feedback) => {
-    const matchesDifficulty =
-      selectedFilter === "all" || feedback.difficulty === selectedFilter;
-    const matchesUniversity =
-      selectedUniversity === "all" ||
-      feedback.university === selectedUniversity;
-    return matchesDifficulty && matchesUniversity;
-  });
-
   const getDifficultyColor = (difficulty) => {
     switch (difficulty) {
       case "easy":
@@ -334,10 +301,10 @@ const Feedback = () => {
             animate="visible"
           >
             {[
-              { icon: "📊", number: "500+", label: "Student Reviews" },
-              { icon: "🎓", number: "50+", label: "Subjects Covered" },
-              { icon: "🏛️", number: "15+", label: "Universities" },
-              { icon: "⭐", number: "4.2", label: "Avg. Helpfulness" },
+              { icon: "📊", number: totals ? totals.feedbacks : "–", label: "Student Reviews" },
+              { icon: "🎓", number: totals ? totals.subjects : "–", label: "Subjects Covered" },
+              { icon: "🏛️", number: totals ? totals.universities : "–", label: "Universities" },
+              { icon: "⭐", number: totals && totals.averageRating ? totals.averageRating : "–", label: "Avg. Rating" },
             ].map((stat, index) => (
               <motion.div
                 key={index}
@@ -373,6 +340,31 @@ const Feedback = () => {
         </div>
       </motion.section>
 
+      <AnimatePresence>
+        {showPendingNotice && (
+          <motion.div
+            className="container"
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+          >
+            <div className="pending-notice" role="status">
+              <span>
+                ⏳ Thanks for sharing! Your feedback is <strong>pending review</strong> and
+                will show up here once a moderator approves it.
+              </span>
+              <button
+                className="pending-notice-close"
+                aria-label="Dismiss"
+                onClick={() => setShowPendingNotice(false)}
+              >
+                &times;
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Filters Section */}
       <motion.section
         className="feedback-filters"
@@ -388,17 +380,29 @@ const Feedback = () => {
             animate={{ opacity: 1, x: 0 }}
             transition={{ delay: 1.4, duration: 0.5 }}
           >
+            <motion.div className="filter-group filter-search" whileHover={{ scale: 1.02 }}>
+              <label htmlFor="feedback-search">Search:</label>
+              <input
+                id="feedback-search"
+                type="search"
+                className="filter-select"
+                placeholder="Subjects, topics, tips..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+            </motion.div>
+
             <motion.div className="filter-group" whileHover={{ scale: 1.02 }}>
               <label htmlFor="difficulty-filter">Filter by Difficulty:</label>
               <motion.select
                 id="difficulty-filter"
                 value={selectedFilter}
-                onChange={(e) => setSelectedFilter(e.target.value)}
+                onChange={handleFilterChange(setSelectedFilter)}
                 className="filter-select"
                 whileFocus={{ scale: 1.02 }}
               >
                 <option value="all">All Difficulties</option>
-                {difficulties.slice(1).map((difficulty) => (
+                {difficulties.map((difficulty) => (
                   <option key={difficulty} value={difficulty}>
                     {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
                   </option>
@@ -411,14 +415,85 @@ const Feedback = () => {
               <motion.select
                 id="university-filter"
                 value={selectedUniversity}
-                onChange={(e) => setSelectedUniversity(e.target.value)}
+                onChange={handleFilterChange(setSelectedUniversity)}
                 className="filter-select"
                 whileFocus={{ scale: 1.02 }}
               >
                 <option value="all">All Universities</option>
-                {universities.slice(1).map((university) => (
-                  <option key={university} value={university}>
-                    {university}
+                {facets.universities.map(({ value, count }) => (
+                  <option key={value} value={value}>
+                    {value} ({count})
+                  </option>
+                ))}
+              </motion.select>
+            </motion.div>
+
+            <motion.div className="filter-group" whileHover={{ scale: 1.02 }}>
+              <label htmlFor="department-filter">Filter by Department:</label>
+              <motion.select
+                id="department-filter"
+                value={selectedDepartment}
+                onChange={handleFilterChange(setSelectedDepartment)}
+                className="filter-select"
+                whileFocus={{ scale: 1.02 }}
+              >
+                <option value="all">All Departments</option>
+                {facets.departments.map(({ value, count }) => (
+                  <option key={value} value={value}>
+                    {value} ({count})
+                  </option>
+                ))}
+              </motion.select>
+            </motion.div>
+
+            <motion.div className="filter-group" whileHover={{ scale: 1.02 }}>
+              <label htmlFor="subject-filter">Filter by Subject:</label>
+              <motion.select
+                id="subject-filter"
+                value={selectedSubject}
+                onChange={handleFilterChange(setSelectedSubject)}
+                className="filter-select"
+                whileFocus={{ scale: 1.02 }}
+              >
+                <option value="all">All Subjects</option>
+                {facets.subjects.map(({ value, count }) => (
+                  <option key={value} value={value}>
+                    {value} ({count})
+                  </option>
+                ))}
+              </motion.select>
+            </motion.div>
+
+            <motion.div className="filter-group" whileHover={{ scale: 1.02 }}>
+              <label htmlFor="rating-filter">Minimum Rating:</label>
+              <motion.select
+                id="rating-filter"
+                value={minRating}
+                onChange={handleFilterChange(setMinRating)}
+                className="filter-select"
+                whileFocus={{ scale: 1.02 }}
+              >
+                <option value="all">Any Rating</option>
+                {[4, 3, 2].map((value) => (
+                  <option key={value} value={value}>
+                    {value}★ & up
+                  </option>
+                ))}
+              </motion.select>
+            </motion.div>
+
+            <motion.div className="filter-group" whileHover={{ scale: 1.02 }}>
+              <label htmlFor="sort-filter">Sort by:</label>
+              <motion.select
+                id="sort-filter"
+                value={sortBy}
+                onChange={handleFilterChange(setSortBy)}
+                className="filter-select"
+                whileFocus={{ scale: 1.02 }}
+              >
+                {sortOptions.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
                   </option>
                 ))}
               </motion.select>
@@ -427,20 +502,36 @@ const Feedback = () => {
 
           <motion.div
             className="results-count"
-            key={filteredFeedback.length}
+            key={total}
             initial={{ opacity: 0, scale: 0.8 }}
             animate={{ opacity: 1, scale: 1 }}
             transition={{ duration: 0.3 }}
           >
-            Showing {filteredFeedback.length} feedback
-            {filteredFeedback.length !== 1 ? "s" : ""}
+            {isLoading
+              ? "Loading feedback..."
+              : `Showing ${feedbacks.length} of ${total} feedback${total !== 1 ? "s" : ""}`}
           </motion.div>
         </div>
       </motion.section>
 
+      {/* Summary Panel */}
+      <section className="feedback-summary">
+        <div className="container">
+          <h2 className="feedback-summary-title">📈 Difficulty at a Glance</h2>
+          <FeedbackSummary
+            university={selectedUniversity !== "all" ? selectedUniversity : ""}
+            subject={selectedSubject !== "all" ? selectedSubject : ""}
+          />
+        </div>
+      </section>
+
       {/* Feedback Cards */}
       <motion.section className="feedback-content">
         <div className="container">
+          {loadError && <p className="feedback-empty">{loadError}</p>}
+          {!isLoading && !loadError && feedbacks.length === 0 && (
+            <p className="feedback-empty">No feedback matches these filters yet.</p>
+          )}
           <AnimatePresence>
             <motion.div
               className="feedback-grid"
@@ -449,9 +540,9 @@ const Feedback = () => {
               initial="hidden"
               animate="visible"
             >
-              {filteredFeedback.map((feedback, index) => (
+              {feedbacks.map((feedback, index) => (
                 <motion.div
-                  key={feedback.id}
+                  key={feedback._id}
                   className="feedback-card"
                   layout
                   variants={cardHover}
@@ -479,16 +570,20 @@ const Feedback = () => {
                         className="student-name"
                         whileHover={{ color: "#3b82f6" }}
                       >
-                        {feedback.studentName}
+                        {feedback.studentName || "Anonymous"}
                       </motion.h3>
                       <div className="student-details">
                         <span className="university">
                           {feedback.university}
                         </span>
-                        <span className="separator">•</span>
-                        <span className="department">
-                          {feedback.department}
-                        </span>
+                        {feedback.department && (
+                          <>
+                            <span className="separator">•</span>
+                            <span className="department">
+                              {feedback.department}
+                            </span>
+                          </>
+                        )}
                       </div>
                     </div>
                     <div className="feedback-rating">
@@ -506,9 +601,15 @@ const Feedback = () => {
                   >
                     <h4 className="subject-name">{feedback.subject}</h4>
                     <div className="subject-details">
-                      <span className="semester">{feedback.semester}</span>
-                      <span className="separator">•</span>
-                      <span className="exam-date">{feedback.examDate}</span>
+                      {feedback.semester && (
+                        <span className="semester">Semester {feedback.semester}</span>
+                      )}
+                      {feedback.semester && feedback.examDate && (
+                        <span className="separator">•</span>
+                      )}
+                      {feedback.examDate && (
+                        <span className="exam-date">{feedback.examDate}</span>
+                      )}
                     </div>
                   </motion.div>
 
@@ -530,9 +631,11 @@ const Feedback = () => {
                       {getDifficultyIcon(feedback.difficulty)}{" "}
                       {feedback.difficulty.toUpperCase()}
                     </motion.span>
-                    <span className="prep-time">
-                      📅 {feedback.preparationTime}
-                    </span>
+                    {feedback.preparationTime && (
+                      <span className="prep-time">
+                        📅 {feedback.preparationTime}
+                      </span>
+                    )}
                   </motion.div>
 
                   <motion.div
@@ -541,73 +644,128 @@ const Feedback = () => {
                     animate={{ opacity: 1 }}
                     transition={{ delay: index * 0.1 + 0.5 }}
                   >
-                    <div className="detail-section">
-                      <h5>🎯 Important Topics</h5>
-                      <div className="topics-list">
-                        {feedback.importantTopics.map((topic, topicIndex) => (
-                          <motion.span
-                            key={topicIndex}
-                            className="topic-tag"
-                            initial={{ opacity: 0, scale: 0.8 }}
-                            animate={{ opacity: 1, scale: 1 }}
-                            transition={{
-                              delay: index * 0.1 + topicIndex * 0.05 + 0.6,
-                            }}
-                            whileHover={{
-                              scale: 1.05,
-                              backgroundColor: "#e0f2fe",
-                            }}
-                          >
-                            {topic}
-                          </motion.span>
-                        ))}
+                    {feedback.importantTopics.length > 0 && (
+                      <div className="detail-section">
+                        <h5>🎯 Important Topics</h5>
+                        <div className="topics-list">
+                          {feedback.importantTopics.map((topic, topicIndex) => (
+                            <motion.span
+                              key={topicIndex}
+                              className="topic-tag"
+                              initial={{ opacity: 0, scale: 0.8 }}
+                              animate={{ opacity: 1, scale: 1 }}
+                              transition={{
+                                delay: index * 0.1 + topicIndex * 0.05 + 0.6,
+                              }}
+                              whileHover={{
+                                scale: 1.05,
+                                backgroundColor: "#e0f2fe",
+                              }}
+                            >
+                              {topic}
+                            </motion.span>
+                          ))}
+                        </div>
                       </div>
-                    </div>
+                    )}
 
-                    <div className="detail-section">
-                      <h5>📝 Exam Pattern</h5>
-                      <p className="exam-pattern">{feedback.examPattern}</p>
-                    </div>
-
-                    <div className="detail-section">
-                      <h5>💡 Study Tips</h5>
-                      <p className="study-tips">{feedback.tips}</p>
-                    </div>
+                    {feedback.feedback && (
+                      <div className="detail-section">
+                        <h5>🗒️ Overall Experience</h5>
+                        <p className="exam-pattern">{feedback.feedback}</p>
+                      </div>
+                    )}
 
-                    <div className="detail-section">
-                      <h5>⏰ Time Management</h5>
-                      <p className="time-management">
-                        {feedback.timeManagement}
-                      </p>
-                    </div>
+                    {feedback.examPattern && (
+                      <div className="detail-section">
+                        <h5>📝 Exam Pattern</h5>
+                        <p className="exam-pattern">{feedback.examPattern}</p>
+                      </div>
+                    )}
 
-                    <div className="detail-section">
-                      <h5>📚 Resources Used</h5>
-                      <div className="resources-list">
-                        {feedback.resources.map((resource, resourceIndex) => (
-                          <motion.span
-                            key={resourceIndex}
-                            className="resource-tag"
-                            initial={{ opacity: 0, y: 10 }}
-                            animate={{ opacity: 1, y: 0 }}
-                            transition={{
-                              delay: index * 0.1 + resourceIndex * 0.05 + 0.8,
-                            }}
-                            whileHover={{
-                              scale: 1.05,
-                              backgroundColor: "#f0f9ff",
-                            }}
-                          >
-                            {resource}
-                          </motion.span>
-                        ))}
+                    {feedback.tips && (
+                      <div className="detail-section">
+                        <h5>💡 Study Tips</h5>
+                        <p className="study-tips">{feedback.tips}</p>
                       </div>
-                    </div>
+                    )}
+
+                    {feedback.timeManagement && (
+                      <div className="detail-section">
+                        <h5>⏰ Time Management</h5>
+                        <p className="time-management">
+                          {feedback.timeManagement}
+                        </p>
+                      </div>
+                    )}
+
+                    {feedback.resources.length > 0 && (
+                      <div className="detail-section">
+                        <h5>📚 Resources Used</h5>
+                        <div className="resources-list">
+                          {feedback.resources.map((resource, resourceIndex) => (
+                            <motion.span
+                              key={resourceIndex}
+                              className="resource-tag"
+                              initial={{ opacity: 0, y: 10 }}
+                              animate={{ opacity: 1, y: 0 }}
+                              transition={{
+                                delay: index * 0.1 + resourceIndex * 0.05 + 0.8,
+                              }}
+                              whileHover={{
+                                scale: 1.05,
+                                backgroundColor: "#f0f9ff",
+                              }}
+                            >
+                              {resource}
+                            </motion.span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                   </motion.div>
+
+                  <div className="feedback-actions">
+                    <motion.button
+                      className={`feedback-action helpful ${votes.helpful.includes(feedback._id) ? "active" : ""}`}
+                      onClick={() => handleHelpful(feedback)}
+                      disabled={votes.helpful.includes(feedback._id)}
+                      whileTap={{ scale: 0.95 }}
+                    >
+                      👍 Helpful ({feedback.helpfulCount || 0})
+                    </motion.button>
+                    <button
+                      className="feedback-action report"
+                      onClick={() => handleReport(feedback)}
+                      disabled={votes.report.includes(feedback._id)}
+                    >
+                      {votes.report.includes(feedback._id) ? "🚩 Reported" : "🚩 Report"}
+                    </button>
+                    <BookmarkButton
+                      className="feedback-bookmark"
+                      item={{
+                        kind: "feedback",
+                        itemId: feedback._id,
+                        title: `${feedback.subject} exam feedback`,
+                        subtitle: `${feedback.university} • ${feedback.difficulty}`,
+                      }}
+                    />
+                  </div>
+                  {voteMessage.id === feedback._id && (
+                    <p className="feedback-action-message" role="status">{voteMessage.text}</p>
+                  )}
                 </motion.div>
               ))}
             </motion.div>
           </AnimatePresence>
+
+          {pages > 1 && (
+            <div className="feedback-pagination">
+              <button className="btn btn-outline" onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>← Previous</button>
+              <span className="pagination-info">Page {page} of {pages}</span>
+              <button className="btn btn-outline" onClick={() => setPage(page + 1)} disabled={page >= pages || isLoading}>Next →</button>
+            </div>
+          )}
         </div>
       </motion.section>
 
@@ -677,7 +835,12 @@ const Feedback = () => {
           </motion.button>
         )}
 
-        {isModalOpen && <FeedbackModal onClose={closeModal} />}
+        {isModalOpen && (
+          <FeedbackModal
+            onClose={closeModal}
+            onSuccess={() => setShowPendingNotice(true)}
+          />
+        )}
       </AnimatePresence>
       {/* --- CORRECTED SECTION END --- */}
 
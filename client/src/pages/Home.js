@@ -4,12 +4,21 @@ import { Link } from "react-router-dom";
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaGithub, FaLinkedin, FaDiscord, FaArrowUp } from "react-icons/fa";
 import { FaXTwitter } from "react-icons/fa6";
+import api, { addClientFingerprint, getDownloadUrl } from "../api";
 import logo from "./logo.png";
 import "./Home.css";
 import './ScrollToTop.css';
 
+// Columns of the trending section, in the shape GET /api/trending returns them
+const TRENDING_GROUPS = [
+  { key: "notes", title: "📝 Notes", page: "/notes", describe: (item) => `${item.subject} · ${item.university}` },
+  { key: "syllabi", title: "📋 Syllabi", page: "/syllabus", describe: (item) => `${item.university} · Semester ${item.semester}` },
+  { key: "pyqs", title: "📄 PYQs", page: "/pyqs", describe: (item) => `${item.university} · ${item.year}` },
+];
+
 const Home = () => {
   const [contributors, setContributors] = useState([]);
+  const [trending, setTrending] = useState(null);
   const [showScroll, setShowScroll] = useState(false);
 
   useEffect(() => {
@@ -19,6 +28,17 @@ const Home = () => {
       .catch((error) => console.error("Error fetching contributors", error));
   }, []);
 
+  useEffect(() => {
+    const controller = new AbortController();
+    api
+      .get("/trending", { params: { limit: 4 }, signal: controller.signal })
+      .then(({ data }) => setTrending(data))
+      .catch((error) => {
+        if (!controller.signal.aborted) console.error("Error fetching trending materials", error);
+      });
+    return () => controller.abort();
+  }, []);
+
   useEffect(() => {
     const checkScrollTop = () => {
       if (!showScroll && window.scrollY > 300) {
@@ -327,6 +347,50 @@ const Home = () => {
         </div>
       </motion.section>
 
+      {/* Trending Section */}
+      {trending && TRENDING_GROUPS.some((group) => trending[group.key].length > 0) && (
+        <motion.section
+          className="trending"
+          initial="hidden"
+          whileInView="visible"
+          viewport={{ once: true, margin: "-100px" }}
+          variants={staggerChildren}
+        >
+          <div className="container">
+            <motion.h2 className="section-title" variants={fadeInUp}>
+              🔥 Trending This Week
+            </motion.h2>
+            <motion.div className="trending-grid" variants={staggerChildrenFast}>
+              {TRENDING_GROUPS.filter((group) => trending[group.key].length > 0).map((group) => (
+                <motion.div key={group.key} className="trending-column" variants={scaleIn}>
+                  <h3>{group.title}</h3>
+                  <ol>
+                    {trending[group.key].map((item) => (
+                      <li key={item._id}>
+                        {item.link ? (
+                          <a href={getDownloadUrl(item._id)} onClick={addClientFingerprint} target="_blank" rel="noopener noreferrer" className="trending-title">
+                            {item.title}
+                          </a>
+                        ) : (
+                          <Link to={group.page} className="trending-title">{item.title}</Link>
+                        )}
+                        <span className="trending-meta">{group.describe(item)}</span>
+                        <span className="trending-count">
+                          {item.weeklyDownloads > 0
+                            ? `${item.weeklyDownloads} download${item.weeklyDownloads === 1 ? "" : "s"} this week`
+                            : `${item.downloadCount.toLocaleString()} downloads`}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                  <Link to={group.page} className="feature-link">See all →</Link>
+                </motion.div>
+              ))}
+            </motion.div>
+          </div>
+        </motion.section>
+      )}
+
       {/* Stats Section */}
       <motion.section 
         className="stats"
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { useLocation, useNavigate } from "react-router-dom";
+import { getErrorMessage } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+import "./Login.css";
+
+const Login = () => {
+  const { login, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const redirectTo = (location.state && location.state.from) || "/profile";
+
+  const [mode, setMode] = useState("login");
+  const [formData, setFormData] = useState({ name: "", email: "", password: "" });
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === "register";
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+    try {
+      if (isRegister) {
+        await register(formData.name, formData.email, formData.password);
+      } else {
+        await login(formData.email, formData.password);
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(getErrorMessage(err));
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="auth-page"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <div className="auth-card">
+        <h1>{isRegister ? "Create your account" : "Welcome back"}</h1>
+        <p className="auth-subtitle">
+          {isRegister
+            ? "Join StudyMatePlus to share materials and keep track of your contributions."
+            : "Sign in to see your uploads, feedback and bookmarks."}
+        </p>
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          {isRegister && (
+            <div className="auth-field">
+              <label htmlFor="name">Name</label>
+              <input id="name" name="name" type="text" value={formData.name} onChange={handleChange} required maxLength={80} autoComplete="name" />
+            </div>
+          )}
+          <div className="auth-field">
+            <label htmlFor="email">Email</label>
+            <input id="email" name="email" type="email" value={formData.email} onChange={handleChange} required autoComplete="email" />
+          </div>
+          <div className="auth-field">
+            <label htmlFor="password">Password</label>
+            <input
+              id="password"
+              name="password"
+              type="password"
+              value={formData.password}
+              onChange={handleChange}
+              required
+              minLength={isRegister ? 8 : undefined}
+              autoComplete={isRegister ? "new-password" : "current-password"}
+            />
+          </div>
+
+          {error && <p className="auth-error" role="alert">{error}</p>}
+
+          <motion.button
+            type="submit"
+            className="auth-submit"
+            disabled={isSubmitting}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            {isSubmitting ? "Please wait..." : isRegister ? "Create Account" : "Sign In"}
+          </motion.button>
+        </form>
+
+        <p className="auth-switch">
+          {isRegister ? "Already have an account?" : "New to StudyMatePlus?"}{" "}
+          <button
+            type="button"
+            onClick={() => {
+              setMode(isRegister ? "login" : "register");
+              setError("");
+            }}
+          >
+            {isRegister ? "Sign in" : "Create one"}
+          </button>
+        </p>
+      </div>
+    </motion.div>
+  );
+};
+
+export default Login;
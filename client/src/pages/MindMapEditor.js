@@ -6,6 +6,7 @@ import ReactFlow, {
   MarkerType, Handle, Position
 } from 'reactflow';
 import 'reactflow/dist/style.css';
+import { useSearchParams } from 'react-router-dom';
 import './MindMapEditor.css';
 import './ScrollToTop.css';
 
@@ -435,7 +436,7 @@ export default function MindMapEditor() {
   };
 
   // Templates
-  const applyTemplate = (type) => {
+  const applyTemplate = useCallback((type) => {
     if (type === 'exam') {
       const n1 = { id: '1', type: 'study', position: { x: 250, y: 80 }, data: { label: 'Exam Prep', subject: 'Default', color: SUBJECTS.Default } };
       const n2 = { id: '2', type: 'study', position: { x: 60, y: 260 }, data: { label: 'Math', subject: 'Math', color: SUBJECTS.Math } };
@@ -481,7 +482,16 @@ export default function MindMapEditor() {
       ]);
       setSelectedId('root'); setCollapsed(new Set());
     }
-  };
+  }, []);
+
+  // Links such as /mindmap?template=exam (used by the command palette) start from a template
+  const [searchParams, setSearchParams] = useSearchParams();
+  useEffect(() => {
+    const template = searchParams.get('template');
+    if (!template) return;
+    applyTemplate(template);
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams, applyTemplate]);
 
   // Export / Import
   const wrapperRef = useRef(null);
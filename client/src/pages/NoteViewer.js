@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import api, { addClientFingerprint, getDownloadUrl, getErrorMessage, resolveFileUrl } from "../api";
+import AnnotatedPdfViewer from "../components/AnnotatedPdfViewer";
+import "./NoteViewer.css";
+
+// Full-page reader for one note; `?page=12` opens it at that page and follows the reader as they turn pages
+const NoteViewer = () => {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Only the page in the address the reader arrived with decides where the viewer opens
+  const [initialPage] = useState(() => parseInt(searchParams.get("page"), 10) || null);
+
+  const [note, setNote] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    api.get(`/notes/${id}`, { signal: controller.signal })
+      .then(({ data }) => {
+        setNote(data);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [id]);
+
+  const handlePageChange = (page) => {
+    setSearchParams({ page: String(page) }, { replace: true });
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setMessage("Link to this page copied.");
+    } catch {
+      setMessage(`Copy this link: ${window.location.href}`);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="note-viewer-page"><p className="note-viewer-muted">Loading note...</p></div>;
+  }
+
+  if (loadError) {
+    return (
+      <div className="note-viewer-page">
+        <p className="note-viewer-muted">{loadError}</p>
+        <Link to="/notes">← Back to notes</Link>
+      </div>
+    );
+  }
+
+  return (
+    <motion.div className="note-viewer-page" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.5 }}>
+      <header className="note-viewer-header">
+        <Link to="/notes">← Back to notes</Link>
+        <h1>{note.title}</h1>
+        <p className="note-viewer-muted">{note.subject} • {note.university} • Semester {note.semester}</p>
+        {message && <p className="note-viewer-message" role="status">{message}</p>}
+      </header>
+
+      <div className="note-viewer-frame">
+        <AnnotatedPdfViewer
+          noteId={note._id}
+          url={resolveFileUrl(note.link)}
+          title={note.title}
+          initialPage={initialPage}
+          onPageChange={handlePageChange}
+          actions={
+            <>
+              <button type="button" onClick={copyLink}>🔗 Copy link to page</button>
+              <a href={getDownloadUrl(note._id)} onClick={addClientFingerprint} target="_blank" rel="noopener noreferrer">📥 Download</a>
+            </>
+          }
+        />
+      </div>
+    </motion.div>
+  );
+};
+
+export default NoteViewer;
@@ -1,9 +1,21 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaArrowUp } from "react-icons/fa";
+import api, { addClientFingerprint, downloadFromApi, getDownloadUrl, getErrorMessage, resolveFileUrl } from '../api';
+import { rememberRecentItem } from '../recentItems';
+import BookmarkButton from '../components/BookmarkButton';
+import AnnotatedPdfViewer from '../components/AnnotatedPdfViewer';
+import ReviewPanel from '../components/ReviewPanel';
+import StarRating from '../components/StarRating';
+import UploadModal from '../components/UploadModal';
+import { useAuth } from '../auth/AuthProvider';
 import './Notes.css';
 
 const Notes = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
   // Animation Variants from Home.js
   const fadeInUp = {
     hidden: { opacity: 0, y: 40 },
@@ -20,16 +32,6 @@ const Notes = () => {
     visible: { opacity: 1, scale: 1, transition: { duration: 0.5, ease: "easeOut" } },
   };
 
-  // Mock data for notes
-  const notesData = [
-    { id: 1, title: "Python - Notes", university: "Mumbai University", department: "Electronics Engineering", semester: 1, subject: "Python", fileType: "PDF", downloadCount: 1400, uploadDate: "2024-02-01", fileSize: "3.5 MB", tags: ["CSE", "Python", "First Year"], difficulty: "Beginner", link: "/pdf/python.pdf" },
-    { id: 2, title: "Operating Systems - Detailed Notes", university: "NIT Trichy", department: "Computer Science", semester: 2, subject: "Operating Systems", fileType: "PDF", downloadCount: 870, uploadDate: "2024-04-02", fileSize: "5.8 MB", tags: ["CSE", "OS", "Semester 4"], difficulty: "Intermediate", link: "/pdf/OS.pdf" },
-    { id: 3, title: "Data Structures - Notes", university: "Anna University", department: "Computer Science", semester: 3, subject: "Data Structures", fileType: "PDF", downloadCount: 980, uploadDate: "2024-03-15", fileSize: "4.2 MB", tags: ["CSE", "DSA"], difficulty: "Intermediate", link: "/pdf/DSA.pdf" },
-    { id: 4, title: "Database Management Systems (DBMS) - Notes", university: "IIT Delhi", department: "Computer Science", semester: 4, subject: "Database Systems", fileType: "PDF", downloadCount: 1100, uploadDate: "2024-03-18", fileSize: "6.0 MB", tags: ["CSE", "DBMS", "SQL"], difficulty: "Intermediate", link: "/pdf/DBMS.pdf" },
-    { id: 5, title: "Java - Notes", university: "Delhi University", department: "Computer Science", semester: 5, subject: "Java", fileType: "PDF", downloadCount: 1400, uploadDate: "2024-02-01", fileSize: "3.5 MB", tags: ["CSE", "Java", "First Year"], difficulty: "Beginner", link: "/pdf/Java.pdf" },
-    { id: 6, title: "Advance Web Development", university: "VIT Vellore", department: "Computer Science", semester: 6, subject: "Web Development", fileType: "PDF", downloadCount: 640, uploadDate: "2024-07-01", fileSize: "6.5 MB", tags: ["CSE", "Web", "Semester 6"], difficulty: "Advanced", link: "/pdf/WebDevelopment.pdf" },
-  ];
-
   // States
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedUniversity, setSelectedUniversity] = useState('All');
@@ -37,8 +39,99 @@ const Notes = () => {
   const [selectedSemester, setSelectedSemester] = useState('All');
   const [selectedSubject, setSelectedSubject] = useState('All');
   const [sortBy, setSortBy] = useState('downloads');
-  const [previewUrl, setPreviewUrl] = useState(null);
+  const [page, setPage] = useState(1);
+  const [previewNote, setPreviewNote] = useState(null);
+  const [previewPage, setPreviewPage] = useState(1);
   const [showScroll, setShowScroll] = useState(false);
+  const [isUploadOpen, setIsUploadOpen] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Catalog state, filled from GET /api/notes
+  const [notes, setNotes] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isArchiving, setIsArchiving] = useState(false);
+  const [archiveError, setArchiveError] = useState('');
+  const [pages, setPages] = useState(1);
+  const [catalogSize, setCatalogSize] = useState(0);
+  const [facets, setFacets] = useState({ universities: [], departments: [], semesters: [], subjects: [] });
+  const [sortOptions, setSortOptions] = useState([]);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  // Wait for the user to stop typing before hitting the API
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = { sortBy, page };
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (selectedUniversity !== 'All') params.university = selectedUniversity;
+    if (selectedDepartment !== 'All') params.department = selectedDepartment;
+    if (selectedSemester !== 'All') params.semester = selectedSemester;
+    if (selectedSubject !== 'All') params.subject = selectedSubject;
+
+    setIsLoading(true);
+    api.get('/notes', { params, signal: controller.signal })
+      .then(({ data }) => {
+        setNotes(data.notes);
+        setTotal(data.total);
+        setPages(data.pages);
+        setCatalogSize(data.catalogSize);
+        setFacets(data.facets);
+        setSortOptions(data.sortOptions);
+        setLoadError('');
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error('Error fetching notes', error);
+        setLoadError('We could not load the notes right now. Please try again later.');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [debouncedSearch, selectedUniversity, selectedDepartment, selectedSemester, selectedSubject, sortBy, page, reloadKey]);
+
+  // Any filter change starts over from the first page
+  const handleFilterChange = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  // Zips every note the page is listing: the same filters and search, so the ZIP matches the count on the button
+  const handleDownloadAll = async () => {
+    const params = {};
+    if (selectedUniversity !== 'All') params.university = selectedUniversity;
+    if (selectedDepartment !== 'All') params.department = selectedDepartment;
+    if (selectedSemester !== 'All') params.semester = selectedSemester;
+    if (selectedSubject !== 'All') params.subject = selectedSubject;
+    if (debouncedSearch) params.search = debouncedSearch;
+
+    setIsArchiving(true);
+    setArchiveError('');
+    try {
+      await downloadFromApi('/notes/archive', params, 'studymateplus-notes.zip');
+    } catch (error) {
+      setArchiveError(getErrorMessage(error));
+    } finally {
+      setIsArchiving(false);
+    }
+  };
+
+  // Keeps the card's stars in step with reviews posted from the preview panel
+  const handleRatingChange = (noteId) => ({ average, count }) => {
+    setNotes((prev) => prev.map((note) => (note._id === noteId ? { ...note, ratingAverage: average, ratingCount: count } : note)));
+  };
+
+  const rememberNote = (note) => rememberRecentItem({ type: 'note', id: note._id, title: note.title, link: note.link });
 
   useEffect(() => {
   const checkScrollTop = () => {
@@ -64,45 +157,12 @@ const scrollToTop = () => {
 
   // Prevent background scroll when modal is open
   useEffect(() => {
-    if (previewUrl) {
+    if (previewNote) {
       document.body.classList.add('modal-open');
     } else {
       document.body.classList.remove('modal-open');
     }
-  }, [previewUrl]);
-
-  // Unique filter values
-  const universities = ['All', ...new Set(notesData.map(item => item.university))];
-  const departments = ['All', ...new Set(notesData.map(item => item.department))];
-  const semesters = ['All', ...new Set(notesData.map(item => item.semester))];
-  const subjects = ['All', ...new Set(notesData.map(item => item.subject))]; // New subject filter list
-
-  // Filter & sort logic
-  const filteredNotes = useMemo(() => {
-    let filtered = notesData.filter(item => {
-      const matchesSearch =
-        item.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.subject.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()));
-
-      const matchesUniversity = selectedUniversity === 'All' || item.university === selectedUniversity;
-      const matchesDepartment = selectedDepartment === 'All' || item.department === selectedDepartment;
-      const matchesSemester = selectedSemester === 'All' || item.semester.toString() === selectedSemester;
-      const matchesSubject = selectedSubject === 'All' || item.subject === selectedSubject;
-      return matchesSearch && matchesUniversity && matchesDepartment && matchesSemester && matchesSubject;
-    });
-
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'downloads': return b.downloadCount - a.downloadCount;
-        case 'date': return new Date(b.uploadDate) - new Date(a.uploadDate);
-        case 'title': return a.title.localeCompare(b.title);
-        default: return 0;
-      }
-    });
-
-    return filtered;
-  }, [searchTerm, selectedUniversity, selectedDepartment, selectedSemester, selectedSubject, sortBy, notesData]);
+  }, [previewNote]);
 
   const getDifficultyColor = (difficulty) => {
     switch (difficulty) {
@@ -124,9 +184,9 @@ const scrollToTop = () => {
               Access and share comprehensive study notes, reference books, and PPTs uploaded by peers and seniors from top universities.
             </motion.p>
             <motion.div className="hero-stats" variants={staggerChildren}>
-              <motion.div className="hero-stat" variants={scaleIn}><span className="stat-number">{notesData.length}</span><span className="stat-label">Resources Available</span></motion.div>
-              <motion.div className="hero-stat" variants={scaleIn}><span className="stat-number">{universities.length - 1}</span><span className="stat-label">Universities</span></motion.div>
-              <motion.div className="hero-stat" variants={scaleIn}><span className="stat-number">{departments.length - 1}</span><span className="stat-label">Departments</span></motion.div>
+              <motion.div className="hero-stat" variants={scaleIn}><span className="stat-number">{catalogSize}</span><span className="stat-label">Resources Available</span></motion.div>
+              <motion.div className="hero-stat" variants={scaleIn}><span className="stat-number">{facets.universities.length}</span><span className="stat-label">Universities</span></motion.div>
+              <motion.div className="hero-stat" variants={scaleIn}><span className="stat-number">{facets.departments.length}</span><span className="stat-label">Departments</span></motion.div>
             </motion.div>
           </motion.div>
         </div>
@@ -142,11 +202,11 @@ const scrollToTop = () => {
             </div>
           </motion.div>
           <motion.div className="filters" variants={staggerChildren}>
-            <motion.div className="filter-group" variants={fadeInUp}><label>University:</label><select value={selectedUniversity} onChange={(e) => setSelectedUniversity(e.target.value)}>{universities.map(uni => (<option key={uni} value={uni}>{uni}</option>))}</select></motion.div>
-            <motion.div className="filter-group" variants={fadeInUp}><label>Department:</label><select value={selectedDepartment} onChange={(e) => setSelectedDepartment(e.target.value)}>{departments.map(dept => (<option key={dept} value={dept}>{dept}</option>))}</select></motion.div>
-            <motion.div className="filter-group" variants={fadeInUp}><label>Semester:</label><select value={selectedSemester} onChange={(e) => setSelectedSemester(e.target.value)}>{semesters.map(sem => (<option key={sem} value={sem}>{sem === 'All' ? 'All' : `Semester ${sem}`}</option>))}</select></motion.div>
-            <motion.div className="filter-group" variants={fadeInUp}><label>Subject:</label><select value={selectedSubject} onChange={(e) => setSelectedSubject(e.target.value)}>{subjects.map(sub => (<option key={sub} value={sub}>{sub}</option>))}</select></motion.div>
-            <motion.div className="filter-group" variants={fadeInUp}><label>Sort by:</label><select value={sortBy} onChange={(e) => setSortBy(e.target.value)}><option value="downloads">Most Downloaded</option><option value="date">Latest Upload</option><option value="title">Title (A-Z)</option></select></motion.div>
+            <motion.div className="filter-group" variants={fadeInUp}><label>University:</label><select value={selectedUniversity} onChange={handleFilterChange(setSelectedUniversity)}><option value="All">All</option>{facets.universities.map(({ value, count }) => (<option key={value} value={value}>{value} ({count})</option>))}</select></motion.div>
+            <motion.div className="filter-group" variants={fadeInUp}><label>Department:</label><select value={selectedDepartment} onChange={handleFilterChange(setSelectedDepartment)}><option value="All">All</option>{facets.departments.map(({ value, count }) => (<option key={value} value={value}>{value} ({count})</option>))}</select></motion.div>
+            <motion.div className="filter-group" variants={fadeInUp}><label>Semester:</label><select value={selectedSemester} onChange={handleFilterChange(setSelectedSemester)}><option value="All">All</option>{facets.semesters.map(({ value, count }) => (<option key={value} value={value}>Semester {value} ({count})</option>))}</select></motion.div>
+            <motion.div className="filter-group" variants={fadeInUp}><label>Subject:</label><select value={selectedSubject} onChange={handleFilterChange(setSelectedSubject)}><option value="All">All</option>{facets.subjects.map(({ value, count }) => (<option key={value} value={value}>{value} ({count})</option>))}</select></motion.div>
+            <motion.div className="filter-group" variants={fadeInUp}><label>Sort by:</label><select value={sortBy} onChange={handleFilterChange(setSortBy)}>{sortOptions.map(({ value, label }) => (<option key={value} value={value}>{label}</option>))}</select></motion.div>
           </motion.div>
         </div>
       </motion.section>
@@ -155,11 +215,25 @@ const scrollToTop = () => {
       <motion.section className="results" initial="hidden" whileInView="visible" viewport={{ once: true, margin: "-100px" }} variants={fadeInUp}>
         <div className="container">
           <motion.div className="results-header" variants={fadeInUp}>
-            <h2>Found {filteredNotes.length} resources</h2>
+            <h2>{isLoading ? 'Loading resources...' : `Found ${total} resources`}</h2>
             <p>Browse notes, books, and PPTs shared by your peers and seniors</p>
+            {total > 0 && (
+              <div className="bulk-download">
+                <motion.button className="btn btn-outline" onClick={handleDownloadAll} disabled={isArchiving} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                  {isArchiving ? 'Preparing ZIP...' : '📦 Download all as ZIP'}
+                </motion.button>
+                {archiveError && <p className="bulk-download-error" role="alert">{archiveError}</p>}
+              </div>
+            )}
           </motion.div>
           <AnimatePresence mode="wait">
-            {filteredNotes.length === 0 ? (
+            {loadError ? (
+              <motion.div key="load-error" className="no-results" initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -30 }}>
+                <div className="no-results-icon">⚠️</div>
+                <h3>Something went wrong</h3>
+                <p>{loadError}</p>
+              </motion.div>
+            ) : !isLoading && notes.length === 0 ? (
               <motion.div key="no-results" className="no-results" initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -30 }}>
                 <div className="no-results-icon">📭</div>
                 <h3>No resources found</h3>
@@ -167,23 +241,31 @@ const scrollToTop = () => {
               </motion.div>
             ) : (
               <motion.div key="notes-grid" className="notes-grid" variants={staggerChildren}>
-                {filteredNotes.map(note => (
-                  <motion.div key={note.id} className="note-card" layout variants={scaleIn} whileHover={{ y: -10, scale: 1.03, boxShadow: "0 15px 30px rgba(0,0,0,0.1)" }} transition={{ type: "spring", stiffness: 300 }}>
+                {notes.map(note => (
+                  <motion.div key={note._id} className="note-card" layout variants={scaleIn} whileHover={{ y: -10, scale: 1.03, boxShadow: "0 15px 30px rgba(0,0,0,0.1)" }} transition={{ type: "spring", stiffness: 300 }}>
                     <div className="card-header">
-                      <div className="card-title-section"><h3 className="card-title">{note.title}</h3><div className="card-meta"><span className="university">{note.university}</span><span className="separator">•</span><span className="department">{note.department}</span></div></div>
+                      <div className="card-title-section"><h3 className="card-title">{note.title}</h3><div className="card-meta"><span className="university">{note.university}</span><span className="separator">•</span><span className="department">{note.department}</span></div><div className="card-rating"><StarRating value={note.ratingAverage} size="0.9rem" /><span>{note.ratingCount ? `${note.ratingAverage.toFixed(1)} (${note.ratingCount})` : 'No ratings yet'}</span></div></div>
                       <div className="difficulty-badge" style={{ backgroundColor: getDifficultyColor(note.difficulty) }}>{note.difficulty}</div>
                     </div>
                     <div className="card-content"><p className="subject">Subject: {note.subject}</p><div className="tags-section"><div className="tags">{note.tags.map((tag, index) => (<span key={index} className="tag">#{tag}</span>))}</div></div></div>
-                    <div className="card-stats"><div className="stat"><span className="stat-icon">📥</span><span>{note.downloadCount.toLocaleString()} downloads</span></div><div className="stat"><span className="stat-icon">📅</span><span>{new Date(note.uploadDate).toLocaleDateString()}</span></div><div className="stat"><span className="stat-icon">📄</span><span>{note.fileSize}</span></div></div>
+                    <div className="card-stats"><div className="stat"><span className="stat-icon">📥</span><span>{note.downloadCount.toLocaleString()} downloads</span></div>{note.weeklyDownloads > 0 && <div className="stat trending"><span className="stat-icon">🔥</span><span>{note.weeklyDownloads} this week</span></div>}<div className="stat"><span className="stat-icon">📅</span><span>{new Date(note.uploadDate).toLocaleDateString()}</span></div><div className="stat"><span className="stat-icon">📄</span><span>{note.fileSize}</span></div></div>
                     <div className="card-actions">
-                      <motion.a href={note.link} target="_blank" rel="noopener noreferrer" className="btn btn-primary" whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>📥 Download</motion.a>
-                      <motion.button className="btn btn-outline" onClick={() => setPreviewUrl(note.link)} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>👁️ Preview</motion.button>
+                      <motion.a href={getDownloadUrl(note._id)} target="_blank" rel="noopener noreferrer" className="btn btn-primary" onClick={(e) => { addClientFingerprint(e); rememberNote(note); }} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>📥 Download</motion.a>
+                      <motion.button className="btn btn-outline" onClick={() => { rememberNote(note); setPreviewNote(note); }} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>👁️ Preview</motion.button>
+                      <BookmarkButton item={{ kind: 'note', itemId: note._id, title: note.title, subtitle: `${note.subject} • ${note.university}`, link: note.link }} />
                     </div>
                   </motion.div>
                 ))}
               </motion.div>
             )}
           </AnimatePresence>
+          {pages > 1 && (
+            <div className="pagination">
+              <button className="btn btn-outline" onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>← Previous</button>
+              <span className="pagination-info">Page {page} of {pages}</span>
+              <button className="btn btn-outline" onClick={() => setPage(page + 1)} disabled={page >= pages || isLoading}>Next →</button>
+            </div>
+          )}
         </div>
       </motion.section>
 
@@ -192,7 +274,7 @@ const scrollToTop = () => {
         <div className="container">
           <motion.h3 variants={fadeInUp}>Want to Share Your Notes, Books or PPTs?</motion.h3>
           <motion.p variants={fadeInUp}>Upload your study materials to help others in your community.</motion.p>
-          <motion.button className="btn btn-primary" variants={fadeInUp} whileHover={{ scale: 1.05, y: -5 }} whileTap={{ scale: 0.95 }}>
+          <motion.button className="btn btn-primary" onClick={() => (user ? setIsUploadOpen(true) : navigate('/login', { state: { from: '/notes' } }))} variants={fadeInUp} whileHover={{ scale: 1.05, y: -5 }} whileTap={{ scale: 0.95 }}>
             📤 Upload Resource
           </motion.button>
         </div>
@@ -200,16 +282,35 @@ const scrollToTop = () => {
 
       {/* Preview Modal */}
       <AnimatePresence>
-        {previewUrl && (
-          <motion.div key="modal" className="modal-overlay" onClick={() => setPreviewUrl(null)} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-            <motion.div className="modal-content" onClick={(e) => e.stopPropagation()} initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} transition={{ type: "spring", stiffness: 300, damping: 30 }}>
-              <embed src={previewUrl} type="application/pdf" width="100%" height="600px" />
-              <motion.button className="btn btn-primary close-btn" onClick={() => setPreviewUrl(null)} whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>Close</motion.button>
+        {previewNote && (
+          <motion.div key="modal" className="modal-overlay" onClick={() => setPreviewNote(null)} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+            <motion.div className="modal-content with-reviews" onClick={(e) => e.stopPropagation()} initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} transition={{ type: "spring", stiffness: 300, damping: 30 }}>
+              <AnnotatedPdfViewer
+                key={previewNote._id}
+                noteId={previewNote._id}
+                url={resolveFileUrl(previewNote.link)}
+                title={previewNote.title}
+                onPageChange={setPreviewPage}
+                actions={<Link to={`/notes/${previewNote._id}?page=${previewPage}`}>Open full view ↗</Link>}
+              />
+              <aside className="preview-reviews">
+                <h3>{previewNote.title}</h3>
+                <ReviewPanel key={previewNote._id} kind="note" itemId={previewNote._id} onRatingChange={handleRatingChange(previewNote._id)} />
+              </aside>
+              <motion.button className="btn btn-primary close-btn" onClick={() => setPreviewNote(null)} whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>Close</motion.button>
             </motion.div>
           </motion.div>
         )}
       </AnimatePresence>
 
+      {isUploadOpen && (
+        <UploadModal
+          defaultCategory="notes"
+          onClose={() => setIsUploadOpen(false)}
+          onSuccess={() => setReloadKey((key) => key + 1)}
+        />
+      )}
+
       {/* Scroll to Top Button */}
       <AnimatePresence>
         {showScroll && (
@@ -1,6 +1,9 @@
-import React, { useState, useMemo, useEffect } from "react";
+import React, { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { FaArrowUp } from "react-icons/fa";
+import api, { addClientFingerprint, downloadFromApi, getDownloadUrl, getErrorMessage, resolveFileUrl } from "../api";
+import BookmarkButton from "../components/BookmarkButton";
+import PdfViewer from "../components/PdfViewer";
 import "./PYQs.css";
 import './ScrollToTop.css';
 
@@ -26,45 +29,80 @@ const PYQs = () => {
   const [selectedDepartment, setSelectedDepartment] = useState("");
   const [selectedSemester, setSelectedSemester] = useState("");
   const [selectedSubject, setSelectedSubject] = useState("");
+  const [sortBy, setSortBy] = useState("year");
 
-  const universities = ["Select University", "LPU", "DU", "JNU"];
+  const [isArchiving, setIsArchiving] = useState(false);
+  const [archiveMessage, setArchiveMessage] = useState("");
   const [showScroll, setShowScroll] = useState(false);
-  
-  // Sample papers data (remains the same)
-  const samplePapers = [
-    { id: 1, university: "LPU", department: "Engineering", semester: "4th", subject: "Computer Science", uploader: "Harish", date: "2024-05-20" },
-    { id: 2, university: "DU", department: "Science", semester: "3rd", subject: "Mathematics", uploader: "Ananya Gupta", date: "2023-12-10" },
-    { id: 3, university: "JNU", department: "Science", semester: "2nd", subject: "Physics", uploader: "Ravi Verma", date: "2022-06-15" },
-    { id: 4, university: "LPU", department: "Engineering", semester: "4th", subject: "Computer Science", uploader: "Sneha Singh", date: "2023-11-02" },
-  ];
-
-  // Memoized lists of available options based on selections
-  const availableDepartments = useMemo(() => {
-    if (!selectedUniversity) return [];
-    return [...new Set(samplePapers.filter(paper => paper.university === selectedUniversity).map(paper => paper.department))];
-  }, [selectedUniversity]);
-
-  const availableSemesters = useMemo(() => {
-    if (!selectedUniversity || !selectedDepartment) return [];
-    return [...new Set(samplePapers.filter(paper => paper.university === selectedUniversity && paper.department === selectedDepartment).map(paper => paper.semester))];
-  }, [selectedUniversity, selectedDepartment]);
-
-  const availableSubjects = useMemo(() => {
-    if (!selectedUniversity || !selectedDepartment || !selectedSemester) return [];
-    return [...new Set(samplePapers.filter(paper => paper.university === selectedUniversity && paper.department === selectedDepartment && paper.semester === selectedSemester).map(paper => paper.subject))];
-  }, [selectedUniversity, selectedDepartment, selectedSemester]);
-
-  // Filter papers based on selected options
-  const filteredPapers = samplePapers.filter(
-    (paper) =>
-      paper.university === selectedUniversity &&
-      paper.department === selectedDepartment &&
-      paper.semester === selectedSemester &&
-      paper.subject === selectedSubject
-  );
+  const [previewPaper, setPreviewPaper] = useState(null);
+
+  // Catalog state, filled from GET /api/pyqs; each dropdown's options depend on the ones above it
+  const [papers, setPapers] = useState([]);
+  const [facets, setFacets] = useState({ universities: [], departments: [], semesters: [], subjects: [] });
+  const [sortOptions, setSortOptions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = { sortBy, limit: 50 };
+    if (selectedUniversity) params.university = selectedUniversity;
+    if (selectedDepartment) params.department = selectedDepartment;
+    if (selectedSemester) params.semester = selectedSemester;
+    if (selectedSubject) params.subject = selectedSubject;
+
+    setIsLoading(true);
+    api.get("/pyqs", { params, signal: controller.signal })
+      .then(({ data }) => {
+        setPapers(data.pyqs);
+        setFacets(data.facets);
+        setSortOptions(data.sortOptions);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [selectedUniversity, selectedDepartment, selectedSemester, selectedSubject, sortBy]);
 
   const areFiltersSelected = selectedUniversity && selectedDepartment && selectedSubject && selectedSemester;
 
+  // Zips every catalogued paper for the selected filters
+  const handleDownloadAll = async () => {
+    setIsArchiving(true);
+    setArchiveMessage("");
+    try {
+      await downloadFromApi(
+        "/pyqs/archive",
+        {
+          university: selectedUniversity,
+          department: selectedDepartment,
+          semester: selectedSemester,
+          subject: selectedSubject,
+        },
+        `${selectedSubject} PYQs.zip`
+      );
+    } catch (error) {
+      setArchiveMessage(getErrorMessage(error));
+    } finally {
+      setIsArchiving(false);
+    }
+  };
+
+  // Prevent background scroll when the preview is open
+  useEffect(() => {
+    if (previewPaper) {
+      document.body.classList.add("modal-open");
+    } else {
+      document.body.classList.remove("modal-open");
+    }
+  }, [previewPaper]);
+
   useEffect(() => {
   const checkScrollTop = () => {
     if (!showScroll && window.scrollY > 300) {
@@ -125,7 +163,7 @@ const scrollToTop = () => {
                 }}
               >
                 <option value="" disabled>Select University</option>
-                {universities.slice(1).map((uni, idx) => (<option key={idx} value={uni}>{uni}</option>))}
+                {facets.universities.map(({ value }) => (<option key={value} value={value}>{value}</option>))}
               </select>
             </motion.div>
 
@@ -134,7 +172,7 @@ const scrollToTop = () => {
               <label htmlFor="department">Department</label>
               <select id="department" value={selectedDepartment} onChange={(e) => { setSelectedDepartment(e.target.value); setSelectedSemester(""); setSelectedSubject(""); }} disabled={!selectedUniversity}>
                 <option value="" disabled>Select Department</option>
-                {availableDepartments.map((dept, idx) => (<option key={idx} value={dept}>{dept}</option>))}
+                {facets.departments.map(({ value }) => (<option key={value} value={value}>{value}</option>))}
               </select>
             </motion.div>
 
@@ -142,7 +180,7 @@ const scrollToTop = () => {
               <label htmlFor="semester">Semester</label>
               <select id="semester" value={selectedSemester} onChange={(e) => { setSelectedSemester(e.target.value); setSelectedSubject(""); }} disabled={!selectedUniversity || !selectedDepartment}>
                 <option value="" disabled>Select Semester</option>
-                {availableSemesters.map((sem, idx) => (<option key={idx} value={sem}>{sem}</option>))}
+                {facets.semesters.map(({ value }) => (<option key={value} value={value}>Semester {value}</option>))}
               </select>
             </motion.div>
 
@@ -150,7 +188,7 @@ const scrollToTop = () => {
               <label htmlFor="subject">Subject</label>
               <select id="subject" value={selectedSubject} onChange={(e) => setSelectedSubject(e.target.value)} disabled={!selectedUniversity || !selectedDepartment || !selectedSemester}>
                 <option value="" disabled>Select Subject</option>
-                {availableSubjects.map((subj, idx) => (<option key={idx} value={subj}>{subj}</option>))}
+                {facets.subjects.map(({ value }) => (<option key={value} value={value}>{value}</option>))}
               </select>
             </motion.div>
           </motion.div>
@@ -177,31 +215,89 @@ const scrollToTop = () => {
               >
                 <h2>
                   Previous Year Question Papers for{" "}
-                  <strong>{selectedSubject}</strong> – {selectedSemester}{" "}
-                  Semester, {selectedDepartment} Department, {selectedUniversity}
+                  <strong>{selectedSubject}</strong> – Semester {selectedSemester},{" "}
+                  {selectedDepartment} Department, {selectedUniversity}
                 </h2>
+                <div className="pyqs-sort">
+                  <label htmlFor="pyq-sort">Sort by</label>
+                  <select id="pyq-sort" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+                    {sortOptions.map(({ value, label }) => (<option key={value} value={value}>{label}</option>))}
+                  </select>
+                </div>
+                <div className="pyqs-bulk-download">
+                  <motion.button onClick={handleDownloadAll} disabled={isArchiving} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                    {isArchiving ? "Preparing ZIP..." : "📦 Download all as ZIP"}
+                  </motion.button>
+                  {archiveMessage && <p role="alert">{archiveMessage}</p>}
+                </div>
 
-                {filteredPapers.length > 0 ? (
+                {loadError ? (
+                  <motion.p className="prompt" role="alert" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+                    {loadError}
+                  </motion.p>
+                ) : isLoading ? (
+                  <motion.p className="prompt" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+                    Loading papers...
+                  </motion.p>
+                ) : papers.length > 0 ? (
                   <motion.div
                     className="pyqs-cards-grid"
                     variants={staggerChildren}
                     initial="hidden"
                     animate="visible"
                   >
-                    {filteredPapers.map((paper) => (
+                    {papers.map((paper) => (
                       <motion.div
-                        key={paper.id}
+                        key={paper._id}
                         className="pyq-card"
                         variants={scaleIn}
                         layout
                         whileHover={{ y: -8, scale: 1.05, boxShadow: "0 10px 20px rgba(0,0,0,0.1)" }}
                       >
-                        <h3>{paper.subject}</h3>
-                        <p>Uploaded on: {paper.date}</p>
+                        <h3>{paper.subject} – {paper.year}</h3>
+                        <p>Uploaded on: {new Date(paper.uploadDate).toLocaleDateString()}</p>
                         <p>Uploader: {paper.uploader}</p>
-                        <motion.button whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.95 }}>
-                          View ➜
-                        </motion.button>
+                        <p>
+                          📥 {paper.downloadCount.toLocaleString()} downloads
+                          {paper.weeklyDownloads > 0 && <span className="pyq-trending"> · 🔥 {paper.weeklyDownloads} this week</span>}
+                        </p>
+                        <div className="pyq-card-actions">
+                          {paper.link && (
+                            <motion.button
+                              type="button"
+                              className="pyq-preview"
+                              onClick={() => setPreviewPaper(paper)}
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.95 }}
+                            >
+                              👁️ Preview
+                            </motion.button>
+                          )}
+                          {paper.link ? (
+                            <motion.a
+                              className="pyq-view"
+                              href={getDownloadUrl(paper._id)}
+                              onClick={addClientFingerprint}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.95 }}
+                            >
+                              View ➜
+                            </motion.a>
+                          ) : (
+                            <span className="pyq-no-file">File coming soon</span>
+                          )}
+                          <BookmarkButton
+                            item={{
+                              kind: "pyq",
+                              itemId: paper._id,
+                              title: `${paper.subject} ${paper.year} (Semester ${paper.semester})`,
+                              subtitle: `${paper.university} • ${paper.department}`,
+                              link: paper.link,
+                            }}
+                          />
+                        </div>
                       </motion.div>
                     ))}
                   </motion.div>
@@ -226,6 +322,23 @@ const scrollToTop = () => {
         </div>
       </motion.section>
 
+      {/* Preview Modal */}
+      <AnimatePresence>
+        {previewPaper && (
+          <motion.div key="modal" className="modal-overlay" onClick={() => setPreviewPaper(null)} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+            <motion.div className="modal-content" onClick={(e) => e.stopPropagation()} initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} transition={{ type: "spring", stiffness: 300, damping: 30 }}>
+              <PdfViewer
+                key={previewPaper._id}
+                url={resolveFileUrl(previewPaper.link)}
+                docId={`pyq:${previewPaper._id}`}
+                title={`${previewPaper.subject} ${previewPaper.year}`}
+              />
+              <motion.button className="btn btn-primary close-btn" onClick={() => setPreviewPaper(null)} whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>Close</motion.button>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Scroll to Top Button */}
       <AnimatePresence>
         {showScroll && (
@@ -1,23 +1,128 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { motion } from "framer-motion";
+import { Link, useNavigate } from "react-router-dom";
 import {
   FaUserEdit,
   FaFileUpload,
   FaCommentDots,
   FaBookmark,
+  FaBoxOpen,
+  FaSignOutAlt,
 } from "react-icons/fa";
+import api, { API_BASE_URL, getErrorMessage, openFromApi, resolveFileUrl } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+import { useBookmarks } from "../bookmarks/BookmarksProvider";
+import { countTopics, toPercent, useSyllabusProgress } from "../progress/SyllabusProgressProvider";
+import ProgressBar from "../components/ProgressBar";
+import UploadModal from "../components/UploadModal";
+import { DEFAULT_AVATAR } from "../components/Navbar";
 import "./Profile.css";
 import './ScrollToTop.css';
 
-const user = {
-  name: "John Doe",
-  email: "john.doe@example.com",
-  joinDate: "Joined on August 29, 2025",
-  avatar: "https://avatar.iran.liara.run/public/boy",
+const CATEGORY_LABELS = { notes: "Notes", syllabus: "Syllabus", pyq: "PYQ" };
+
+// Bookmark kinds with their badge label and the page to open when the bookmark has no file link
+const BOOKMARK_KINDS = {
+  note: { label: "Notes", page: "/notes" },
+  syllabus: { label: "Syllabus", page: "/syllabus" },
+  pyq: { label: "PYQ", page: "/pyqs" },
+  feedback: { label: "Feedback", page: "/feedback" },
+};
+
+// Badge for submissions that are still waiting on (or failed) moderation
+const StatusBadge = ({ item }) => {
+  if (!item.status || item.status === "approved") return null;
+  return (
+    <span className={`profile-item-status ${item.status}`} title={item.moderationReason || undefined}>
+      {item.status === "pending" ? "Pending review" : "Rejected"}
+    </span>
+  );
+};
+
+// How far the user has got through each syllabus they adopted, most recently studied first
+const ProgressWidget = () => {
+  const { trackers } = useSyllabusProgress();
+
+  return (
+    <section className="profile-progress-card" aria-label="Syllabus progress">
+      <h2>Syllabus progress</h2>
+      {trackers.length === 0 ? (
+        <p className="profile-progress-empty">
+          Track a syllabus from the <Link to="/syllabus">Syllabus page</Link> to tick off topics as you cover them.
+        </p>
+      ) : (
+        <ul>
+          {trackers.map((tracker) => {
+            const counts = countTopics(tracker);
+            const percent = toPercent(counts);
+            return (
+              <li key={tracker.syllabus}>
+                <Link to={`/syllabus?track=${tracker.syllabus}`} className="profile-progress-title">{tracker.title}</Link>
+                <span className="profile-progress-meta">
+                  {tracker.university} · {counts.total ? `${counts.done}/${counts.total} topics` : "No topics added yet"}
+                </span>
+                <div className="profile-progress-bar">
+                  <ProgressBar percent={percent} label={`${tracker.title} progress`} />
+                  <strong>{percent}%</strong>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
 };
 
 const Profile = () => {
+  const { user, loading, logout } = useAuth();
+  const { bookmarks, toggleBookmark } = useBookmarks();
+  const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState("uploads");
+  const [uploads, setUploads] = useState([]);
+  const [feedbacks, setFeedbacks] = useState([]);
+  const [isUploadOpen, setIsUploadOpen] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [bookmarkKind, setBookmarkKind] = useState("all");
+  const [bookmarkSearch, setBookmarkSearch] = useState("");
+  const [collections, setCollections] = useState([]);
+  const [newCollection, setNewCollection] = useState({ title: "", subject: "" });
+  const [collectionError, setCollectionError] = useState("");
+
+  useEffect(() => {
+    if (!user) return;
+    api
+      .get("/uploads/mine")
+      .then((response) => setUploads(response.data))
+      .catch((error) => console.error("Error fetching uploads", error));
+  }, [user, reloadKey]);
+
+  useEffect(() => {
+    if (!user) return;
+    api
+      .get("/feedbacks/mine")
+      .then((response) => setFeedbacks(response.data))
+      .catch((error) => console.error("Error fetching feedback", error));
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    api
+      .get("/collections/mine")
+      .then((response) => setCollections(response.data))
+      .catch((error) => console.error("Error fetching collections", error));
+  }, [user]);
+
+  // New packs start empty; items are added on the collection page
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await api.post("/collections", newCollection);
+      navigate(`/collections/${data._id}`);
+    } catch (error) {
+      setCollectionError(getErrorMessage(error));
+    }
+  };
 
   const fadeInUp = {
     hidden: { opacity: 0, y: 30 },
@@ -46,14 +151,234 @@ const Profile = () => {
         text: "You haven't uploaded any materials yet.",
       },
       feedback: { icon: <FaCommentDots />, text: "No feedback submitted yet." },
+      collections: {
+        icon: <FaBoxOpen />,
+        text: "You haven't made any collections yet.",
+      },
       bookmarks: {
         icon: <FaBookmark />,
-        text: "Your bookmarked items will appear here.",
+        text: "Your bookmarked items will appear here. Use the bookmark button on any note, syllabus, paper or feedback card.",
       },
     };
 
     const currentContent = contentData[activeTab];
 
+    if (activeTab === "uploads") {
+      return (
+        <motion.div
+          key={activeTab}
+          className="content-panel"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          {uploads.length === 0 ? (
+            <>
+              <div className="content-icon">{currentContent.icon}</div>
+              <p>{currentContent.text}</p>
+            </>
+          ) : (
+            <ul className="profile-item-list">
+              {uploads.map((item) => (
+                <li key={item._id} className="profile-item">
+                  <div>
+                    <a
+                      className="profile-item-title"
+                      href={`${API_BASE_URL}/api/uploads/${item._id}/file`}
+                      // Pending and rejected files are only served with the uploader's token
+                      onClick={(e) => {
+                        e.preventDefault();
+                        openFromApi(`/uploads/${item._id}/file`).catch((error) => window.alert(getErrorMessage(error)));
+                      }}
+                    >
+                      {item.title}
+                    </a>
+                    <div className="profile-item-meta">
+                      {CATEGORY_LABELS[item.category]} • {item.subject} • {item.university} •{" "}
+                      {new Date(item.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div className="profile-item-badges">
+                    <StatusBadge item={item} />
+                    <span className="profile-item-badge">{item.fileType}</span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          <motion.button
+            className="edit-profile-btn-modern profile-upload-btn"
+            onClick={() => setIsUploadOpen(true)}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <FaFileUpload />
+            <span>Upload Material</span>
+          </motion.button>
+        </motion.div>
+      );
+    }
+
+    if (activeTab === "collections") {
+      return (
+        <motion.div
+          key={activeTab}
+          className="content-panel"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          {collections.length === 0 ? (
+            <>
+              <div className="content-icon">{currentContent.icon}</div>
+              <p>{currentContent.text}</p>
+            </>
+          ) : (
+            <ul className="profile-item-list">
+              {collections.map((item) => (
+                <li key={item._id} className="profile-item">
+                  <div>
+                    <Link className="profile-item-title" to={`/collections/${item._id}`}>
+                      {item.title}
+                    </Link>
+                    <div className="profile-item-meta">
+                      {item.subject && <>{item.subject} • </>}
+                      {item.items.length} item{item.items.length === 1 ? "" : "s"} • updated{" "}
+                      {new Date(item.updatedAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div className="profile-item-badges">
+                    <span className="profile-item-badge">{item.visibility === "public" ? "Public" : "Private"}</span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form className="profile-collection-form" onSubmit={handleCreateCollection}>
+            <input
+              value={newCollection.title}
+              onChange={(e) => setNewCollection({ ...newCollection, title: e.target.value })}
+              placeholder="New collection, e.g. DBMS exam pack"
+              aria-label="Collection title"
+              required
+            />
+            <input
+              value={newCollection.subject}
+              onChange={(e) => setNewCollection({ ...newCollection, subject: e.target.value })}
+              placeholder="Subject (optional)"
+              aria-label="Collection subject"
+            />
+            <button type="submit" className="edit-profile-btn-modern">
+              <FaBoxOpen />
+              <span>Create</span>
+            </button>
+          </form>
+          {collectionError && <p className="profile-form-error" role="alert">{collectionError}</p>}
+        </motion.div>
+      );
+    }
+
+    if (activeTab === "bookmarks" && bookmarks.length > 0) {
+      const term = bookmarkSearch.trim().toLowerCase();
+      const visible = bookmarks.filter(
+        (item) =>
+          (bookmarkKind === "all" || item.kind === bookmarkKind) &&
+          (!term || `${item.title} ${item.subtitle || ""}`.toLowerCase().includes(term))
+      );
+
+      return (
+        <motion.div
+          key={activeTab}
+          className="content-panel"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <div className="profile-bookmark-filters">
+            <input
+              type="search"
+              placeholder="Filter bookmarks..."
+              value={bookmarkSearch}
+              onChange={(e) => setBookmarkSearch(e.target.value)}
+              aria-label="Filter bookmarks"
+            />
+            <select value={bookmarkKind} onChange={(e) => setBookmarkKind(e.target.value)} aria-label="Bookmark type">
+              <option value="all">All types ({bookmarks.length})</option>
+              {Object.entries(BOOKMARK_KINDS).map(([kind, config]) => (
+                <option key={kind} value={kind}>
+                  {config.label} ({bookmarks.filter((item) => item.kind === kind).length})
+                </option>
+              ))}
+            </select>
+          </div>
+          {visible.length === 0 ? (
+            <p>No bookmarks match these filters.</p>
+          ) : (
+            <ul className="profile-item-list">
+              {visible.map((item) => (
+                <li key={`${item.kind}:${item.itemId}`} className="profile-item">
+                  <div>
+                    {item.link ? (
+                      <a className="profile-item-title" href={resolveFileUrl(item.link)} target="_blank" rel="noopener noreferrer">
+                        {item.title}
+                      </a>
+                    ) : (
+                      <Link className="profile-item-title" to={BOOKMARK_KINDS[item.kind].page}>
+                        {item.title}
+                      </Link>
+                    )}
+                    <div className="profile-item-meta">
+                      {item.subtitle && <>{item.subtitle} • </>}
+                      Saved {new Date(item.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div className="profile-item-badges">
+                    <span className="profile-item-badge">{BOOKMARK_KINDS[item.kind].label}</span>
+                    <button
+                      className="profile-item-remove"
+                      onClick={() => toggleBookmark(item).catch((error) => window.alert(getErrorMessage(error)))}
+                      aria-label={`Remove ${item.title} from bookmarks`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </motion.div>
+      );
+    }
+
+    if (activeTab === "feedback" && feedbacks.length > 0) {
+      return (
+        <motion.div
+          key={activeTab}
+          className="content-panel"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <ul className="profile-item-list">
+            {feedbacks.map((item) => (
+              <li key={item._id} className="profile-item">
+                <div>
+                  <span className="profile-item-title">{item.subject}</span>
+                  <div className="profile-item-meta">
+                    {item.university} • {item.difficulty} •{" "}
+                    {new Date(item.createdAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <div className="profile-item-badges">
+                  <StatusBadge item={item} />
+                </div>
+              </li>
+            ))}
+          </ul>
+        </motion.div>
+      );
+    }
+
     return (
       <motion.div
         key={activeTab}
@@ -68,6 +393,36 @@ const Profile = () => {
     );
   };
 
+  if (loading) {
+    return (
+      <div className="profile-page">
+        <div className="content-panel">
+          <p>Loading your profile...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <motion.div className="profile-page" initial="hidden" animate="visible" variants={fadeInUp}>
+        <div className="content-panel">
+          <div className="content-icon"><FaUserEdit /></div>
+          <p>Sign in to see your uploads, feedback and bookmarks.</p>
+          <Link to="/login" state={{ from: "/profile" }} className="edit-profile-btn-modern profile-upload-btn">
+            Sign in
+          </Link>
+        </div>
+      </motion.div>
+    );
+  }
+
+  const joinDate = new Date(user.createdAt).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
   return (
     <motion.div
       className="profile-page"
@@ -78,7 +433,7 @@ const Profile = () => {
       <motion.div className="profile-header-card" variants={fadeInUp}>
         <div className="profile-info">
           <motion.img
-            src={user.avatar}
+            src={user.avatar || DEFAULT_AVATAR}
             alt="User Avatar"
             className="profile-avatar"
             whileHover={{ scale: 1.05 }}
@@ -86,17 +441,32 @@ const Profile = () => {
           <div className="profile-text">
             <h1 className="profile-user-name">{user.name}</h1>
             <p className="profile-user-email">{user.email}</p>
-            <p className="profile-join-date">{user.joinDate}</p>
+            <p className="profile-join-date">Joined on {joinDate}</p>
           </div>
         </div>
-        <motion.button
-          className="edit-profile-btn-modern"
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-        >
-          <FaUserEdit />
-          <span>Edit Profile</span>
-        </motion.button>
+        <div className="profile-actions">
+          <motion.button
+            className="edit-profile-btn-modern"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <FaUserEdit />
+            <span>Edit Profile</span>
+          </motion.button>
+          <motion.button
+            className="edit-profile-btn-modern"
+            onClick={logout}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <FaSignOutAlt />
+            <span>Sign out</span>
+          </motion.button>
+        </div>
+      </motion.div>
+
+      <motion.div variants={fadeInUp}>
+        <ProgressWidget />
       </motion.div>
 
       <motion.div className="profile-tabs-container" variants={fadeInUp}>
@@ -113,6 +483,12 @@ const Profile = () => {
           >
             My Feedback
           </button>
+          <button
+            className={`tab-btn ${activeTab === "collections" ? "active" : ""}`}
+            onClick={() => setActiveTab("collections")}
+          >
+            My Collections
+          </button>
           <button
             className={`tab-btn ${activeTab === "bookmarks" ? "active" : ""}`}
             onClick={() => setActiveTab("bookmarks")}
@@ -125,6 +501,13 @@ const Profile = () => {
       <motion.div className="profile-content" variants={fadeInUp}>
         {renderContent()}
       </motion.div>
+
+      {isUploadOpen && (
+        <UploadModal
+          onClose={() => setIsUploadOpen(false)}
+          onSuccess={() => setReloadKey((key) => key + 1)}
+        />
+      )}
     </motion.div>
   );
 };
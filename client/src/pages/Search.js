@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Link, useSearchParams } from "react-router-dom";
+import api, { getErrorMessage, resolveFileUrl } from "../api";
+import { rememberRecentItem } from "../recentItems";
+import "./Search.css";
+
+// Search result types that show up as "recent" in the command palette once opened
+const RECENT_TYPES = { notes: "note", syllabi: "syllabus" };
+
+// Result groups in display order, with where "see all" should lead
+const RESULT_TYPES = {
+  notes: { label: "📘 Notes", page: "/notes" },
+  syllabi: { label: "📋 Syllabi", page: "/syllabus" },
+  pyqs: { label: "📝 Previous Year Papers", page: "/pyqs" },
+  feedback: { label: "🗣️ Exam Feedback", page: "/feedback" },
+};
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = (searchParams.get("q") || "").trim();
+
+  const [input, setInput] = useState(q);
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState("");
+
+  // Keep the box in step when the Navbar search changes the URL
+  useEffect(() => {
+    setInput(q);
+  }, [q]);
+
+  useEffect(() => {
+    if (!q) {
+      setData(null);
+      return undefined;
+    }
+    const controller = new AbortController();
+    setIsLoading(true);
+    api.get("/search", { params: { q, limit: 10 }, signal: controller.signal })
+      .then(({ data: result }) => {
+        setData(result);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [q]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (input.trim()) setSearchParams({ q: input.trim() });
+  };
+
+  const handleOpen = (item) => {
+    if (RECENT_TYPES[item.type]) {
+      rememberRecentItem({ type: RECENT_TYPES[item.type], id: item.id, title: item.title, link: item.link });
+    }
+  };
+
+  const groups = data
+    ? Object.entries(RESULT_TYPES)
+        .map(([type, config]) => ({
+          type,
+          ...config,
+          count: data.counts[type] || 0,
+          items: data.results.filter((result) => result.type === type),
+        }))
+        .filter((group) => group.items.length > 0)
+    : [];
+
+  return (
+    <motion.div
+      className="search-page"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <h1>🔍 Search</h1>
+      <form className="search-page-form" onSubmit={handleSubmit} role="search">
+        <input
+          type="search"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Search notes, syllabi, PYQs and feedback..."
+          aria-label="Search"
+          autoFocus
+        />
+        <button type="submit">Search</button>
+      </form>
+
+      {!q && <p className="search-muted">Type a subject, topic or title to get started.</p>}
+      {loadError && <p className="search-muted">{loadError}</p>}
+      {isLoading && <p className="search-muted">Searching...</p>}
+      {!isLoading && data && (
+        <p className="search-summary">
+          {data.total} result{data.total !== 1 ? "s" : ""} for <strong>“{data.q}”</strong>
+        </p>
+      )}
+      {!isLoading && data && data.total === 0 && (
+        <p className="search-muted">Nothing matched. Try a broader word or check the spelling.</p>
+      )}
+
+      {groups.map((group) => (
+        <section key={group.type} className="search-group">
+          <div className="search-group-header">
+            <h2>{group.label}</h2>
+            <span className="search-group-count">{group.count}</span>
+            {group.count > group.items.length && (
+              <Link to={group.page} className="search-see-all">See all →</Link>
+            )}
+          </div>
+          <ul className="search-results">
+            {group.items.map((item) => (
+              <li key={item.id} className="search-result">
+                <div>
+                  <span className="search-result-title">{item.title}</span>
+                  <span className="search-result-meta">{item.subtitle}</span>
+                </div>
+                {item.link ? (
+                  <a
+                    href={resolveFileUrl(item.link)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="search-result-action"
+                    onClick={() => handleOpen(item)}
+                  >
+                    Open
+                  </a>
+                ) : (
+                  <Link to={group.page} className="search-result-action">View</Link>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </motion.div>
+  );
+};
+
+export default Search;
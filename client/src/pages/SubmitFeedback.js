@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
+import api, { getErrorMessage } from '../api';
 import './SubmitFeedback.css'; // We will create this file next
 import './Feedback.css'; // Reusing some existing styles
 
@@ -38,20 +40,31 @@ const StarRating = ({ rating, setRating }) => {
   );
 };
 
+// Field names match the Feedback schema on the server, so the form posts as-is
+const INITIAL_FORM = {
+  studentName: '',
+  university: '',
+  department: '',
+  subject: '',
+  semester: '',
+  examDate: '',
+  difficulty: '',
+  rating: 0,
+  preparationTime: '',
+  examPattern: '',
+  importantTopics: '',
+  tips: '',
+  timeManagement: '',
+  resources: '',
+};
+
 const SubmitFeedback = () => {
-  const [formData, setFormData] = useState({
-    university: '',
-    department: '',
-    subjectName: '',
-    semester: '',
-    difficulty: '',
-    overallRating: 0,
-    importantTopics: '',
-    studyTips: '',
-    resourcesUsed: '',
-  });
+  const [formData, setFormData] = useState(INITIAL_FORM);
 
   const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [statusMessage, setStatusMessage] = useState('');
+  const [submitted, setSubmitted] = useState(false);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -59,29 +72,40 @@ const SubmitFeedback = () => {
   };
   
   const setRating = (value) => {
-    setFormData({ ...formData, overallRating: value });
+    setFormData({ ...formData, rating: value });
   };
 
   const validateForm = () => {
     const newErrors = {};
     if (!formData.university.trim()) newErrors.university = 'University is required.';
-    if (!formData.subjectName.trim()) newErrors.subjectName = 'Subject Name is required.';
+    if (!formData.subject.trim()) newErrors.subject = 'Subject Name is required.';
     if (!formData.semester) newErrors.semester = 'Semester is required.';
     if (!formData.difficulty) newErrors.difficulty = 'Exam Difficulty is required.';
-    if (formData.overallRating === 0) newErrors.overallRating = 'Overall Rating is required.';
+    if (formData.rating === 0) newErrors.rating = 'Overall Rating is required.';
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (validateForm()) {
-      console.log('Form Submitted Successfully:', formData);
-      alert('Feedback submitted! Check the console for the data.');
-      // Here you would typically send the data to a backend.
-    } else {
-      console.log('Form validation failed:', errors);
+    if (!validateForm()) return;
+
+    setIsSubmitting(true);
+    setStatusMessage('');
+    try {
+      // Topic and resource lists are sent as comma/line separated text; the server splits them
+      const { data } = await api.post('/feedback', formData);
+      setStatusMessage(data.message);
+      setSubmitted(true);
+      setFormData(INITIAL_FORM);
+    } catch (error) {
+      const serverErrors = (error.response && error.response.data && error.response.data.errors) || [];
+      // Show field errors from the server next to their inputs, e.g. `resources[2]` under resources
+      setErrors(serverErrors.reduce((acc, { path, msg }) => ({ ...acc, [path.split('[')[0]]: msg }), {}));
+      setStatusMessage(getErrorMessage(error));
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -98,6 +122,18 @@ const SubmitFeedback = () => {
           <p>Your insights can help countless other students succeed. Please fill out the form below.</p>
         </div>
         
+        {submitted ? (
+          <div className="feedback-form submit-success" role="status">
+            <h2>🎉 {statusMessage}</h2>
+            <p>It will appear on the feedback page once a moderator approves it.</p>
+            <div className="submit-success-actions">
+              <Link to="/feedback" className="btn btn-primary">Back to Feedback</Link>
+              <button type="button" className="btn btn-secondary" onClick={() => setSubmitted(false)}>
+                Share Another
+              </button>
+            </div>
+          </div>
+        ) : (
         <form onSubmit={handleSubmit} className="feedback-form" noValidate>
           {/* University & Department */}
           <div className="form-row">
@@ -131,17 +167,17 @@ const SubmitFeedback = () => {
           {/* Subject Name & Semester */}
           <div className="form-row">
             <div className="form-group">
-              <label htmlFor="subjectName">Subject Name *</label>
+              <label htmlFor="subject">Subject Name *</label>
               <input
                 type="text"
-                id="subjectName"
-                name="subjectName"
-                className={`form-input ${errors.subjectName ? 'input-error' : ''}`}
-                value={formData.subjectName}
+                id="subject"
+                name="subject"
+                className={`form-input ${errors.subject ? 'input-error' : ''}`}
+                value={formData.subject}
                 onChange={handleChange}
                 placeholder="e.g., Data Structures"
               />
-              {errors.subjectName && <span className="error-message">{errors.subjectName}</span>}
+              {errors.subject && <span className="error-message">{errors.subject}</span>}
             </div>
             <div className="form-group">
               <label htmlFor="semester">Semester *</label>
@@ -160,6 +196,34 @@ const SubmitFeedback = () => {
               {errors.semester && <span className="error-message">{errors.semester}</span>}
             </div>
           </div>
+
+          {/* Name & Exam Date */}
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="studentName">Your Name</label>
+              <input
+                type="text"
+                id="studentName"
+                name="studentName"
+                className="form-input"
+                value={formData.studentName}
+                onChange={handleChange}
+                placeholder="Leave blank to post anonymously"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="examDate">Exam Date</label>
+              <input
+                type="text"
+                id="examDate"
+                name="examDate"
+                className="form-input"
+                value={formData.examDate}
+                onChange={handleChange}
+                placeholder="e.g., May 2024"
+              />
+            </div>
+          </div>
           
           {/* Difficulty & Rating */}
           <div className="form-row">
@@ -173,68 +237,118 @@ const SubmitFeedback = () => {
                 onChange={handleChange}
               >
                 <option value="">Select Difficulty</option>
-                <option value="Easy">Easy 😊</option>
-                <option value="Moderate">Moderate 😐</option>
-                <option value="Hard">Hard 😰</option>
+                <option value="easy">Easy 😊</option>
+                <option value="moderate">Moderate 😐</option>
+                <option value="hard">Hard 😰</option>
               </select>
               {errors.difficulty && <span className="error-message">{errors.difficulty}</span>}
             </div>
             <div className="form-group">
               <label>Overall Rating *</label>
-              <StarRating rating={formData.overallRating} setRating={setRating} />
-              {errors.overallRating && <span className="error-message">{errors.overallRating}</span>}
+              <StarRating rating={formData.rating} setRating={setRating} />
+              {errors.rating && <span className="error-message">{errors.rating}</span>}
+            </div>
+          </div>
+
+          {/* Preparation Time & Time Management */}
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="preparationTime">Preparation Time</label>
+              <input
+                type="text"
+                id="preparationTime"
+                name="preparationTime"
+                className="form-input"
+                value={formData.preparationTime}
+                onChange={handleChange}
+                placeholder="e.g., 6 weeks"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="timeManagement">Time Management</label>
+              <input
+                type="text"
+                id="timeManagement"
+                name="timeManagement"
+                className={`form-input ${errors.timeManagement ? 'input-error' : ''}`}
+                value={formData.timeManagement}
+                onChange={handleChange}
+                placeholder="e.g., 40% basics, 60% problem solving"
+              />
+              {errors.timeManagement && <span className="error-message">{errors.timeManagement}</span>}
             </div>
           </div>
           
           {/* Text Areas */}
+          <div className="form-group">
+            <label htmlFor="examPattern">Exam Pattern</label>
+            <textarea
+              id="examPattern"
+              name="examPattern"
+              className={`form-textarea ${errors.examPattern ? 'input-error' : ''}`}
+              value={formData.examPattern}
+              onChange={handleChange}
+              placeholder="Sections, marks split and question types. (e.g., MCQs 20 marks, Long answers 80 marks)"
+              rows="3"
+            ></textarea>
+            {errors.examPattern && <span className="error-message">{errors.examPattern}</span>}
+          </div>
+
           <div className="form-group">
             <label htmlFor="importantTopics">Important Topics</label>
             <textarea
               id="importantTopics"
               name="importantTopics"
-              className="form-textarea"
+              className={`form-textarea ${errors.importantTopics ? 'input-error' : ''}`}
               value={formData.importantTopics}
               onChange={handleChange}
-              placeholder="List key topics, modules, or questions. (e.g., Trees, Graphs, Sorting)"
+              placeholder="List key topics, modules, or questions, separated by commas. (e.g., Trees, Graphs, Sorting)"
               rows="4"
             ></textarea>
+            {errors.importantTopics && <span className="error-message">{errors.importantTopics}</span>}
           </div>
           
           <div className="form-group">
-            <label htmlFor="studyTips">Study Tips & Strategy</label>
+            <label htmlFor="tips">Study Tips & Strategy</label>
             <textarea
-              id="studyTips"
-              name="studyTips"
-              className="form-textarea"
-              value={formData.studyTips}
+              id="tips"
+              name="tips"
+              className={`form-textarea ${errors.tips ? 'input-error' : ''}`}
+              value={formData.tips}
               onChange={handleChange}
               placeholder="Share your preparation strategy, revision techniques, or any helpful tips."
               rows="6"
             ></textarea>
+            {errors.tips && <span className="error-message">{errors.tips}</span>}
           </div>
           
           <div className="form-group">
-            <label htmlFor="resourcesUsed">Resources Used</label>
+            <label htmlFor="resources">Resources Used</label>
             <textarea
-              id="resourcesUsed"
-              name="resourcesUsed"
-              className="form-textarea"
-              value={formData.resourcesUsed}
+              id="resources"
+              name="resources"
+              className={`form-textarea ${errors.resources ? 'input-error' : ''}`}
+              value={formData.resources}
               onChange={handleChange}
-              placeholder="List any textbooks, websites, YouTube channels, or notes that helped you."
+              placeholder="List any textbooks, websites, YouTube channels, or notes that helped you, separated by commas."
               rows="4"
             ></textarea>
+            {errors.resources && <span className="error-message">{errors.resources}</span>}
           </div>
+
+          {statusMessage && <p className="error-message" role="alert">{statusMessage}</p>}
           
           <motion.button
             type="submit"
             className="btn btn-primary"
+            disabled={isSubmitting}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
           >
-            Submit Feedback
+            {isSubmitting ? 'Submitting...' : 'Submit Feedback'}
           </motion.button>
         </form>
+        )}
       </div>
     </motion.div>
   );
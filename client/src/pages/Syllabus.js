@@ -1,117 +1,20 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaArrowUp } from "react-icons/fa";
+import api, { getErrorMessage, openDownload, resolveFileUrl } from '../api';
+import { rememberRecentItem } from '../recentItems';
+import BookmarkButton from '../components/BookmarkButton';
+import PdfViewer from '../components/PdfViewer';
+import ReviewPanel from '../components/ReviewPanel';
+import StarRating from '../components/StarRating';
+import StudyPlanner from '../components/StudyPlanner';
+import SyllabusCompare from '../components/SyllabusCompare';
+import SyllabusTracker from '../components/SyllabusTracker';
+import { countTopics, toPercent, useSyllabusProgress } from '../progress/SyllabusProgressProvider';
 import './Syllabus.css';
 
 const Syllabus = () => {
-  // Mock data for syllabi
-  const syllabusData = [
-    {
-      id: 1,
-      title: "Computer Science Engineering - Semester 1",
-      university: "Delhi University",
-      department: "Computer Science",
-      semester: 1,
-      subjects: ["Mathematics I", "Physics", "Chemistry", "Programming in C", "English Communication"],
-      downloadCount: 1250,
-      uploadDate: "2024-01-15",
-      fileSize: "2.4 MB",
-      difficulty: "Beginner",
-      tags: ["CSE", "First Year", "Basic Programming"]
-    },
-    {
-      id: 2,
-      title: "Computer Science Engineering - Semester 3",
-      university: "Delhi University",
-      department: "Computer Science",
-      semester: 3,
-      subjects: ["Data Structures", "Computer Organization", "Discrete Mathematics", "Database Systems", "Software Engineering"],
-      downloadCount: 890,
-      uploadDate: "2024-01-20",
-      fileSize: "3.1 MB",
-      difficulty: "Intermediate",
-      tags: ["CSE", "Data Structures", "Database"]
-    },
-    {
-      id: 3,
-      title: "Mechanical Engineering - Semester 2",
-      university: "Mumbai University",
-      department: "Mechanical Engineering",
-      semester: 2,
-      subjects: ["Engineering Mechanics", "Thermodynamics", "Manufacturing Processes", "Engineering Drawing", "Materials Science"],
-      downloadCount: 675,
-      uploadDate: "2024-01-18",
-      fileSize: "2.8 MB",
-      difficulty: "Intermediate",
-      tags: ["Mechanical", "Thermodynamics", "Manufacturing"]
-    },
-    {
-      id: 4,
-      title: "Electronics Engineering - Semester 4",
-      university: "IIT Delhi",
-      department: "Electronics Engineering",
-      semester: 4,
-      subjects: ["Digital Electronics", "Microprocessors", "Control Systems", "Signals & Systems", "Communication Systems"],
-      downloadCount: 1120,
-      uploadDate: "2024-01-22",
-      fileSize: "3.5 MB",
-      difficulty: "Advanced",
-      tags: ["Electronics", "Microprocessors", "Communication"]
-    },
-    {
-      id: 5,
-      title: "Information Technology - Semester 1",
-      university: "Anna University",
-      department: "Information Technology",
-      semester: 1,
-      subjects: ["Programming Fundamentals", "Digital Logic", "Computer Networks Basics", "Web Technologies", "Statistics"],
-      downloadCount: 945,
-      uploadDate: "2024-01-25",
-      fileSize: "2.2 MB",
-      difficulty: "Beginner",
-      tags: ["IT", "Web Development", "Networks"]
-    },
-    {
-      id: 6,
-      title: "Civil Engineering - Semester 3",
-      university: "NIT Trichy",
-      department: "Civil Engineering",
-      semester: 3,
-      subjects: ["Structural Analysis", "Fluid Mechanics", "Surveying", "Building Materials", "Environmental Engineering"],
-      downloadCount: 720,
-      uploadDate: "2024-01-12",
-      fileSize: "2.9 MB",
-      difficulty: "Intermediate",
-      tags: ["Civil", "Structural", "Environmental"]
-    },
-    {
-      id: 7,
-      title: "Computer Science Engineering - Semester 5",
-      university: "VIT Vellore",
-      department: "Computer Science",
-      semester: 5,
-      subjects: ["Machine Learning", "Compiler Design", "Computer Graphics", "Network Security", "Mobile Computing"],
-      downloadCount: 1340,
-      uploadDate: "2024-01-28",
-      fileSize: "4.2 MB",
-      difficulty: "Advanced",
-      tags: ["CSE", "Machine Learning", "Security"]
-    },
-    {
-      id: 8,
-      title: "Electrical Engineering - Semester 2",
-      university: "IIT Bombay",
-      department: "Electrical Engineering",
-      semester: 2,
-      subjects: ["Circuit Analysis", "Electromagnetic Theory", "Power Systems", "Digital Circuits", "Instrumentation"],
-      downloadCount: 850,
-      uploadDate: "2024-01-14",
-      fileSize: "3.3 MB",
-      difficulty: "Intermediate",
-      tags: ["Electrical", "Power Systems", "Circuits"]
-    }
-  ];
-
   // Animation variants from Home.js
   const fadeInUp = {
     hidden: { opacity: 0, y: 40 },
@@ -158,45 +61,156 @@ const [showScroll, setShowScroll] = useState(false);
   const [selectedDepartment, setSelectedDepartment] = useState('All');
   const [selectedSemester, setSelectedSemester] = useState('All');
   const [sortBy, setSortBy] = useState('downloads');
+  const [page, setPage] = useState(1);
+  const [previewSyllabus, setPreviewSyllabus] = useState(null);
 
-  // Get unique values for filters
-  const universities = ['All', ...new Set(syllabusData.map(item => item.university))];
-  const departments = ['All', ...new Set(syllabusData.map(item => item.department))];
-  const semesters = ['All', ...new Set(syllabusData.map(item => item.semester))];
-
-  // Filter and sort logic
-  const filteredAndSortedSyllabi = useMemo(() => {
-    let filtered = syllabusData.filter(item => {
-      const matchesSearch = item.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                          item.subjects.some(subject => subject.toLowerCase().includes(searchTerm.toLowerCase())) ||
-                          item.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()));
-      const matchesUniversity = selectedUniversity === 'All' || item.university === selectedUniversity;
-      const matchesDepartment = selectedDepartment === 'All' || item.department === selectedDepartment;
-      const matchesSemester = selectedSemester === 'All' || item.semester.toString() === selectedSemester;
-
-      return matchesSearch && matchesUniversity && matchesDepartment && matchesSemester;
-    });
+  // The open progress tracker lives in the address (?track=<id>) so the profile widget can link to it
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { getTracker, adoptSyllabus, dropTracker, relinkGuestTrackers } = useSyllabusProgress();
+  const trackingId = searchParams.get('track');
+  const openTracker = trackingId ? getTracker(trackingId) : null;
 
-    // Sort the filtered results
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'downloads':
-          return b.downloadCount - a.downloadCount;
-        case 'date':
-          return new Date(b.uploadDate) - new Date(a.uploadDate);
-        case 'title':
-          return a.title.localeCompare(b.title);
-        default:
-          return 0;
-      }
-    });
+  // An open comparison is kept the same way (?compare=<fromId>,<toId>) so it can be shared
+  const compareIds = (searchParams.get('compare') || '').split(',').filter(Boolean);
+  const isComparing = compareIds.length === 2;
+  // And the syllabus being turned into a study plan (?plan=<id>), which the detail page links to
+  const planningId = searchParams.get('plan');
+  // Syllabi picked from the cards for the next comparison, oldest pick first
+  const [comparePicks, setComparePicks] = useState([]);
+  const [compareMessage, setCompareMessage] = useState('');
+
+  // Catalog state, filled from GET /api/syllabi
+  const [syllabi, setSyllabi] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [catalogSize, setCatalogSize] = useState(0);
+  const [facets, setFacets] = useState({ universities: [], departments: [], semesters: [] });
+  const [sortOptions, setSortOptions] = useState([]);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  // Wait for the user to stop typing before hitting the API
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = { sortBy, page };
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (selectedUniversity !== 'All') params.university = selectedUniversity;
+    if (selectedDepartment !== 'All') params.department = selectedDepartment;
+    if (selectedSemester !== 'All') params.semester = selectedSemester;
+
+    setIsLoading(true);
+    api.get('/syllabi', { params, signal: controller.signal })
+      .then(({ data }) => {
+        setSyllabi(data.syllabi);
+        setTotal(data.total);
+        setPages(data.pages);
+        setCatalogSize(data.catalogSize);
+        setFacets(data.facets);
+        setSortOptions(data.sortOptions);
+        setLoadError('');
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error('Error fetching syllabi', error);
+        setLoadError('We could not load the syllabi right now. Please try again later.');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [debouncedSearch, selectedUniversity, selectedDepartment, selectedSemester, sortBy, page]);
+
+  // Trackers a guest adopted from the old built-in list follow their syllabus into the catalog
+  useEffect(() => {
+    relinkGuestTrackers(syllabi);
+  }, [syllabi, relinkGuestTrackers]);
+
+  // Any filter change starts over from the first page
+  const handleFilterChange = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  // Keeps the card's stars in step with reviews posted from the preview panel
+  const handleRatingChange = (syllabusId) => ({ average, count }) => {
+    setSyllabi((prev) => prev.map((item) => (item._id === syllabusId ? { ...item, ratingAverage: average, ratingCount: count } : item)));
+  };
+
+  // Prevent background scroll when the preview, a tracker, a comparison or the planner is open
+  useEffect(() => {
+    if (previewSyllabus || openTracker || isComparing || planningId) {
+      document.body.classList.add('modal-open');
+    } else {
+      document.body.classList.remove('modal-open');
+    }
+    // Links inside the modals leave the page with them open
+    return () => document.body.classList.remove('modal-open');
+  }, [previewSyllabus, openTracker, isComparing, planningId]);
+
+  const trackLabel = (syllabus) => {
+    const tracker = getTracker(syllabus._id);
+    return tracker ? `📈 ${toPercent(countTopics(tracker))}% covered` : '📌 Track progress';
+  };
+
+  // Adopts the syllabus the first time, then opens its tracker
+  const handleTrack = async (syllabus) => {
+    try {
+      if (!getTracker(syllabus._id)) await adoptSyllabus(syllabus);
+      setSearchParams({ track: syllabus._id });
+    } catch (error) {
+      window.alert(getErrorMessage(error));
+    }
+  };
+
+  const closeTracker = () => setSearchParams({});
 
-    return filtered;
-  }, [searchTerm, selectedUniversity, selectedDepartment, selectedSemester, sortBy, syllabusData]);
+  const handleStopTracking = async () => {
+    if (!window.confirm('Stop tracking this syllabus? Your ticked topics will be lost.')) return;
+    try {
+      await dropTracker(openTracker.syllabus);
+      closeTracker();
+    } catch (error) {
+      window.alert(getErrorMessage(error));
+    }
+  };
+
+  // Picking a third syllabus drops the oldest pick
+  const toggleComparePick = (syllabus) => {
+    setComparePicks((prev) => (prev.some((item) => item._id === syllabus._id)
+      ? prev.filter((item) => item._id !== syllabus._id)
+      : [...prev, syllabus].slice(-2)));
+  };
+
+  const openComparison = ([from, to]) => {
+    setComparePicks([]);
+    setCompareMessage('');
+    setSearchParams({ compare: `${from},${to}` });
+  };
+
+  const closeComparison = () => setSearchParams({});
+
+  const copyCompareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCompareMessage('Link to this comparison copied.');
+    } catch {
+      setCompareMessage(`Copy this link: ${window.location.href}`);
+    }
+  };
 
   const handleDownload = (syllabus) => {
-    // Simulate download
-    alert(`Downloading: ${syllabus.title}`);
+    rememberRecentItem({ type: 'syllabus', id: syllabus._id, title: syllabus.title, link: syllabus.link });
+    openDownload(syllabus._id);
   };
 
   const getDifficultyColor = (difficulty) => {
@@ -225,15 +239,15 @@ const [showScroll, setShowScroll] = useState(false);
             </motion.p>
             <motion.div className="hero-stats" variants={staggerChildren}>
               <motion.div className="hero-stat" variants={scaleIn}>
-                <span className="stat-number">{syllabusData.length}</span>
+                <span className="stat-number">{catalogSize}</span>
                 <span className="stat-label">Syllabi Available</span>
               </motion.div>
               <motion.div className="hero-stat" variants={scaleIn}>
-                <span className="stat-number">{universities.length - 1}</span>
+                <span className="stat-number">{facets.universities.length}</span>
                 <span className="stat-label">Universities</span>
               </motion.div>
               <motion.div className="hero-stat" variants={scaleIn}>
-                <span className="stat-number">{departments.length - 1}</span>
+                <span className="stat-number">{facets.departments.length}</span>
                 <span className="stat-label">Departments</span>
               </motion.div>
             </motion.div>
@@ -266,37 +280,40 @@ const [showScroll, setShowScroll] = useState(false);
           <motion.div className="filters" variants={staggerChildren}>
             <motion.div className="filter-group" variants={fadeInUp}>
               <label>University:</label>
-              <select value={selectedUniversity} onChange={(e) => setSelectedUniversity(e.target.value)}>
-                {universities.map(uni => (
-                  <option key={uni} value={uni}>{uni}</option>
+              <select value={selectedUniversity} onChange={handleFilterChange(setSelectedUniversity)}>
+                <option value="All">All</option>
+                {facets.universities.map(({ value, count }) => (
+                  <option key={value} value={value}>{value} ({count})</option>
                 ))}
               </select>
             </motion.div>
 
             <motion.div className="filter-group" variants={fadeInUp}>
               <label>Department:</label>
-              <select value={selectedDepartment} onChange={(e) => setSelectedDepartment(e.target.value)}>
-                {departments.map(dept => (
-                  <option key={dept} value={dept}>{dept}</option>
+              <select value={selectedDepartment} onChange={handleFilterChange(setSelectedDepartment)}>
+                <option value="All">All</option>
+                {facets.departments.map(({ value, count }) => (
+                  <option key={value} value={value}>{value} ({count})</option>
                 ))}
               </select>
             </motion.div>
 
             <motion.div className="filter-group" variants={fadeInUp}>
               <label>Semester:</label>
-              <select value={selectedSemester} onChange={(e) => setSelectedSemester(e.target.value)}>
-                {semesters.map(sem => (
-                  <option key={sem} value={sem}>{sem === 'All' ? 'All' : `Semester ${sem}`}</option>
+              <select value={selectedSemester} onChange={handleFilterChange(setSelectedSemester)}>
+                <option value="All">All</option>
+                {facets.semesters.map(({ value, count }) => (
+                  <option key={value} value={value}>Semester {value} ({count})</option>
                 ))}
               </select>
             </motion.div>
 
             <motion.div className="filter-group" variants={fadeInUp}>
               <label>Sort by:</label>
-              <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
-                <option value="downloads">Most Downloaded</option>
-                <option value="date">Latest Upload</option>
-                <option value="title">Title (A-Z)</option>
+              <select value={sortBy} onChange={handleFilterChange(setSortBy)}>
+                {sortOptions.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
               </select>
             </motion.div>
           </motion.div>
@@ -313,12 +330,24 @@ const [showScroll, setShowScroll] = useState(false);
       >
         <div className="container">
           <motion.div className="results-header" variants={fadeInUp}>
-            <h2>Found {filteredAndSortedSyllabi.length} syllabi</h2>
+            <h2>{isLoading ? 'Loading syllabi...' : `Found ${total} syllabi`}</h2>
             <p>Browse through our collection of verified academic syllabi</p>
           </motion.div>
           
           <AnimatePresence>
-            {filteredAndSortedSyllabi.length === 0 ? (
+            {loadError ? (
+              <motion.div
+                key="load-error"
+                className="no-results"
+                initial={{ opacity: 0, y: 30 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -30 }}
+              >
+                <div className="no-results-icon">⚠️</div>
+                <h3>Something went wrong</h3>
+                <p>{loadError}</p>
+              </motion.div>
+            ) : !isLoading && syllabi.length === 0 ? (
               <motion.div 
                 className="no-results"
                 initial={{ opacity: 0, y: 30 }}
@@ -335,9 +364,9 @@ const [showScroll, setShowScroll] = useState(false);
                 layout
                 variants={staggerChildren}
               >
-                {filteredAndSortedSyllabi.map(syllabus => (
+                {syllabi.map(syllabus => (
                   <motion.div 
-                    key={syllabus.id} 
+                    key={syllabus._id} 
                     className="syllabus-card"
                     layout
                     variants={scaleIn}
@@ -349,11 +378,21 @@ const [showScroll, setShowScroll] = useState(false);
                   >
                     <div className="card-header">
                       <div className="card-title-section">
-                        <h3 className="card-title">{syllabus.title}</h3>
+                        <h3 className="card-title"><Link to={`/syllabus/${syllabus._id}`}>{syllabus.title}</Link></h3>
                         <div className="card-meta">
                           <span className="university">{syllabus.university}</span>
                           <span className="separator">•</span>
                           <span className="department">{syllabus.department}</span>
+                          {syllabus.academicYear && (
+                            <>
+                              <span className="separator">•</span>
+                              <span>{syllabus.academicYear}</span>
+                            </>
+                          )}
+                        </div>
+                        <div className="card-rating">
+                          <StarRating value={syllabus.ratingAverage} size="0.9rem" />
+                          <span>{syllabus.ratingCount ? `${syllabus.ratingAverage.toFixed(1)} (${syllabus.ratingCount})` : 'No ratings yet'}</span>
                         </div>
                       </div>
                       <div className="difficulty-badge" style={{ backgroundColor: getDifficultyColor(syllabus.difficulty) }}>
@@ -366,7 +405,7 @@ const [showScroll, setShowScroll] = useState(false);
                         <h4>Subjects Covered:</h4>
                         <div className="subjects-list">
                           {syllabus.subjects.map((subject, index) => (
-                            <span key={index} className="subject-tag">{subject}</span>
+                            <span key={index} className="subject-tag" title={subject.code}>{subject.name}</span>
                           ))}
                         </div>
                       </div>
@@ -385,6 +424,12 @@ const [showScroll, setShowScroll] = useState(false);
                         <span className="stat-icon">📥</span>
                         <span>{syllabus.downloadCount.toLocaleString()} downloads</span>
                       </div>
+                      {syllabus.weeklyDownloads > 0 && (
+                        <div className="stat trending">
+                          <span className="stat-icon">🔥</span>
+                          <span>{syllabus.weeklyDownloads} this week</span>
+                        </div>
+                      )}
                       <div className="stat">
                         <span className="stat-icon">📅</span>
                         <span>{new Date(syllabus.uploadDate).toLocaleDateString()}</span>
@@ -399,6 +444,8 @@ const [showScroll, setShowScroll] = useState(false);
                       <motion.button 
                         className="btn btn-primary" 
                         onClick={() => handleDownload(syllabus)}
+                        disabled={!syllabus.link}
+                        title={syllabus.link ? undefined : 'No file has been uploaded for this syllabus yet'}
                         whileHover={{ scale: 1.05 }}
                         whileTap={{ scale: 0.95 }}
                       >
@@ -406,20 +453,140 @@ const [showScroll, setShowScroll] = useState(false);
                       </motion.button>
                       <motion.button 
                         className="btn btn-outline"
+                        onClick={() => setPreviewSyllabus(syllabus)}
                         whileHover={{ scale: 1.05 }}
                         whileTap={{ scale: 0.95 }}
                       >
                         👁️ Preview
                       </motion.button>
+                      <motion.button
+                        className="btn btn-outline"
+                        onClick={() => handleTrack(syllabus)}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        {trackLabel(syllabus)}
+                      </motion.button>
+                      <motion.button
+                        className={`btn btn-outline ${comparePicks.some((item) => item._id === syllabus._id) ? 'picked' : ''}`}
+                        onClick={() => toggleComparePick(syllabus)}
+                        aria-pressed={comparePicks.some((item) => item._id === syllabus._id)}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        ⚖️ Compare
+                      </motion.button>
+                      <motion.button
+                        className="btn btn-outline"
+                        onClick={() => setSearchParams({ plan: syllabus._id })}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        🗓️ Plan study
+                      </motion.button>
+                      <BookmarkButton item={{ kind: 'syllabus', itemId: syllabus._id, title: syllabus.title, subtitle: `${syllabus.university} • Semester ${syllabus.semester}`, link: syllabus.link }} />
                     </div>
                   </motion.div>
                 ))}
               </motion.div>
             )}
           </AnimatePresence>
+          {pages > 1 && (
+            <div className="pagination">
+              <button className="btn btn-outline" onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>← Previous</button>
+              <span className="pagination-info">Page {page} of {pages}</span>
+              <button className="btn btn-outline" onClick={() => setPage(page + 1)} disabled={page >= pages || isLoading}>Next →</button>
+            </div>
+          )}
         </div>
       </motion.section>
 
+      {/* Preview Modal */}
+      <AnimatePresence>
+        {previewSyllabus && (
+          <motion.div key="modal" className="modal-overlay" onClick={() => setPreviewSyllabus(null)} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+            <motion.div className="modal-content with-reviews" onClick={(e) => e.stopPropagation()} initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} transition={{ type: "spring", stiffness: 300, damping: 30 }}>
+              {previewSyllabus.link ? (
+                <PdfViewer key={previewSyllabus._id} url={resolveFileUrl(previewSyllabus.link)} docId={`syllabus:${previewSyllabus._id}`} title={previewSyllabus.title} />
+              ) : (
+                <div className="preview-placeholder">
+                  <h3>Subjects Covered</h3>
+                  <ul>
+                    {previewSyllabus.subjects.map((subject) => <li key={subject.name}>{subject.name}</li>)}
+                  </ul>
+                  <p>No file has been uploaded for this syllabus yet.</p>
+                  <Link to={`/syllabus/${previewSyllabus._id}`}>See units and topics →</Link>
+                </div>
+              )}
+              <aside className="preview-reviews">
+                <h3>{previewSyllabus.title}</h3>
+                <ReviewPanel key={previewSyllabus._id} kind="syllabus" itemId={previewSyllabus._id} onRatingChange={handleRatingChange(previewSyllabus._id)} />
+              </aside>
+              <motion.button className="btn btn-primary close-btn" onClick={() => setPreviewSyllabus(null)} whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>Close</motion.button>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Picked syllabi waiting to be compared */}
+      <AnimatePresence>
+        {comparePicks.length > 0 && (
+          <motion.div key="compare-bar" className="compare-bar" initial={{ opacity: 0, y: 40 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 40 }}>
+            <span>
+              {comparePicks.length === 1
+                ? `Comparing from "${comparePicks[0].title}"${comparePicks[0].academicYear ? ` (${comparePicks[0].academicYear})` : ''} — pick one more syllabus`
+                : `${comparePicks[0].academicYear || comparePicks[0].university} → ${comparePicks[1].academicYear || comparePicks[1].university}`}
+            </span>
+            <button type="button" className="btn btn-primary" disabled={comparePicks.length < 2} onClick={() => openComparison(comparePicks.map((item) => item._id))}>Compare</button>
+            <button type="button" className="btn btn-outline" onClick={() => setComparePicks([])}>Clear</button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Comparison Modal */}
+      <AnimatePresence>
+        {isComparing && (
+          <motion.div key="compare" className="modal-overlay" onClick={closeComparison} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+            <motion.div className="modal-content compare-modal" onClick={(e) => e.stopPropagation()} initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} transition={{ type: "spring", stiffness: 300, damping: 30 }}>
+              <h2>What changed</h2>
+              <div className="compare-actions">
+                <button type="button" className="btn btn-outline" onClick={() => openComparison([compareIds[1], compareIds[0]])}>⇄ Swap</button>
+                <button type="button" className="btn btn-outline" onClick={copyCompareLink}>🔗 Copy link</button>
+                {compareMessage && <span role="status">{compareMessage}</span>}
+              </div>
+              <SyllabusCompare fromId={compareIds[0]} toId={compareIds[1]} />
+              <motion.button className="btn btn-primary close-btn" onClick={closeComparison} whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>Close</motion.button>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Study Planner Modal */}
+      <AnimatePresence>
+        {planningId && (
+          <motion.div key="planner" className="modal-overlay" onClick={() => setSearchParams({})} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+            <motion.div className="modal-content planner-modal" onClick={(e) => e.stopPropagation()} initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} transition={{ type: "spring", stiffness: 300, damping: 30 }}>
+              <h2>Plan your study</h2>
+              <StudyPlanner key={planningId} syllabusId={planningId} />
+              <motion.button className="btn btn-primary close-btn" onClick={() => setSearchParams({})} whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>Close</motion.button>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Progress Tracker Modal */}
+      <AnimatePresence>
+        {openTracker && (
+          <motion.div key="tracker" className="modal-overlay" onClick={closeTracker} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+            <motion.div className="modal-content tracker-modal" onClick={(e) => e.stopPropagation()} initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }} transition={{ type: "spring", stiffness: 300, damping: 30 }}>
+              <h2>{openTracker.title}</h2>
+              <SyllabusTracker key={openTracker.syllabus} tracker={openTracker} onStopTracking={handleStopTracking} />
+              <motion.button className="btn btn-primary close-btn" onClick={closeTracker} whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>Close</motion.button>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Scroll to Top Button */}
             <AnimatePresence>
               {showScroll && (
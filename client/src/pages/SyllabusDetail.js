@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import api, { getErrorMessage, openDownload } from "../api";
+import { rememberRecentItem } from "../recentItems";
+import BookmarkButton from "../components/BookmarkButton";
+import { countTopics, toPercent, useSyllabusProgress } from "../progress/SyllabusProgressProvider";
+import "./SyllabusDetail.css";
+
+const weeklyHours = ({ hours = {} }) => (hours.lecture || 0) + (hours.tutorial || 0) + (hours.practical || 0);
+
+// Suggested study hours for a unit, or null when none of its topics has an estimate
+const unitHours = (unit) => {
+  const estimated = unit.topics.filter((topic) => topic.hours != null);
+  return estimated.length ? estimated.reduce((sum, topic) => sum + topic.hours, 0) : null;
+};
+
+const SubjectCard = ({ subject }) => {
+  const { lecture = 0, tutorial = 0, practical = 0 } = subject.hours || {};
+
+  return (
+    <article className="syllabus-subject">
+      <header className="syllabus-subject-header">
+        <div>
+          {subject.code && <span className="syllabus-subject-code">{subject.code}</span>}
+          <h2>{subject.name}</h2>
+        </div>
+        <div className="syllabus-subject-chips">
+          {subject.credits != null && <span>{subject.credits} credits</span>}
+          {weeklyHours(subject) > 0 && <span title="Lecture - Tutorial - Practical hours a week">L-T-P {lecture}-{tutorial}-{practical}</span>}
+        </div>
+      </header>
+
+      {subject.units.length === 0 ? (
+        <p className="syllabus-detail-muted">The units for this subject have not been added yet.</p>
+      ) : (
+        <ol className="syllabus-units">
+          {subject.units.map((unit, unitIndex) => {
+            const hours = unitHours(unit);
+            return (
+              <li key={`${unitIndex}:${unit.title}`} className="syllabus-unit">
+                <div className="syllabus-unit-header">
+                  <h3>{unit.title}</h3>
+                  {hours != null && <span className="syllabus-detail-muted">~{hours} h</span>}
+                </div>
+                <ul className="syllabus-topics">
+                  {unit.topics.map((topic, topicIndex) => (
+                    <li key={`${topicIndex}:${topic.title}`}>
+                      <span>{topic.title}</span>
+                      {topic.hours != null && <span className="syllabus-topic-hours">{topic.hours} h</span>}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </article>
+  );
+};
+
+// Full page for one syllabus: its subjects with codes, credits and L-T-P hours, broken into units and topics
+const SyllabusDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { getTracker, adoptSyllabus } = useSyllabusProgress();
+
+  const [syllabus, setSyllabus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    api.get(`/syllabi/${id}`, { signal: controller.signal })
+      .then(({ data }) => {
+        setSyllabus(data);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setLoadError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [id]);
+
+  const handleDownload = () => {
+    rememberRecentItem({ type: "syllabus", id: syllabus._id, title: syllabus.title, link: syllabus.link });
+    openDownload(syllabus._id);
+  };
+
+  // Adopts the syllabus the first time, then opens its tracker on the catalog page
+  const handleTrack = async () => {
+    try {
+      if (!getTracker(syllabus._id)) await adoptSyllabus(syllabus);
+      navigate(`/syllabus?track=${syllabus._id}`);
+    } catch (error) {
+      window.alert(getErrorMessage(error));
+    }
+  };
+
+  if (isLoading) {
+    return <div className="syllabus-detail"><p className="syllabus-detail-muted">Loading syllabus...</p></div>;
+  }
+
+  if (loadError) {
+    return (
+      <div className="syllabus-detail">
+        <p className="syllabus-detail-muted">{loadError}</p>
+        <Link to="/syllabus">← Back to syllabi</Link>
+      </div>
+    );
+  }
+
+  const tracker = getTracker(syllabus._id);
+  const credits = syllabus.subjects.reduce((sum, subject) => sum + (subject.credits || 0), 0);
+  const hours = syllabus.subjects.reduce((sum, subject) => sum + weeklyHours(subject), 0);
+  const topics = countTopics(syllabus).total;
+
+  return (
+    <motion.div className="syllabus-detail" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.5 }}>
+      <header className="syllabus-detail-header">
+        <Link to="/syllabus">← Back to syllabi</Link>
+        <h1>{syllabus.title}</h1>
+        <p className="syllabus-detail-muted">
+          {syllabus.university} • {syllabus.department} • Semester {syllabus.semester}
+          {syllabus.academicYear && ` • ${syllabus.academicYear}`} • {syllabus.difficulty}
+        </p>
+
+        <dl className="syllabus-detail-totals">
+          <div><dt>Subjects</dt><dd>{syllabus.subjects.length}</dd></div>
+          {credits > 0 && <div><dt>Credits</dt><dd>{credits}</dd></div>}
+          {hours > 0 && <div><dt>Hours a week</dt><dd>{hours}</dd></div>}
+          {topics > 0 && <div><dt>Topics</dt><dd>{topics}</dd></div>}
+        </dl>
+
+        <div className="syllabus-detail-actions">
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleDownload}
+            disabled={!syllabus.link}
+            title={syllabus.link ? undefined : "No file has been uploaded for this syllabus yet"}
+          >
+            📥 Download Syllabus
+          </button>
+          <button type="button" className="btn btn-outline" onClick={handleTrack}>
+            {tracker ? `📈 ${toPercent(countTopics(tracker))}% covered` : "📌 Track progress"}
+          </button>
+          {topics > 0 && <Link className="btn btn-outline" to={`/syllabus?plan=${syllabus._id}`}>🗓️ Plan study</Link>}
+          <BookmarkButton item={{ kind: "syllabus", itemId: syllabus._id, title: syllabus.title, subtitle: `${syllabus.university} • Semester ${syllabus.semester}`, link: syllabus.link }} />
+        </div>
+      </header>
+
+      <section className="syllabus-subjects" aria-label="Subjects">
+        {syllabus.subjects.map((subject, index) => (
+          <SubjectCard key={`${index}:${subject.name}`} subject={subject} />
+        ))}
+      </section>
+    </motion.div>
+  );
+};
+
+export default SyllabusDetail;
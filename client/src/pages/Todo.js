@@ -1,15 +1,10 @@
 import React, { useEffect, useState } from "react";
 import "./Todo.css";
 import Calendar from "../components/Calendar";
-
-const STORAGE_KEY = "smp_tasks_v1";
+import { TASKS_KEY, TASKS_CHANGED_EVENT, generateTaskId, loadTasks } from "../taskStore";
 
 const defaultForm = { id: null, title: "", description: "", deadline: "", recurrence: "none" };
 
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
-}
-
 function addIntervalToDate(iso, recurrence) {
   const d = new Date(iso);
   if (recurrence === "daily") d.setDate(d.getDate() + 1);
@@ -26,7 +21,7 @@ export default function Todo() {
 
   useEffect(() => {
     // Load tasks and normalize recurring tasks so their deadlines are not in the past
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = localStorage.getItem(TASKS_KEY);
     let loaded = raw ? JSON.parse(raw) : [];
 
     let changed = false;
@@ -45,7 +40,7 @@ export default function Todo() {
     });
 
     if (changed) {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(loaded));
+      localStorage.setItem(TASKS_KEY, JSON.stringify(loaded));
     }
     setTasks(loaded);
 
@@ -67,9 +62,16 @@ export default function Todo() {
     }
   }, []);
 
+  // Pick up tasks added elsewhere (command palette, study plans) while this page is open
+  useEffect(() => {
+    const reload = () => setTasks(loadTasks());
+    window.addEventListener(TASKS_CHANGED_EVENT, reload);
+    return () => window.removeEventListener(TASKS_CHANGED_EVENT, reload);
+  }, []);
+
   useEffect(() => {
     console.log("[Todo] saving tasks", tasks);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
+    localStorage.setItem(TASKS_KEY, JSON.stringify(tasks));
   }, [tasks]);
 
   function resetForm() {
@@ -88,7 +90,7 @@ export default function Todo() {
       return;
     }
 
-    const newTask = { ...form, id: generateId(), createdAt: new Date().toISOString() };
+    const newTask = { ...form, id: generateTaskId(), createdAt: new Date().toISOString() };
     console.log("[Todo] adding task", newTask);
     setTasks((prev) => [newTask, ...prev]);
     resetForm();
@@ -0,0 +1,5 @@
+import { GlobalWorkerOptions } from "pdfjs-dist";
+
+// The worker is bundled with the app instead of being fetched from a CDN. This lives in its own module
+// because Jest cannot parse import.meta, so tests swap it for src/__mocks__/pdfWorker.js.
+GlobalWorkerOptions.workerSrc = new URL("pdfjs-dist/build/pdf.worker.min.js", import.meta.url).toString();
@@ -0,0 +1,296 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import api, { getErrorMessage } from "../api";
+import { useAuth } from "../auth/AuthProvider";
+
+// Guests keep their trackers in this browser; they move to the account on the next sign-in,
+// and stay here until a merge succeeds
+const GUEST_KEY = "smp_syllabus_progress_v1";
+
+// The merge endpoint's limits, checked here so one bad tracker cannot get the whole merge refused
+const MAX_MERGED_TRACKERS = 50;
+const MAX_SUBJECTS = 30;
+const MAX_UNITS = 20;
+const MAX_TOPICS = 60;
+const MAX_TITLE_LENGTH = 120;
+const MAX_SYLLABUS_TITLE_LENGTH = 200;
+
+// Trackers adopted while the Syllabus page showed its built-in list are keyed by that list's ids
+// rather than a catalog id; they are matched to the catalog by title
+const CATALOG_ID = /^[a-f\d]{24}$/i;
+const LIST_ID = /^[\w-]{1,64}$/;
+
+// Ticking several topics in a row is sent to the server as one save
+const SAVE_DELAY_MS = 600;
+
+const SyllabusProgressContext = createContext({
+  trackers: [],
+  getTracker: () => null,
+  adoptSyllabus: async () => {},
+  updateTracker: () => {},
+  dropTracker: async () => {},
+  relinkGuestTrackers: () => {},
+  syncError: "",
+  clearSyncError: () => {},
+  retrySync: () => {},
+  discardGuestData: null,
+});
+
+// { done, total } topics under a tracker, subject or unit
+export const countTopics = (node) => {
+  if (node.topics) return { done: node.topics.filter((topic) => topic.done).length, total: node.topics.length };
+  return (node.subjects || node.units || []).reduce((sum, child) => {
+    const counts = countTopics(child);
+    return { done: sum.done + counts.done, total: sum.total + counts.total };
+  }, { done: 0, total: 0 });
+};
+
+export const toPercent = ({ done, total }) => (total ? Math.round((done / total) * 100) : 0);
+
+const loadGuestTrackers = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(GUEST_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveGuestTrackers = (trackers) => {
+  window.localStorage.setItem(GUEST_KEY, JSON.stringify(trackers));
+};
+
+const toTitle = (value) => (typeof value === "string" ? value.trim().slice(0, MAX_TITLE_LENGTH) : "");
+const isDate = (value) => typeof value === "string" && !Number.isNaN(Date.parse(value));
+
+// The guest trackers the merge endpoint accepts, most recent first: untitled entries are dropped and
+// anything past the server's limits is cut off
+const toMergeableTrackers = (trackers) => trackers
+  .filter((tracker) => tracker && LIST_ID.test(tracker.syllabus) && Array.isArray(tracker.subjects))
+  .map((tracker) => ({
+    syllabus: tracker.syllabus,
+    title: typeof tracker.title === "string" ? tracker.title.trim().slice(0, MAX_SYLLABUS_TITLE_LENGTH) : undefined,
+    adoptedAt: isDate(tracker.adoptedAt) ? tracker.adoptedAt : undefined,
+    updatedAt: isDate(tracker.updatedAt) ? tracker.updatedAt : undefined,
+    subjects: tracker.subjects
+      .filter((subject) => subject && toTitle(subject.name))
+      .slice(0, MAX_SUBJECTS)
+      .map((subject) => ({
+        name: toTitle(subject.name),
+        units: (Array.isArray(subject.units) ? subject.units : [])
+          .filter((unit) => unit && toTitle(unit.title))
+          .slice(0, MAX_UNITS)
+          .map((unit) => ({
+            title: toTitle(unit.title),
+            topics: (Array.isArray(unit.topics) ? unit.topics : [])
+              .filter((topic) => topic && toTitle(topic.title))
+              .slice(0, MAX_TOPICS)
+              .map((topic) => ({ title: toTitle(topic.title), done: topic.done === true })),
+          })),
+      })),
+  }))
+  .slice(0, MAX_MERGED_TRACKERS);
+
+export const SyllabusProgressProvider = ({ children }) => {
+  const { user, loading } = useAuth();
+  const [trackers, setTrackers] = useState([]);
+  const [syncError, setSyncError] = useState("");
+  const [hasUnmergedGuestData, setHasUnmergedGuestData] = useState(false);
+  const [syncAttempt, setSyncAttempt] = useState(0);
+  const saveTimers = useRef({});
+  // Subjects of signed-in trackers whose last save failed, by syllabus id, so they can be sent again
+  const unsavedTrackers = useRef({});
+  const loadFailed = useRef(false);
+
+  // Guests read from localStorage; signed-in users merge anything tracked as a guest, then use the server copy.
+  // A failed merge still loads the account's trackers and says so; the guest copy is kept for another try.
+  useEffect(() => {
+    if (loading) return undefined;
+    if (!user) {
+      setTrackers(loadGuestTrackers());
+      return undefined;
+    }
+
+    let cancelled = false;
+    const sync = async () => {
+      const guestTrackers = loadGuestTrackers();
+      const mergeable = toMergeableTrackers(guestTrackers);
+      // Nothing in the guest copy is a tracker the server could store
+      if (guestTrackers.length > 0 && mergeable.length === 0) window.localStorage.removeItem(GUEST_KEY);
+
+      if (mergeable.length > 0) {
+        try {
+          const { data } = await api.post("/progress/merge", { trackers: mergeable });
+          window.localStorage.removeItem(GUEST_KEY);
+          if (!cancelled) setHasUnmergedGuestData(false);
+          return data;
+        } catch (error) {
+          if (!cancelled) {
+            setHasUnmergedGuestData(true);
+            setSyncError(`Syllabus progress saved before you signed in could not be added (${getErrorMessage(error)}). It is still kept in this browser.`);
+          }
+        }
+      }
+      const { data } = await api.get("/progress");
+      return data;
+    };
+
+    sync()
+      .then((data) => {
+        loadFailed.current = false;
+        if (!cancelled) setTrackers(data);
+      })
+      .catch((error) => {
+        console.error("Error loading syllabus progress", error);
+        loadFailed.current = true;
+        if (!cancelled) setSyncError(`We could not load your syllabus progress: ${getErrorMessage(error)}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, loading, syncAttempt]);
+
+  const clearSyncError = useCallback(() => setSyncError(""), []);
+
+  // A failed save keeps the ticks on screen and says they are not stored yet
+  const saveTracker = useCallback((syllabusId, subjects) => api.put(`/progress/${syllabusId}`, { subjects })
+    .then(() => {
+      delete unsavedTrackers.current[syllabusId];
+    })
+    .catch((error) => {
+      unsavedTrackers.current[syllabusId] = subjects;
+      setSyncError(`Your latest syllabus progress was not saved (${getErrorMessage(error)}). It is only on this screen until it is.`);
+    }), []);
+
+  // Sends failed saves again first, so reloading the trackers afterwards cannot overwrite them
+  const retrySync = useCallback(async () => {
+    setSyncError("");
+    const unsaved = Object.entries(unsavedTrackers.current);
+    await Promise.all(unsaved.map(([syllabusId, subjects]) => saveTracker(syllabusId, subjects)));
+    const stillUnsaved = Object.keys(unsavedTrackers.current).length > 0;
+    if (!stillUnsaved && (hasUnmergedGuestData || loadFailed.current)) setSyncAttempt((attempt) => attempt + 1);
+  }, [saveTracker, hasUnmergedGuestData]);
+
+  const discardGuestTrackers = useCallback(() => {
+    window.localStorage.removeItem(GUEST_KEY);
+    setHasUnmergedGuestData(false);
+    setSyncError("");
+  }, []);
+
+  const getTracker = useCallback(
+    (syllabusId) => trackers.find((tracker) => tracker.syllabus === String(syllabusId)) || null,
+    [trackers]
+  );
+
+  // Moves a guest's built-in list trackers over to the catalog entries in `syllabi` with the same title
+  const relinkGuestTrackers = useCallback(
+    (syllabi) => {
+      if (user) return;
+      const idsByTitle = new Map(syllabi.map((syllabus) => [syllabus.title, String(syllabus._id)]));
+      let changed = false;
+      const next = trackers.map((tracker) => {
+        const id = !CATALOG_ID.test(tracker.syllabus) && idsByTitle.get(tracker.title);
+        if (!id || trackers.some((item) => item.syllabus === id)) return tracker;
+        changed = true;
+        return { ...tracker, syllabus: id };
+      });
+      if (!changed) return;
+      setTrackers(next);
+      saveGuestTrackers(next);
+    },
+    [user, trackers]
+  );
+
+  // Puts `tracker` first in the list, as the most recently studied
+  const storeTracker = useCallback(
+    (tracker) => {
+      const next = [tracker, ...trackers.filter((item) => item.syllabus !== tracker.syllabus)];
+      setTrackers(next);
+      if (!user) saveGuestTrackers(next);
+    },
+    [user, trackers]
+  );
+
+  // `syllabus` is a catalog entry; its subjects' units and topics are copied in unticked, and subjects
+  // without a breakdown start empty for the student to fill in
+  const adoptSyllabus = useCallback(
+    async (syllabus) => {
+      const now = new Date().toISOString();
+      const tracker = {
+        syllabus: String(syllabus._id),
+        title: syllabus.title,
+        university: syllabus.university,
+        subjects: syllabus.subjects.map(({ name, units = [] }) => ({
+          name,
+          units: units.map((unit) => ({
+            title: unit.title.slice(0, 120),
+            topics: unit.topics.map((topic) => ({ title: topic.title.slice(0, 120), done: false })),
+          })),
+        })),
+        adoptedAt: now,
+        updatedAt: now,
+      };
+      if (!user) {
+        storeTracker(tracker);
+        return;
+      }
+      const { data } = await api.put(`/progress/${tracker.syllabus}`, { subjects: tracker.subjects });
+      storeTracker(data);
+    },
+    [user, storeTracker]
+  );
+
+  // Shows the change right away; signed-in users' copies are saved once the edits pause
+  const updateTracker = useCallback(
+    (syllabusId, subjects) => {
+      const current = getTracker(syllabusId);
+      if (!current) return;
+      storeTracker({ ...current, subjects, updatedAt: new Date().toISOString() });
+      if (!user) return;
+
+      clearTimeout(saveTimers.current[current.syllabus]);
+      saveTimers.current[current.syllabus] = setTimeout(() => {
+        delete saveTimers.current[current.syllabus];
+        saveTracker(current.syllabus, subjects);
+      }, SAVE_DELAY_MS);
+    },
+    [user, getTracker, storeTracker, saveTracker]
+  );
+
+  const dropTracker = useCallback(
+    async (syllabusId) => {
+      const id = String(syllabusId);
+      clearTimeout(saveTimers.current[id]);
+      delete saveTimers.current[id];
+      delete unsavedTrackers.current[id];
+      if (user) await api.delete(`/progress/${id}`);
+
+      const next = trackers.filter((tracker) => tracker.syllabus !== id);
+      setTrackers(next);
+      if (!user) saveGuestTrackers(next);
+    },
+    [user, trackers]
+  );
+
+  const value = useMemo(
+    () => ({
+      trackers,
+      getTracker,
+      adoptSyllabus,
+      updateTracker,
+      dropTracker,
+      relinkGuestTrackers,
+      syncError,
+      clearSyncError,
+      retrySync,
+      // Only offered while a guest copy is waiting to be merged
+      discardGuestData: hasUnmergedGuestData ? discardGuestTrackers : null,
+    }),
+    [trackers, getTracker, adoptSyllabus, updateTracker, dropTracker, relinkGuestTrackers, syncError, clearSyncError,
+      retrySync, hasUnmergedGuestData, discardGuestTrackers]
+  );
+
+  return <SyllabusProgressContext.Provider value={value}>{children}</SyllabusProgressContext.Provider>;
+};
+
+export const useSyllabusProgress = () => useContext(SyllabusProgressContext);
@@ -0,0 +1,26 @@
+// The last page read in each PDF, keyed by document id, so the viewer reopens where the reader stopped
+const PROGRESS_KEY = "smp_last_page_v1";
+const MAX_DOCUMENTS = 100;
+
+function loadProgress() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PROGRESS_KEY));
+    return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function getLastPage(docId) {
+  const entry = loadProgress()[docId];
+  return entry ? entry.page : null;
+}
+
+// Only the most recently read documents are kept
+export function rememberPage(docId, page) {
+  const progress = { ...loadProgress(), [docId]: { page, readAt: new Date().toISOString() } };
+  const kept = Object.entries(progress)
+    .sort(([, a], [, b]) => new Date(b.readAt) - new Date(a.readAt))
+    .slice(0, MAX_DOCUMENTS);
+  window.localStorage.setItem(PROGRESS_KEY, JSON.stringify(Object.fromEntries(kept)));
+}
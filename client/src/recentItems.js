@@ -0,0 +1,19 @@
+// Notes and syllabi the user opened most recently, newest first (used by the command palette)
+const RECENT_KEY = "smp_recent_v1";
+const MAX_RECENT = 8;
+
+export function getRecentItems() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(RECENT_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+// `item` is { type: "note" | "syllabus", id, title, link? }
+export function rememberRecentItem(item) {
+  const others = getRecentItems().filter((recent) => !(recent.type === item.type && recent.id === item.id));
+  const next = [{ ...item, openedAt: new Date().toISOString() }, ...others].slice(0, MAX_RECENT);
+  window.localStorage.setItem(RECENT_KEY, JSON.stringify(next));
+}
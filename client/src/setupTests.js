@@ -3,3 +3,24 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// React Router 7 expects TextEncoder, which jsdom does not provide
+import { TextDecoder, TextEncoder } from 'util';
+
+Object.assign(global, { TextDecoder, TextEncoder });
+
+// jsdom has no layout or media queries, so nothing scrolls, no query matches and nothing comes into view
+window.scrollTo = () => {};
+window.matchMedia = (query) => ({
+  matches: false,
+  media: query,
+  addEventListener() {},
+  removeEventListener() {},
+});
+global.IntersectionObserver = class IntersectionObserver {
+  observe() {}
+
+  unobserve() {}
+
+  disconnect() {}
+};
@@ -0,0 +1,163 @@
+// Builds a day-by-day study plan from a structured syllabus, ready to add to the task list.
+// Each topic's share of the available time grows with its suggested hours, how heavy its subject
+// is (weekly L-T-P hours) and how often it comes up in past papers (the PYQ "likelihood", 0-1).
+
+// Time is handed out in half-hour slots
+export const SLOT_HOURS = 0.5;
+// Used for topics the syllabus gives no suggested hours for
+const DEFAULT_TOPIC_HOURS = 2;
+// Bounds on how much more or less time a subject's topics get for its weekly hours
+const MIN_LOAD_FACTOR = 0.5;
+const MAX_LOAD_FACTOR = 2;
+// Plans of this many days or more keep the day before the exam for revision
+const REVISION_MIN_DAYS = 3;
+const DAY_START_HOUR = 9;
+
+const toComparable = (text) => ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+
+// Local midnight of the day `date` falls on, `offset` days later
+const startOfDay = (date, offset = 0) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+
+// The days from `from` up to the day before the exam; `examDate` is "YYYY-MM-DD" from a date input
+export function studyDays(examDate, from) {
+  const [year, month, day] = examDate.split("-").map(Number);
+  const exam = new Date(year, month - 1, day);
+  const days = [];
+  for (let date = startOfDay(from); date < exam; date = startOfDay(date, 1)) days.push(date);
+  return days;
+}
+
+// The highest likelihood among past-paper topics named in the topic or its unit, e.g. "Trees" for "Unit 3: Trees"
+function pyqLikelihood(pyqTopics, unit, topic) {
+  const topicText = toComparable(topic.title);
+  const unitText = toComparable(unit.title);
+  return pyqTopics.reduce((best, entry) => {
+    const name = toComparable(entry.topic);
+    const matches = topicText.includes(name) || name.includes(topicText) || unitText.includes(name);
+    return matches ? Math.max(best, entry.likelihood) : best;
+  }, 0);
+}
+
+const weeklyHours = ({ hours = {} }) => (hours.lecture || 0) + (hours.tutorial || 0) + (hours.practical || 0);
+
+// Each subject's weekly hours against the average of the subjects being planned, keyed by name;
+// subjects without L-T-P hours count as average
+function subjectLoadFactors(subjects) {
+  const withHours = subjects.filter((subject) => weeklyHours(subject) > 0);
+  const average = withHours.reduce((sum, subject) => sum + weeklyHours(subject), 0) / (withHours.length || 1);
+  return Object.fromEntries(subjects.map((subject) => {
+    const hours = weeklyHours(subject);
+    const factor = hours > 0 ? Math.min(MAX_LOAD_FACTOR, Math.max(MIN_LOAD_FACTOR, hours / average)) : 1;
+    return [subject.name, factor];
+  }));
+}
+
+// Shrinks the largest allocations until the plan fits in `available` slots
+function trimToFit(slots, available) {
+  let total = slots.reduce((sum, count) => sum + count, 0);
+  while (total > available) {
+    const largest = slots.indexOf(Math.max(...slots));
+    slots[largest] -= 1;
+    total -= 1;
+  }
+}
+
+// `subjects` are the syllabus subjects to cover and `pyqTopics` maps a subject name to the topics
+// from GET /api/analytics/pyqs/topics. Plans start tomorrow, so no session is already past when it
+// is added; returns null when the exam leaves no days to study.
+export function buildStudyPlan({ subjects, examDate, hoursPerDay, pyqTopics = {}, from = startOfDay(new Date(), 1) }) {
+  const allDays = studyDays(examDate, from);
+  if (allDays.length === 0) return null;
+
+  const revisionDay = allDays.length >= REVISION_MIN_DAYS ? allDays[allDays.length - 1] : null;
+  const days = revisionDay ? allDays.slice(0, -1) : allDays;
+  const slotsPerDay = Math.max(1, Math.floor(hoursPerDay / SLOT_HOURS));
+  const availableSlots = days.length * slotsPerDay;
+  const loadFactors = subjectLoadFactors(subjects);
+
+  const items = subjects.flatMap((subject) => subject.units.flatMap((unit) => unit.topics.map((topic) => {
+    const likelihood = pyqLikelihood(pyqTopics[subject.name] || [], unit, topic);
+    return {
+      subject: subject.name,
+      code: subject.code,
+      unit: unit.title,
+      topic: topic.title,
+      likelihood,
+      weight: (topic.hours ?? DEFAULT_TOPIC_HOURS) * loadFactors[subject.name] * (1 + likelihood),
+    };
+  })));
+
+  // When there are more topics than slots, the lightest ones are left out
+  const kept = new Set([...items].sort((a, b) => b.weight - a.weight).slice(0, availableSlots));
+  const planned = items.filter((item) => kept.has(item));
+  const skipped = items.filter((item) => !kept.has(item));
+
+  // Each topic gets at least one slot and at most its weight in hours, scaled down to fit the days left
+  const totalWeight = planned.reduce((sum, item) => sum + item.weight, 0);
+  const scale = totalWeight ? Math.min(1, (availableSlots * SLOT_HOURS) / totalWeight) : 0;
+  const exact = planned.map((item) => (item.weight * scale) / SLOT_HOURS);
+  const slots = exact.map((value) => Math.max(1, Math.floor(value)));
+  trimToFit(slots, availableSlots);
+  // Slots lost to rounding down go to the topics that were shorted most
+  let spare = availableSlots - slots.reduce((sum, count) => sum + count, 0);
+  exact
+    .map((value, index) => ({ index, shortfall: value - slots[index] }))
+    .filter(({ shortfall }) => shortfall > 0)
+    .sort((a, b) => b.shortfall - a.shortfall)
+    .forEach(({ index }) => {
+      if (spare <= 0) return;
+      slots[index] += 1;
+      spare -= 1;
+    });
+
+  // Fill the days in syllabus order; a topic that does not fit in what is left of a day carries on the next
+  const planDays = days.map((date) => ({ date, sessions: [] }));
+  let dayIndex = 0;
+  let usedSlots = 0;
+  planned.forEach((item, index) => {
+    let remaining = slots[index];
+    let part = 1;
+    while (remaining > 0) {
+      const taken = Math.min(remaining, slotsPerDay - usedSlots);
+      const start = new Date(planDays[dayIndex].date);
+      start.setMinutes(DAY_START_HOUR * 60 + usedSlots * SLOT_HOURS * 60);
+      planDays[dayIndex].sessions.push({ ...item, hours: taken * SLOT_HOURS, start, part: slots[index] > taken || part > 1 ? part : null });
+      remaining -= taken;
+      usedSlots += taken;
+      part += 1;
+      if (usedSlots === slotsPerDay) {
+        dayIndex += 1;
+        usedSlots = 0;
+      }
+    }
+  });
+
+  return {
+    days: planDays.filter((day) => day.sessions.length > 0),
+    revision: revisionDay && { date: revisionDay, hours: slotsPerDay * SLOT_HOURS },
+    skipped,
+    plannedHours: slots.reduce((sum, count) => sum + count, 0) * SLOT_HOURS,
+    availableHours: availableSlots * SLOT_HOURS,
+  };
+}
+
+// The plan's sessions as tasks for addTasks, each due when its session starts
+export function toStudyTasks(plan, syllabus) {
+  const sessions = plan.days.flatMap((day) => day.sessions).map((session) => ({
+    title: `Study ${session.topic}${session.part ? ` (part ${session.part})` : ""}`,
+    description: `${session.code ? `${session.code} ` : ""}${session.subject} · ${session.unit} · ${session.hours} h — study plan for ${syllabus.title}`,
+    deadline: session.start.toISOString(),
+  }));
+  if (!plan.revision) return sessions;
+
+  const revisionStart = new Date(plan.revision.date);
+  revisionStart.setHours(DAY_START_HOUR);
+  return [
+    ...sessions,
+    {
+      title: `Revise ${syllabus.title}`,
+      description: `${plan.revision.hours} h of revision before the exam — study plan for ${syllabus.title}`,
+      deadline: revisionStart.toISOString(),
+    },
+  ];
+}
@@ -0,0 +1,92 @@
+import { SLOT_HOURS, buildStudyPlan, studyDays, toStudyTasks } from "./studyPlan";
+
+const topics = (...titles) => titles.map((title) => ({ title, hours: 2 }));
+const subject = (name, hours, ...units) => ({ name, hours, units });
+const from = new Date(2030, 0, 1);
+
+const hoursBySubject = (plan) => plan.days
+  .flatMap((day) => day.sessions)
+  .reduce((sums, session) => ({ ...sums, [session.subject]: (sums[session.subject] || 0) + session.hours }), {});
+
+test("studyDays runs up to the day before the exam", () => {
+  const days = studyDays("2030-01-04", from);
+  expect(days.map((day) => day.getDate())).toEqual([1, 2, 3]);
+  expect(studyDays("2030-01-01", from)).toEqual([]);
+});
+
+test("returns null when the exam leaves no day to study", () => {
+  const subjects = [subject("DS", {}, { title: "Unit 1", topics: topics("Arrays") })];
+  expect(buildStudyPlan({ subjects, examDate: "2030-01-01", hoursPerDay: 2, from })).toBeNull();
+});
+
+test("keeps the day before the exam for revision and fills the rest", () => {
+  const subjects = [subject("DS", {}, { title: "Unit 1", topics: topics("Arrays", "Lists", "Stacks") })];
+  const plan = buildStudyPlan({ subjects, examDate: "2030-01-05", hoursPerDay: 2, from });
+
+  expect(plan.revision.date).toEqual(new Date(2030, 0, 4));
+  expect(plan.days).toHaveLength(3);
+  expect(plan.availableHours).toBe(6);
+  expect(plan.plannedHours).toBe(6);
+  expect(plan.skipped).toEqual([]);
+  plan.days.forEach((day) => {
+    expect(day.sessions.reduce((sum, session) => sum + session.hours, 0)).toBeLessThanOrEqual(2);
+  });
+});
+
+test("gives subjects with more weekly hours more of the time", () => {
+  const subjects = [
+    subject("Heavy", { lecture: 4, tutorial: 1, practical: 2 }, { title: "Unit 1", topics: topics("A1", "A2") }),
+    subject("Light", { lecture: 2 }, { title: "Unit 1", topics: topics("B1", "B2") }),
+  ];
+  const hours = hoursBySubject(buildStudyPlan({ subjects, examDate: "2030-01-06", hoursPerDay: 2, from }));
+  expect(hours.Heavy).toBeGreaterThan(hours.Light);
+  expect(hours.Heavy + hours.Light).toBe(8);
+});
+
+test("splits time evenly when subjects carry the same weekly hours", () => {
+  const subjects = [
+    subject("One", { lecture: 3 }, { title: "Unit 1", topics: topics("A1", "A2") }),
+    subject("Two", { lecture: 3 }, { title: "Unit 1", topics: topics("B1", "B2") }),
+  ];
+  expect(hoursBySubject(buildStudyPlan({ subjects, examDate: "2030-01-06", hoursPerDay: 2, from }))).toEqual({ One: 4, Two: 4 });
+});
+
+test("gives topics that come up in past papers more time", () => {
+  const subjects = [subject("DS", {}, { title: "Unit 3: Trees", topics: topics("Binary Trees", "Hashing") })];
+  const pyqTopics = { DS: [{ topic: "binary trees", likelihood: 1 }] };
+  const plan = buildStudyPlan({ subjects, examDate: "2030-01-03", hoursPerDay: 3, from, pyqTopics });
+
+  const sessions = plan.days.flatMap((day) => day.sessions);
+  const hoursFor = (topic) => sessions.filter((session) => session.topic === topic).reduce((sum, session) => sum + session.hours, 0);
+  expect(sessions.find((session) => session.topic === "Binary Trees").likelihood).toBe(1);
+  expect(hoursFor("Binary Trees")).toBeGreaterThan(hoursFor("Hashing"));
+});
+
+test("leaves out the least weighted topics when there are more topics than slots", () => {
+  const subjects = [subject("DS", {}, {
+    title: "Unit 1",
+    topics: [{ title: "Big", hours: 6 }, { title: "Medium", hours: 4 }, { title: "Small", hours: 1 }],
+  })];
+  const plan = buildStudyPlan({ subjects, examDate: "2030-01-02", hoursPerDay: 2 * SLOT_HOURS, from });
+
+  expect(plan.skipped.map((item) => item.topic)).toEqual(["Small"]);
+  expect(plan.plannedHours).toBe(2 * SLOT_HOURS);
+});
+
+test("carries a topic that does not fit over to the next day in parts", () => {
+  const subjects = [subject("DS", {}, { title: "Unit 1", topics: [{ title: "Graphs", hours: 3 }] })];
+  const plan = buildStudyPlan({ subjects, examDate: "2030-01-03", hoursPerDay: 2, from });
+
+  expect(plan.days.map((day) => day.sessions.map(({ part, hours }) => [part, hours]))).toEqual([[[1, 2]], [[2, 1]]]);
+});
+
+test("toStudyTasks adds one task per session plus revision", () => {
+  const subjects = [subject("Data Structures", {}, { title: "Unit 1", topics: topics("Arrays") })];
+  const plan = buildStudyPlan({ subjects, examDate: "2030-01-05", hoursPerDay: 2, from });
+  const tasks = toStudyTasks(plan, { title: "CSE Sem 3" });
+
+  expect(tasks.map((task) => task.title)).toEqual(["Study Arrays", "Revise CSE Sem 3"]);
+  expect(tasks[0].description).toBe("Data Structures · Unit 1 · 2 h — study plan for CSE Sem 3");
+  expect(new Date(tasks[0].deadline)).toEqual(new Date(2030, 0, 1, 9));
+  expect(new Date(tasks[1].deadline)).toEqual(new Date(2030, 0, 4, 9));
+});
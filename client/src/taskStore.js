@@ -0,0 +1,32 @@
+// Shared access to the task list the Todo page keeps in localStorage, so other
+// parts of the app (command palette, study plans) can add tasks without the page open
+export const TASKS_KEY = "smp_tasks_v1";
+export const TASKS_CHANGED_EVENT = "smp:tasks-changed";
+
+export function generateTaskId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+export function loadTasks() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(TASKS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+// Prepends tasks and tells a mounted Todo page to reload, otherwise its next save would drop them
+export function addTasks(newTasks) {
+  const createdAt = new Date().toISOString();
+  const added = newTasks.map((task) => ({
+    description: "",
+    recurrence: "none",
+    ...task,
+    id: generateTaskId(),
+    createdAt,
+  }));
+  window.localStorage.setItem(TASKS_KEY, JSON.stringify([...added, ...loadTasks()]));
+  window.dispatchEvent(new Event(TASKS_CHANGED_EVENT));
+  return added;
+}
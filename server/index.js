@@ -2,9 +2,14 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const archiver = require('archiver');
 
 // 1. Import tools from express-validator
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult, matchedData } = require('express-validator');
 
 dotenv.config();
 
@@ -17,17 +22,363 @@ mongoose.connect(process.env.MONGO_URI)
 .then(() => console.log("✅ MongoDB connected!"))
 .catch((err) => console.error("❌ MongoDB connection error:", err));
 
-// --- Schema and Model (Added from second file) ---
-const feedbackSchema = new mongoose.Schema({
-    studentName: String,
-    university: { type: String, required: true },
-    examName: { type: String, required: true },
-    difficulty: { type: String, required: true },
-    feedback: { type: String, required: true },
-    tips: String,
-    createdAt: { type: Date, default: Date.now }
+// --- Models ---
+const Annotation = require('./models/Annotation');
+const Feedback = require('./models/Feedback');
+const FeedbackVote = require('./models/FeedbackVote');
+const Bookmark = require('./models/Bookmark');
+const Collection = require('./models/Collection');
+const DownloadEvent = require('./models/DownloadEvent');
+const Note = require('./models/Note');
+const PYQ = require('./models/PYQ');
+const Review = require('./models/Review');
+const Syllabus = require('./models/Syllabus');
+const SyllabusProgress = require('./models/SyllabusProgress');
+const Upload = require('./models/Upload');
+const User = require('./models/User');
+const RevokedToken = require('./models/RevokedToken');
+const { MODERATION_STATUSES, PUBLIC_FILTER } = require('./models/moderation');
+const { signToken, authenticate, requireAuth, requireRole } = require('./middleware/auth');
+const { diffSyllabi } = require('./syllabusDiff');
+
+// Every route sees the signed-in user (if any) as req.user
+app.use(authenticate);
+
+// --- Helpers ---
+
+// Sort options offered to the Notes and Syllabus pages; the keys are what `sortBy` accepts.
+// `weeklyDownloads` is filled in by `weeklyDownloadStages`.
+const CATALOG_SORTS = {
+  downloads: { label: 'Most Downloaded', sort: { downloadCount: -1, uploadDate: -1 } },
+  trending: { label: 'Trending This Week', sort: { weeklyDownloads: -1, downloadCount: -1 } },
+  rating: { label: 'Top Rated', sort: { ratingAverage: -1, ratingCount: -1, downloadCount: -1 } },
+  date: { label: 'Latest Upload', sort: { uploadDate: -1 } },
+  title: { label: 'Title (A-Z)', sort: { title: 1 } }
+};
+
+// Sort options for the PYQs page; the keys are what `sortBy` accepts.
+const PYQ_SORTS = {
+  year: { label: 'Newest Paper', sort: { year: -1, title: 1 } },
+  downloads: { label: 'Most Downloaded', sort: { downloadCount: -1, year: -1 } },
+  trending: { label: 'Trending This Week', sort: { weeklyDownloads: -1, downloadCount: -1 } }
+};
+
+// Sort options for the feedback page; the keys are what `sortBy` accepts.
+const FEEDBACK_SORTS = {
+  newest: { label: 'Newest', sort: { createdAt: -1 } },
+  rating: { label: 'Highest Rated', sort: { rating: -1, createdAt: -1 } },
+  helpful: { label: 'Most Helpful', sort: { helpfulCount: -1, createdAt: -1 } }
+};
+
+// Escape user input before dropping it into a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn a list of `{ _id, count }` aggregation buckets into `{ value, count }`
+const toFacet = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+// Human readable size for the cards, e.g. "3.5 MB"
+const formatFileSize = (bytes) => (
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`
+);
+
+// Accepts either an array or a comma/newline separated string and returns the trimmed, non-empty entries
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(/[,\n]/))
+  .map((item) => String(item).trim())
+  .filter(Boolean);
+
+// Pipeline stages counting how often each entry of an array field is cited per
+// university + subject, keeping the `limit` most cited (case-insensitively)
+const topCitedStages = (field, limit) => [
+  { $unwind: `$${field}` },
+  {
+    $group: {
+      _id: { university: '$university', subject: '$subject', value: { $toLower: `$${field}` } },
+      value: { $first: `$${field}` },
+      count: { $sum: 1 }
+    }
+  },
+  { $sort: { count: -1, value: 1 } },
+  {
+    $group: {
+      _id: { university: '$_id.university', subject: '$_id.subject' },
+      entries: { $push: { value: '$value', count: '$count' } }
+    }
+  },
+  { $project: { entries: { $slice: ['$entries', limit] } } }
+];
+
+// --- Feedback Votes ---
+
+// Reports it takes to pull a published entry back into the moderation queue
+const FEEDBACK_REPORT_THRESHOLD = Number(process.env.FEEDBACK_REPORT_THRESHOLD) || 3;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Who is voting: the signed-in user, or a guest known by a hash of their IP address and browser.
+// Guests cannot choose that key, so they cannot mint fresh votes by sending new ids.
+const voterKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  return `guest:${sha256(`${req.ip || ''}|${req.get('user-agent') || ''}`)}`;
+};
+
+const voteRules = [param('id').isMongoId().withMessage('Invalid feedback id.')];
+
+// Records one vote of `kind`; resolves to null when this voter already cast it
+const recordVote = async (feedbackId, voter, kind, reason) => {
+  try {
+    return await FeedbackVote.create({ feedback: feedbackId, voter, kind, reason });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// --- File Uploads ---
+
+// Where uploaded materials live on disk; relative paths resolve from the server folder
+const UPLOAD_DIR = path.resolve(__dirname, process.env.UPLOAD_DIR || 'uploads');
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 20;
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Accepted MIME types, mapped to the label shown on the cards
+const ALLOWED_FILE_TYPES = {
+  'application/pdf': 'PDF',
+  'application/vnd.ms-powerpoint': 'PPT',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PPTX',
+  'application/msword': 'DOC',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'DOCX'
+};
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    // Never trust the client's file name on disk; keep only its extension
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_FILE_TYPES[file.mimetype]) return cb(null, true);
+    const error = new Error('Only PDF, PPT, PPTX, DOC and DOCX files are allowed.');
+    error.status = 415;
+    cb(error);
+  }
 });
-const Feedback = mongoose.model('Feedback', feedbackSchema);
+
+// Runs multer for a single `file` field and turns its errors into JSON responses
+const handleFileUpload = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `File is too large. The limit is ${MAX_UPLOAD_MB} MB.` });
+    }
+    res.status(err.status || 400).json({ message: err.message });
+  });
+};
+
+// Approved note uploads become Notes catalog entries pointing at the stored file
+const publishNote = async (stored) => {
+  const existing = await Note.findOne({ upload: stored._id });
+  if (existing) return existing;
+  return Note.create({
+    title: stored.title,
+    university: stored.university,
+    department: stored.department,
+    semester: stored.semester,
+    subject: stored.subject,
+    fileType: stored.fileType,
+    fileSize: formatFileSize(stored.size),
+    tags: stored.tags,
+    difficulty: stored.difficulty,
+    link: `/api/uploads/${stored._id}/file`,
+    upload: stored._id
+  });
+};
+
+// Approved question paper uploads become PYQ catalog entries
+const publishPyq = async (stored) => {
+  const existing = await PYQ.findOne({ upload: stored._id });
+  if (existing) return existing;
+  return PYQ.create({
+    title: stored.title,
+    university: stored.university,
+    department: stored.department,
+    semester: stored.semester,
+    subject: stored.subject,
+    // Papers uploaded before the year was asked for fall back to the upload year
+    year: stored.year || stored.createdAt.getFullYear(),
+    fileType: stored.fileType,
+    fileSize: formatFileSize(stored.size),
+    uploader: stored.uploader,
+    link: `/api/uploads/${stored._id}/file`,
+    upload: stored._id
+  });
+};
+
+// Approved syllabus uploads become Syllabus catalog entries; the upload's subject seeds the subject list,
+// and moderators can fill in its units and topics through PUT /api/syllabi/:id
+const publishSyllabus = async (stored) => {
+  const existing = await Syllabus.findOne({ upload: stored._id });
+  if (existing) return existing;
+  return Syllabus.create({
+    title: stored.title,
+    university: stored.university,
+    department: stored.department,
+    semester: stored.semester,
+    subjects: [{ name: stored.subject }],
+    tags: stored.tags,
+    difficulty: stored.difficulty,
+    fileType: stored.fileType,
+    fileSize: formatFileSize(stored.size),
+    link: `/api/uploads/${stored._id}/file`,
+    upload: stored._id
+  });
+};
+
+// Catalog collections fed by approved uploads, keyed by upload category
+const CATALOG_PUBLISHERS = { notes: publishNote, syllabus: publishSyllabus, pyq: publishPyq };
+
+// Drops whatever catalog entries were made from these uploads
+const unpublishUploads = (uploadIds) => Promise.all([
+  Note.deleteMany({ upload: { $in: uploadIds } }),
+  Syllabus.deleteMany({ upload: { $in: uploadIds } }),
+  PYQ.deleteMany({ upload: { $in: uploadIds } })
+]);
+
+const removeStoredFile = (storedName) => {
+  fs.unlink(path.join(UPLOAD_DIR, storedName), (err) => {
+    if (err && err.code !== 'ENOENT') console.error('Error removing stored file:', err);
+  });
+};
+
+// --- Download Tracking ---
+
+// How far back "trending this week" looks
+const TRENDING_DAYS = 7;
+// Downloads of the same file by the same client within this window count once
+const DOWNLOAD_DEDUPE_MINUTES = Number(process.env.DOWNLOAD_DEDUPE_MINUTES) || 10;
+// Where links to files the client ships itself (e.g. /pdf/OS.pdf) are sent
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Catalog collections whose files go through GET /api/files/:id/download, keyed by download kind
+const DOWNLOADABLE = { note: Note, syllabus: Syllabus, pyq: PYQ };
+
+const trendingSince = () => new Date(Date.now() - TRENDING_DAYS * 24 * 60 * 60 * 1000);
+
+// Pipeline stages adding `weeklyDownloads`, the counted downloads of each entry since `since`
+const weeklyDownloadStages = (since) => [
+  {
+    $lookup: {
+      from: DownloadEvent.collection.name,
+      let: { fileId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $and: [{ $eq: ['$file', '$$fileId'] }, { $gte: ['$createdAt', since] }] } } },
+        { $count: 'count' }
+      ],
+      as: 'weekly'
+    }
+  },
+  { $addFields: { weeklyDownloads: { $ifNull: [{ $first: '$weekly.count' }, 0] } } },
+  { $project: { weekly: 0 } }
+];
+
+// One page of catalog entries, each with `weeklyDownloads`. A trending sort needs the weekly
+// counts before sorting; any other sort only looks them up for the page it returns.
+const findCatalogPage = (Model, filter, { sort, page, limit }) => {
+  const weekly = weeklyDownloadStages(trendingSince());
+  const paging = [{ $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit }];
+  const stages = 'weeklyDownloads' in sort ? [...weekly, ...paging] : [...paging, ...weekly];
+  return Model.aggregate([{ $match: filter }, ...stages]);
+};
+
+// Counts one download unless this client already fetched the file within the dedupe window.
+// Resolves to whether the download was counted.
+const countDownload = async (kind, entry, client) => {
+  const since = new Date(Date.now() - DOWNLOAD_DEDUPE_MINUTES * 60 * 1000);
+  if (await DownloadEvent.exists({ file: entry._id, client, createdAt: { $gte: since } })) return false;
+  await Promise.all([
+    DownloadEvent.create({ file: entry._id, kind, client }),
+    DOWNLOADABLE[kind].updateOne({ _id: entry._id }, { $inc: { downloadCount: 1 } })
+  ]);
+  return true;
+};
+
+// Who a download is counted against: the account when signed in, else the browser's anonymous id, else the IP
+const downloadClientKey = (req, client) => {
+  if (req.user) return `user:${req.user._id}`;
+  if (client) return `anon:${sha256(client)}`;
+  return `ip:${sha256(req.ip || '')}`;
+};
+
+// The most downloaded entries of one kind over the trending window, topped up with the
+// all-time favourites when the week has been quiet
+const findTrending = async (kind, limit, since) => {
+  const Model = DOWNLOADABLE[kind];
+  const counts = await DownloadEvent.aggregate([
+    { $match: { kind, createdAt: { $gte: since } } },
+    { $group: { _id: '$file', weeklyDownloads: { $sum: 1 } } },
+    { $sort: { weeklyDownloads: -1 } },
+    { $limit: limit }
+  ]);
+  const entries = await Model.find({ _id: { $in: counts.map((c) => c._id) } }, { questions: 0 }).lean();
+  const byId = new Map(entries.map((entry) => [String(entry._id), entry]));
+  const trending = counts
+    .filter((c) => byId.has(String(c._id)))
+    .map((c) => ({ ...byId.get(String(c._id)), weeklyDownloads: c.weeklyDownloads }));
+
+  if (trending.length < limit) {
+    const fillers = await Model.find({ _id: { $nin: trending.map((entry) => entry._id) } }, { questions: 0 })
+      .sort({ downloadCount: -1 })
+      .limit(limit - trending.length)
+      .lean();
+    trending.push(...fillers.map((entry) => ({ ...entry, weeklyDownloads: 0 })));
+  }
+  return trending;
+};
+
+// --- Moderation ---
+
+// Who may review submissions and remove content
+const requireModerator = requireRole('moderator', 'admin');
+
+// Moderated collections, keyed by the `:type` used in the moderation routes
+const MODERATED_MODELS = { feedback: Feedback, uploads: Upload };
+
+// --- Admin Dashboard ---
+
+// Validation shared by the paginated admin listings
+const adminListRules = [
+  query('search').optional().trim(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number.').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.').toInt()
+];
+
+// Runs one page of a listing and returns it with the totals the dashboard pages with
+const paginate = async (Model, filter, { page = 1, limit = 20, sort = { createdAt: -1 } }) => {
+  const [items, total] = await Promise.all([
+    Model.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+    Model.countDocuments(filter)
+  ]);
+  return { items, total, page, pages: Math.max(1, Math.ceil(total / limit)) };
+};
+
+// Case-insensitive "contains" match of the search term across the given fields
+const searchFilter = (search, fields) => {
+  if (!search) return {};
+  const pattern = new RegExp(escapeRegex(search), 'i');
+  return { $or: fields.map((field) => ({ [field]: pattern })) };
+};
+
+// Collections the dashboard manages, with the fields its search box looks at
+const ADMIN_COLLECTIONS = {
+  feedback: { Model: Feedback, searchFields: ['studentName', 'university', 'subject', 'feedback', 'tips'] },
+  uploads: { Model: Upload, searchFields: ['title', 'university', 'department', 'subject', 'uploader'] },
+  users: { Model: User, searchFields: ['name', 'email'] }
+};
 
 
 // --- API Routes ---
@@ -42,12 +393,22 @@ app.post(
   '/api/feedback',
   // --- Validation Rules Array ---
   [
-    body('university').trim().notEmpty().withMessage('University cannot be empty.').escape(),
-    body('examName').trim().notEmpty().withMessage('Exam name cannot be empty.').escape(),
-    body('difficulty').notEmpty().withMessage('Please select a difficulty.').escape(),
-    body('feedback').trim().notEmpty().withMessage('Feedback cannot be empty.').escape(),
-    body('studentName').trim().escape(),
-    body('tips').trim().escape()
+    body('university').trim().notEmpty().withMessage('University cannot be empty.').isLength({ max: 120 }),
+    body('subject').trim().notEmpty().withMessage('Subject cannot be empty.').isLength({ max: 120 }),
+    body('difficulty').isIn(Feedback.DIFFICULTIES).withMessage('Please select a difficulty.'),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Please give a rating from 1 to 5.').toInt(),
+    body('semester').optional({ values: 'falsy' }).isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+    body('studentName').optional().trim().isLength({ max: 80 }),
+    body('department').optional().trim().isLength({ max: 120 }),
+    body('examDate').optional().trim().isLength({ max: 40 }),
+    body('preparationTime').optional().trim().isLength({ max: 60 }),
+    body('examPattern').optional().trim().isLength({ max: 500 }).withMessage('Exam pattern is too long.'),
+    body('feedback').optional().trim().isLength({ max: 2000 }).withMessage('Feedback is too long.'),
+    body('tips').optional().trim().isLength({ max: 2000 }).withMessage('Tips are too long.'),
+    body('timeManagement').optional().trim().isLength({ max: 500 }).withMessage('Time management notes are too long.'),
+    body(['importantTopics', 'resources']).optional().customSanitizer(toList)
+      .isArray({ max: 20 }).withMessage('List at most 20 entries.'),
+    body(['importantTopics.*', 'resources.*']).isLength({ max: 100 }).withMessage('Each entry must be under 100 characters.')
   ],
   // --- Route Handler ---
   async (req, res) => {
@@ -59,14 +420,22 @@ app.post(
     }
 
     try {
-      const feedbackData = req.body;
+      // Only validated fields are stored, so clients can't set moderation status themselves
+      const feedbackData = matchedData(req, { locations: ['body'] });
       console.log('Received feedback:', feedbackData);
 
       const newFeedback = new Feedback(feedbackData);
+      if (req.user) {
+        newFeedback.user = req.user._id;
+        if (!newFeedback.studentName) newFeedback.studentName = req.user.name;
+      }
       await newFeedback.save();
       
       console.log('Feedback saved to database!');
-      res.status(201).json({ message: 'Feedback submitted and saved successfully!' });
+      res.status(201).json({
+        message: 'Thank you! Your feedback has been submitted and is pending review.',
+        status: newFeedback.status
+      });
 
     } catch (error) {
       console.error('Error saving feedback:', error);
@@ -75,16 +444,2591 @@ app.post(
   }
 );
 
-// GET Route (Added from second file)
-app.get('/api/feedbacks', async (req, res) => {
+// Approved feedback for the feedback page, filtered, sorted and paginated on the server
+app.get(
+  '/api/feedbacks',
+  [
+    query('difficulty').optional().isIn(Feedback.DIFFICULTIES).withMessage('Unknown difficulty.'),
+    query('university').optional().trim(),
+    query('department').optional().trim(),
+    query('subject').optional().trim(),
+    query('minRating').optional().isInt({ min: 1, max: 5 }).withMessage('Minimum rating must be between 1 and 5.').toInt(),
+    query('search').optional().trim(),
+    query('sortBy').optional().isIn(Object.keys(FEEDBACK_SORTS)).withMessage('Unknown sort option.'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      difficulty, university, department, subject, minRating, search,
+      sortBy = 'newest', page = 1, limit = 9
+    } = matchedData(req, { locations: ['query'] });
+
+    const filter = { ...PUBLIC_FILTER };
+    if (difficulty) filter.difficulty = difficulty;
+    if (university) filter.university = university;
+    if (department) filter.department = department;
+    if (subject) filter.subject = subject;
+    if (minRating) filter.rating = { $gte: minRating };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { subject: pattern }, { university: pattern }, { feedback: pattern },
+        { tips: pattern }, { importantTopics: pattern }
+      ];
+    }
+
+    try {
+      const [feedbacks, total, [facets]] = await Promise.all([
+        Feedback.find(filter)
+          .sort(FEEDBACK_SORTS[sortBy].sort)
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Feedback.countDocuments(filter),
+        // Facets cover all published feedback so the dropdowns never lose options
+        Feedback.aggregate([
+          { $match: PUBLIC_FILTER },
+          {
+            $facet: {
+              universities: [{ $group: { _id: '$university', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              departments: [
+                { $match: { department: { $nin: [null, ''] } } },
+                { $group: { _id: '$department', count: { $sum: 1 } } },
+                { $sort: { _id: 1 } }
+              ],
+              subjects: [{ $group: { _id: '$subject', count: { $sum: 1 } } }, { $sort: { _id: 1 } }]
+            }
+          }
+        ])
+      ]);
+
+      res.status(200).json({
+        feedbacks,
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+        facets: {
+          universities: toFacet(facets.universities),
+          departments: toFacet(facets.departments),
+          subjects: toFacet(facets.subjects)
+        },
+        sortOptions: Object.entries(FEEDBACK_SORTS).map(([value, { label }]) => ({ value, label }))
+      });
+    } catch (error) {
+      console.error('Error fetching feedbacks:', error);
+      res.status(500).json({ message: 'Error fetching feedbacks.' });
+    }
+  }
+);
+
+// The signed-in user's own feedback, in every moderation status
+app.get('/api/feedbacks/mine', requireAuth, async (req, res) => {
+  try {
+    const feedbacks = await Feedback.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.status(200).json(feedbacks);
+  } catch (error) {
+    console.error('Error fetching feedbacks:', error);
+    res.status(500).json({ message: 'Error fetching feedbacks.' });
+  }
+});
+
+app.post(
+  '/api/feedbacks/:id/vote',
+  voteRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const voter = voterKey(req);
+
+    try {
+      const feedback = await Feedback.findOne({ _id: req.params.id, ...PUBLIC_FILTER });
+      if (!feedback) {
+        return res.status(404).json({ message: 'Feedback not found.' });
+      }
+      if (!(await recordVote(feedback._id, voter, 'helpful'))) {
+        return res.status(409).json({ message: 'You already marked this as helpful.', helpfulCount: feedback.helpfulCount });
+      }
+
+      const updated = await Feedback.findByIdAndUpdate(feedback._id, { $inc: { helpfulCount: 1 } }, { new: true });
+      res.status(200).json({ message: 'Thanks for your vote!', helpfulCount: updated.helpfulCount });
+    } catch (error) {
+      console.error('Error voting on feedback:', error);
+      res.status(500).json({ message: 'Failed to record vote.' });
+    }
+  }
+);
+
+app.post(
+  '/api/feedbacks/:id/report',
+  [
+    ...voteRules,
+    body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason is too long.').escape()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = matchedData(req, { locations: ['body'] });
+    const voter = voterKey(req);
+
+    try {
+      const feedback = await Feedback.findOne({ _id: req.params.id, ...PUBLIC_FILTER });
+      if (!feedback) {
+        return res.status(404).json({ message: 'Feedback not found.' });
+      }
+      if (!(await recordVote(feedback._id, voter, 'report', reason))) {
+        return res.status(409).json({ message: 'You already reported this feedback.' });
+      }
+
+      // Every report is shown to moderators, but only signed-in accounts can hide an entry on their own
+      await Feedback.updateOne({ _id: feedback._id }, { $inc: { reportCount: 1 } });
+      const accountReports = await FeedbackVote.countDocuments({ feedback: feedback._id, kind: 'report', voter: /^user:/ });
+      if (accountReports >= FEEDBACK_REPORT_THRESHOLD) {
+        await Feedback.updateOne(
+          { _id: feedback._id, ...PUBLIC_FILTER },
+          { status: 'pending', moderationReason: `Hidden automatically after ${accountReports} reports from signed-in users.` }
+        );
+      }
+      res.status(200).json({ message: 'Thanks, a moderator will take a look.' });
+    } catch (error) {
+      console.error('Error reporting feedback:', error);
+      res.status(500).json({ message: 'Failed to report feedback.' });
+    }
+  }
+);
+
+// --- Stats Routes ---
+
+// Difficulty, rating, topic and resource summary of published feedback per university + subject
+app.get(
+  '/api/stats/feedback',
+  [
+    query('university').optional().trim(),
+    query('subject').optional().trim(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { university, subject, limit = 10 } = matchedData(req, { locations: ['query'] });
+    const match = { ...PUBLIC_FILTER };
+    if (university) match.university = university;
+    if (subject) match.subject = subject;
+
+    const countDifficulty = (level) => ({ $sum: { $cond: [{ $eq: ['$difficulty', level] }, 1, 0] } });
+
+    try {
+      const [stats] = await Feedback.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  feedbacks: { $sum: 1 },
+                  averageRating: { $avg: '$rating' },
+                  universities: { $addToSet: '$university' },
+                  subjects: { $addToSet: '$subject' }
+                }
+              }
+            ],
+            groups: [
+              {
+                $group: {
+                  _id: { university: '$university', subject: '$subject' },
+                  count: { $sum: 1 },
+                  averageRating: { $avg: '$rating' },
+                  easy: countDifficulty('easy'),
+                  moderate: countDifficulty('moderate'),
+                  hard: countDifficulty('hard')
+                }
+              },
+              { $sort: { count: -1, averageRating: -1 } },
+              { $limit: limit }
+            ],
+            topics: topCitedStages('importantTopics', 5),
+            resources: topCitedStages('resources', 5)
+          }
+        }
+      ]);
+
+      const groupKey = ({ university: u, subject: s }) => JSON.stringify([u, s]);
+      const topicsByGroup = new Map(stats.topics.map((t) => [groupKey(t._id), t.entries]));
+      const resourcesByGroup = new Map(stats.resources.map((r) => [groupKey(r._id), r.entries]));
+      const [totals] = stats.totals;
+      const round = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+      res.status(200).json({
+        totals: {
+          feedbacks: totals ? totals.feedbacks : 0,
+          universities: totals ? totals.universities.length : 0,
+          subjects: totals ? totals.subjects.length : 0,
+          averageRating: totals ? round(totals.averageRating) : null
+        },
+        groups: stats.groups.map(({ _id, count, averageRating, easy, moderate, hard }) => ({
+          university: _id.university,
+          subject: _id.subject,
+          count,
+          averageRating: round(averageRating),
+          difficulty: { easy, moderate, hard },
+          topTopics: topicsByGroup.get(groupKey(_id)) || [],
+          topResources: resourcesByGroup.get(groupKey(_id)) || []
+        }))
+      });
+    } catch (error) {
+      console.error('Error computing feedback stats:', error);
+      res.status(500).json({ message: 'Error computing feedback stats.' });
+    }
+  }
+);
+
+// --- Search Routes ---
+
+// Collections reachable from the global search, keyed by the `type` each result carries
+const SEARCH_SOURCES = {
+  notes: {
+    Model: Note,
+    filter: {},
+    toResult: (note) => ({
+      title: note.title,
+      subtitle: `${note.subject} · ${note.university} · Semester ${note.semester}`,
+      link: note.link
+    })
+  },
+  syllabi: {
+    Model: Syllabus,
+    filter: {},
+    toResult: (item) => ({
+      title: item.title,
+      subtitle: `${item.university} · ${item.department} · Semester ${item.semester}`,
+      link: item.link || null
+    })
+  },
+  pyqs: {
+    Model: PYQ,
+    filter: {},
+    toResult: (paper) => ({
+      title: paper.title,
+      subtitle: `${paper.subject} · ${paper.university} · ${paper.year}`,
+      link: paper.link || null
+    })
+  },
+  feedback: {
+    Model: Feedback,
+    filter: PUBLIC_FILTER,
+    toResult: (item) => ({
+      title: `${item.subject} exam experience`,
+      subtitle: `${item.university} · ${item.difficulty} · ${item.rating}/5`,
+      link: null
+    })
+  }
+};
+
+// Text search over every source at once; results come back ranked by Mongo's text score
+app.get(
+  '/api/search',
+  [
+    query('q').trim().notEmpty().withMessage('Please enter something to search for.')
+      .isLength({ max: 100 }).withMessage('Search is too long.'),
+    query('type').optional().isIn(Object.keys(SEARCH_SOURCES)).withMessage('Unknown content type.'),
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, type, limit = 5 } = matchedData(req, { locations: ['query'] });
+    const types = type ? [type] : Object.keys(SEARCH_SOURCES);
+
+    try {
+      const perType = await Promise.all(types.map(async (key) => {
+        const { Model, filter, toResult } = SEARCH_SOURCES[key];
+        const textFilter = { ...filter, $text: { $search: q } };
+        const [docs, count] = await Promise.all([
+          Model.find(textFilter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(limit)
+            .lean(),
+          Model.countDocuments(textFilter)
+        ]);
+        const results = docs.map((doc) => ({
+          type: key,
+          id: doc._id,
+          ...toResult(doc),
+          score: Math.round(doc.score * 100) / 100
+        }));
+        return { key, count, results };
+      }));
+
+      const counts = Object.fromEntries(perType.map(({ key, count }) => [key, count]));
+      res.status(200).json({
+        q,
+        total: perType.reduce((sum, { count }) => sum + count, 0),
+        counts,
+        results: perType.flatMap(({ results }) => results).sort((a, b) => b.score - a.score)
+      });
+    } catch (error) {
+      console.error('Error searching:', error);
+      res.status(500).json({ message: 'Search failed.' });
+    }
+  }
+);
+
+// --- Analytics Routes ---
+
+// Paper counts from the PYQ catalog, broken down four ways; every breakdown honours the filters
+app.get(
+  '/api/analytics/pyqs',
+  [
+    query('university').optional().trim(),
+    query('department').optional().trim(),
+    query('subject').optional().trim()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { university, department, subject } = matchedData(req, { locations: ['query'] });
+    const match = {};
+    if (university) match.university = university;
+    if (department) match.department = department;
+    if (subject) match.subject = subject;
+
+    const countBy = (field, sort = { count: -1, _id: 1 }) => [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: sort }
+    ];
+
+    try {
+      const [[stats], subjects, universities] = await Promise.all([
+        PYQ.aggregate([
+          { $match: match },
+          {
+            $facet: {
+              bySubject: countBy('subject'),
+              byUniversity: countBy('university'),
+              byYear: countBy('year', { _id: 1 }),
+              bySemester: countBy('semester', { _id: 1 }),
+              total: [{ $count: 'count' }]
+            }
+          }
+        ]),
+        // Filter options always list the whole catalog
+        PYQ.distinct('subject'),
+        PYQ.distinct('university')
+      ]);
+
+      res.status(200).json({
+        total: stats.total.length ? stats.total[0].count : 0,
+        bySubject: toFacet(stats.bySubject),
+        byUniversity: toFacet(stats.byUniversity),
+        byYear: toFacet(stats.byYear),
+        bySemester: toFacet(stats.bySemester),
+        filters: { subjects: subjects.sort(), universities: universities.sort() }
+      });
+    } catch (error) {
+      console.error('Error computing PYQ analytics:', error);
+      res.status(500).json({ message: 'Error computing PYQ analytics.' });
+    }
+  }
+);
+
+// Topic frequency and marks weightage for one subject's papers over a range of years.
+// `likelihood` is the share of those years a topic showed up in, with recent years counting more.
+app.get(
+  '/api/analytics/pyqs/topics',
+  [
+    query('subject').trim().notEmpty().withMessage('Please choose a subject.'),
+    query('university').optional().trim(),
+    query('semester').optional().isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+    query('fromYear').optional().isInt({ min: 1990, max: 2100 }).withMessage('Invalid start year.').toInt(),
+    query('toYear').optional().isInt({ min: 1990, max: 2100 }).withMessage('Invalid end year.').toInt()
+      .custom((toYear, { req }) => !req.query.fromYear || toYear >= Number(req.query.fromYear))
+      .withMessage('The end year must not be before the start year.'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { subject, university, semester, fromYear, toYear, limit = 15 } = matchedData(req, { locations: ['query'] });
+    const match = { subject };
+    if (university) match.university = university;
+    if (semester) match.semester = semester;
+    if (fromYear || toYear) {
+      match.year = {};
+      if (fromYear) match.year.$gte = fromYear;
+      if (toYear) match.year.$lte = toYear;
+    }
+
+    try {
+      const [rows, years, papers] = await Promise.all([
+        PYQ.aggregate([
+          { $match: match },
+          { $unwind: '$questions' },
+          {
+            $group: {
+              _id: { topic: { $toLower: '$questions.topic' }, year: '$year' },
+              topic: { $first: '$questions.topic' },
+              questions: { $sum: 1 },
+              marks: { $sum: { $ifNull: ['$questions.marks', 0] } }
+            }
+          }
+        ]),
+        PYQ.distinct('year', match),
+        PYQ.countDocuments(match)
+      ]);
+
+      years.sort((a, b) => a - b);
+      // Oldest year weighs 1, the newest weighs years.length
+      const yearWeight = new Map(years.map((year, index) => [year, index + 1]));
+      const totalWeight = years.reduce((sum, year) => sum + yearWeight.get(year), 0);
+
+      const topics = new Map();
+      rows.forEach(({ _id, topic, questions, marks }) => {
+        if (!topics.has(_id.topic)) topics.set(_id.topic, { topic, questions: 0, marks: 0, years: {} });
+        const entry = topics.get(_id.topic);
+        entry.questions += questions;
+        entry.marks += marks;
+        entry.years[_id.year] = { questions, marks };
+      });
+
+      const totalMarks = [...topics.values()].reduce((sum, entry) => sum + entry.marks, 0);
+      const ranked = [...topics.values()]
+        .map((entry) => {
+          const weight = Object.keys(entry.years).reduce((sum, year) => sum + yearWeight.get(Number(year)), 0);
+          return {
+            ...entry,
+            weightage: totalMarks ? Math.round((entry.marks / totalMarks) * 1000) / 10 : 0,
+            likelihood: totalWeight ? Math.round((weight / totalWeight) * 100) / 100 : 0
+          };
+        })
+        .sort((a, b) => b.likelihood - a.likelihood || b.marks - a.marks || a.topic.localeCompare(b.topic))
+        .slice(0, limit);
+
+      res.status(200).json({ subject, university: university || null, papers, years, totalMarks, topics: ranked });
+    } catch (error) {
+      console.error('Error computing topic frequency:', error);
+      res.status(500).json({ message: 'Error computing topic frequency.' });
+    }
+  }
+);
+
+// --- PYQ Routes ---
+
+// The papers for the PYQs page. Each dropdown only offers values that exist under the
+// choices made above it (university → department → semester → subject).
+app.get(
+  '/api/pyqs',
+  [
+    query('university').optional().trim(),
+    query('department').optional().trim(),
+    query('semester').optional().isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+    query('subject').optional().trim(),
+    query('sortBy').optional().isIn(Object.keys(PYQ_SORTS)).withMessage('Unknown sort option.'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      university, department, semester, subject,
+      sortBy = 'year', page = 1, limit = 12
+    } = matchedData(req, { locations: ['query'] });
+
+    const filter = {};
+    if (university) filter.university = university;
+    if (department) filter.department = department;
+    if (semester) filter.semester = semester;
+    if (subject) filter.subject = subject;
+
+    const countBy = (field, match) => PYQ.aggregate([
+      { $match: match },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    try {
+      const [pyqs, total, universities, departments, semesters, subjects] = await Promise.all([
+        findCatalogPage(PYQ, filter, { sort: PYQ_SORTS[sortBy].sort, page, limit }),
+        PYQ.countDocuments(filter),
+        countBy('university', {}),
+        university ? countBy('department', { university }) : [],
+        university && department ? countBy('semester', { university, department }) : [],
+        university && department && semester ? countBy('subject', { university, department, semester }) : []
+      ]);
+
+      res.status(200).json({
+        pyqs,
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+        facets: {
+          universities: toFacet(universities),
+          departments: toFacet(departments),
+          semesters: toFacet(semesters),
+          subjects: toFacet(subjects)
+        },
+        sortOptions: Object.entries(PYQ_SORTS).map(([value, { label }]) => ({ value, label }))
+      });
+    } catch (error) {
+      console.error('Error fetching PYQs:', error);
+      res.status(500).json({ message: 'Error fetching PYQs.' });
+    }
+  }
+);
+
+// Contributors and staff tag the questions on a paper; the list replaces whatever was there
+app.put(
+  '/api/pyqs/:id/questions',
+  requireRole('contributor', 'moderator', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid paper id.'),
+    body('questions').isArray({ max: 100 }).withMessage('Send at most 100 questions.'),
+    body('questions.*.topic').trim().notEmpty().withMessage('Every question needs a topic.').isLength({ max: 100 }).escape(),
+    body('questions.*.number').optional().trim().isLength({ max: 10 }).escape(),
+    body('questions.*.text').optional().trim().isLength({ max: 1000 }).withMessage('Question text is too long.').escape(),
+    body('questions.*.unit').optional({ values: 'falsy' }).isInt({ min: 1, max: 20 }).withMessage('Unit must be between 1 and 20.').toInt(),
+    body('questions.*.marks').optional({ values: 'falsy' }).isFloat({ min: 0, max: 100 }).withMessage('Marks must be between 0 and 100.').toFloat()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // matchedData hands back the whole array for `questions`, so keep only the known fields
+    const questions = matchedData(req, { locations: ['body'] }).questions
+      .map(({ number, text, topic, unit, marks }) => ({
+        number, text, topic, unit: unit || undefined, marks: marks === '' ? undefined : marks
+      }));
+
+    try {
+      const paper = await PYQ.findByIdAndUpdate(req.params.id, { questions }, { new: true, runValidators: true });
+      if (!paper) {
+        return res.status(404).json({ message: 'Paper not found.' });
+      }
+      res.status(200).json({ message: 'Questions saved.', paper });
+    } catch (error) {
+      console.error('Error saving questions:', error);
+      res.status(500).json({ message: 'Failed to save questions.' });
+    }
+  }
+);
+
+// --- Auth Routes ---
+
+app.post(
+  '/api/auth/register',
+  [
+    body('name').trim().notEmpty().withMessage('Name cannot be empty.').isLength({ max: 80 }).withMessage('Name is too long.'),
+    body('email').trim().isEmail().withMessage('Please enter a valid email address.').normalizeEmail(),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, password } = matchedData(req, { locations: ['body'] });
+
+    try {
+      if (await User.exists({ email })) {
+        return res.status(409).json({ message: 'An account with this email already exists.' });
+      }
+
+      const user = new User({ name, email });
+      await user.setPassword(password);
+      await user.save();
+
+      res.status(201).json({ token: signToken(user), user });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      res.status(500).json({ message: 'Failed to create account.', error: error.message });
+    }
+  }
+);
+
+app.post(
+  '/api/auth/login',
+  [
+    body('email').trim().isEmail().withMessage('Please enter a valid email address.').normalizeEmail(),
+    body('password').notEmpty().withMessage('Password cannot be empty.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = matchedData(req, { locations: ['body'] });
+
     try {
-        const feedbacks = await Feedback.find({}).sort({ createdAt: -1 });
-        res.status(200).json(feedbacks);
+      const user = await User.findOne({ email }).select('+passwordHash');
+      if (!user || !(await user.checkPassword(password))) {
+        return res.status(401).json({ message: 'Incorrect email or password.' });
+      }
+
+      res.status(200).json({ token: signToken(user), user });
     } catch (error) {
-        res.status(500).json({ message: 'Error fetching feedbacks.' });
+      console.error('Error logging in:', error);
+      res.status(500).json({ message: 'Failed to sign in.', error: error.message });
     }
+  }
+);
+
+// Tokens are stateless, so logging out records this token as revoked until it expires
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await RevokedToken.create({ jti: req.token.jti, expiresAt: new Date(req.token.exp * 1000) });
+    res.status(200).json({ message: 'Signed out.' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Failed to sign out.' });
+  }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.status(200).json(req.user);
 });
 
+// --- Archive Routes ---
+
+// Largest number of catalog entries one ZIP may cover; wider filters are turned away
+const MAX_ARCHIVE_ENTRIES = Number(process.env.MAX_ARCHIVE_ENTRIES) || 200;
+
+const archiveFilterRules = [
+  query('university').optional().trim(),
+  query('department').optional().trim(),
+  query('semester').optional().isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+  query('subject').optional().trim()
+];
+
+// File-system friendly piece of a name inside the ZIP
+const toArchiveName = (text) => String(text).replace(/[\\/:*?"<>|]+/g, '-').replace(/\s+/g, ' ').trim().slice(0, 80) || 'untitled';
+
+const toSubjectPath = (entry) => `${toArchiveName(entry.subject)}/${toArchiveName(entry.title)}`;
+
+// Streams a ZIP of every stored file behind `entries` plus a manifest.json describing all of them.
+// Entries whose file is not stored on this server (e.g. seeded samples that link elsewhere) are
+// listed in the manifest with their link so nothing silently goes missing. `toPath` names an
+// entry's file inside the ZIP, without its extension. Resolves to the entries whose file was included.
+const sendCatalogArchive = async (res, { name, filters, entries, describe, toPath = toSubjectPath }) => {
+  const uploads = await Upload.find({ _id: { $in: entries.map((entry) => entry.upload).filter(Boolean) } });
+  const uploadsById = new Map(uploads.map((stored) => [stored._id.toString(), stored]));
+
+  const usedNames = new Set();
+  const files = entries.map((entry, index) => {
+    const stored = entry.upload && uploadsById.get(entry.upload.toString());
+    const filePath = stored && path.join(UPLOAD_DIR, stored.storedName);
+    let file = null;
+    if (filePath && fs.existsSync(filePath)) {
+      const base = toPath(entry, index);
+      const ext = path.extname(stored.originalName).toLowerCase();
+      file = `${base}${ext}`;
+      for (let n = 2; usedNames.has(file); n += 1) file = `${base} (${n})${ext}`;
+      usedNames.add(file);
+    }
+    return { ...describe(entry), file, link: entry.link || null, filePath: file && filePath };
+  });
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('warning', (error) => console.error('Archive warning:', error));
+  archive.on('error', (error) => {
+    console.error('Error building archive:', error);
+    res.destroy(error);
+  });
+
+  res.attachment(`${name}.zip`);
+  archive.pipe(res);
+  files.filter((entry) => entry.file).forEach((entry) => archive.file(entry.filePath, { name: entry.file }));
+  archive.append(JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    filters,
+    total: files.length,
+    included: files.filter((entry) => entry.file).length,
+    files: files.map(({ filePath, ...entry }) => entry)
+  }, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  return entries.filter((entry, index) => files[index].file);
+};
+
+// The Notes page search box, matched against titles, subjects and tags
+const noteSearchFilter = (search) => {
+  const pattern = new RegExp(escapeRegex(search), 'i');
+  return { $or: [{ title: pattern }, { subject: pattern }, { tags: pattern }] };
+};
+
+// Shared handler for the catalog archives; `describe` picks the manifest fields for one entry and
+// `searchFilter`, when given, turns a `search` query into the same match the catalog listing uses
+const catalogArchiveRoute = ({ Model, name, describe, searchFilter }) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const filters = matchedData(req, { locations: ['query'] });
+  const { search, ...fields } = filters;
+  const match = search && searchFilter ? { ...fields, ...searchFilter(search) } : fields;
+  try {
+    const total = await Model.countDocuments(match);
+    if (total === 0) {
+      return res.status(404).json({ message: 'Nothing matches these filters.' });
+    }
+    if (total > MAX_ARCHIVE_ENTRIES) {
+      return res.status(400).json({
+        message: `These filters match ${total} files; narrow them down to at most ${MAX_ARCHIVE_ENTRIES} to download them together.`
+      });
+    }
+
+    const entries = await Model.find(match).sort({ subject: 1, title: 1 }).lean();
+    const suffix = [filters.subject, filters.university].filter(Boolean).map(toArchiveName).join(' - ');
+    await sendCatalogArchive(res, { name: suffix ? `${name} - ${suffix}` : name, filters, entries, describe });
+  } catch (error) {
+    console.error(`Error archiving ${name}:`, error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Failed to prepare the download.' });
+  }
+};
+
+// ZIP of every note matching the Notes page filters and search box
+app.get(
+  '/api/notes/archive',
+  [...archiveFilterRules, query('search').optional().trim()],
+  catalogArchiveRoute({
+    Model: Note,
+    name: 'StudyMatePlus notes',
+    searchFilter: noteSearchFilter,
+    describe: (note) => ({
+      title: note.title,
+      university: note.university,
+      department: note.department,
+      semester: note.semester,
+      subject: note.subject,
+      fileType: note.fileType
+    })
+  })
+);
+
+// ZIP of every question paper matching the PYQs page filters
+app.get(
+  '/api/pyqs/archive',
+  archiveFilterRules,
+  catalogArchiveRoute({
+    Model: PYQ,
+    name: 'StudyMatePlus PYQs',
+    describe: (paper) => ({
+      title: paper.title,
+      university: paper.university,
+      department: paper.department,
+      semester: paper.semester,
+      subject: paper.subject,
+      year: paper.year
+    })
+  })
+);
+
+// --- Notes Routes ---
+
+app.get(
+  '/api/notes',
+  [
+    query('university').optional().trim(),
+    query('department').optional().trim(),
+    query('semester').optional().isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+    query('subject').optional().trim(),
+    query('tag').optional().trim(),
+    query('search').optional().trim(),
+    query('sortBy').optional().isIn(Object.keys(CATALOG_SORTS)).withMessage('Unknown sort option.'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Express 5 re-parses req.query on every access, so read the sanitized values instead
+    const {
+      university, department, semester, subject, tag, search,
+      sortBy = 'downloads', page = 1, limit = 12
+    } = matchedData(req, { locations: ['query'] });
+
+    const filter = {};
+    if (university) filter.university = university;
+    if (department) filter.department = department;
+    if (semester) filter.semester = semester;
+    if (subject) filter.subject = subject;
+    if (tag) filter.tags = tag;
+    if (search) Object.assign(filter, noteSearchFilter(search));
+
+    try {
+      const [notes, total, [facets]] = await Promise.all([
+        findCatalogPage(Note, filter, { sort: CATALOG_SORTS[sortBy].sort, page, limit }),
+        Note.countDocuments(filter),
+        // Facets describe the whole catalog so the dropdowns never lose options
+        Note.aggregate([
+          {
+            $facet: {
+              universities: [{ $group: { _id: '$university', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              departments: [{ $group: { _id: '$department', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              semesters: [{ $group: { _id: '$semester', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              subjects: [{ $group: { _id: '$subject', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              total: [{ $count: 'count' }]
+            }
+          }
+        ])
+      ]);
+
+      res.status(200).json({
+        notes,
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+        catalogSize: facets.total.length ? facets.total[0].count : 0,
+        facets: {
+          universities: toFacet(facets.universities),
+          departments: toFacet(facets.departments),
+          semesters: toFacet(facets.semesters),
+          subjects: toFacet(facets.subjects)
+        },
+        sortOptions: Object.entries(CATALOG_SORTS).map(([value, { label }]) => ({ value, label }))
+      });
+    } catch (error) {
+      console.error('Error fetching notes:', error);
+      res.status(500).json({ message: 'Error fetching notes.' });
+    }
+  }
+);
+
+app.get(
+  '/api/notes/:id',
+  [param('id').isMongoId().withMessage('Invalid note id.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const note = await Note.findById(req.params.id);
+      if (!note) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+      res.status(200).json(note);
+    } catch (error) {
+      console.error('Error fetching note:', error);
+      res.status(500).json({ message: 'Error fetching note.' });
+    }
+  }
+);
+
+// --- Syllabus Routes ---
+
+app.get(
+  '/api/syllabi',
+  [
+    query('university').optional().trim(),
+    query('department').optional().trim(),
+    query('semester').optional().isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+    query('search').optional().trim(),
+    query('sortBy').optional().isIn(Object.keys(CATALOG_SORTS)).withMessage('Unknown sort option.'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      university, department, semester, search,
+      sortBy = 'downloads', page = 1, limit = 12
+    } = matchedData(req, { locations: ['query'] });
+
+    const filter = {};
+    if (university) filter.university = university;
+    if (department) filter.department = department;
+    if (semester) filter.semester = semester;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ title: pattern }, { 'subjects.name': pattern }, { 'subjects.code': pattern }, { tags: pattern }, { university: pattern }];
+    }
+
+    try {
+      const [syllabi, total, [facets]] = await Promise.all([
+        findCatalogPage(Syllabus, filter, { sort: CATALOG_SORTS[sortBy].sort, page, limit }),
+        Syllabus.countDocuments(filter),
+        // Like the notes facets, these describe the whole catalog
+        Syllabus.aggregate([
+          {
+            $facet: {
+              universities: [{ $group: { _id: '$university', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              departments: [{ $group: { _id: '$department', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              semesters: [{ $group: { _id: '$semester', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+              total: [{ $count: 'count' }]
+            }
+          }
+        ])
+      ]);
+
+      res.status(200).json({
+        syllabi,
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+        catalogSize: facets.total.length ? facets.total[0].count : 0,
+        facets: {
+          universities: toFacet(facets.universities),
+          departments: toFacet(facets.departments),
+          semesters: toFacet(facets.semesters)
+        },
+        sortOptions: Object.entries(CATALOG_SORTS).map(([value, { label }]) => ({ value, label }))
+      });
+    } catch (error) {
+      console.error('Error fetching syllabi:', error);
+      res.status(500).json({ message: 'Error fetching syllabi.' });
+    }
+  }
+);
+
+const MAX_SYLLABUS_SUBJECTS = 20;
+const MAX_SYLLABUS_UNITS = 12;
+const MAX_SYLLABUS_TOPICS = 40;
+
+const syllabusIdRule = param('id').isMongoId().withMessage('Invalid syllabus id.');
+
+// The catalog details plus the subject → unit → topic tree; download counts and ratings are not editable
+const syllabusRules = [
+  body('title').isString().trim().notEmpty().withMessage('Title cannot be empty.').isLength({ max: 150 }).withMessage('Title is too long.'),
+  body('university').isString().trim().notEmpty().withMessage('University cannot be empty.').isLength({ max: 120 }),
+  body('department').isString().trim().notEmpty().withMessage('Department cannot be empty.').isLength({ max: 120 }),
+  body('semester').isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+  body('academicYear').optional({ values: 'falsy' }).isString().trim()
+    .matches(/^\d{4}(-\d{2}|-\d{4})?$/).withMessage('Academic years look like 2024 or 2024-25.'),
+  body('difficulty').optional().isIn(['Beginner', 'Intermediate', 'Advanced']).withMessage('Unknown difficulty.'),
+  body('tags').optional().isArray({ max: 10 }).withMessage('Use at most 10 tags.'),
+  body('tags.*').isString().trim().notEmpty().isLength({ max: 40 }).withMessage('Tags are limited to 40 characters.'),
+  body('link').optional({ values: 'falsy' }).isString().trim()
+    .matches(/^(\/|https?:\/\/)/).withMessage('Links must be a site path or an http(s) URL.').isLength({ max: 500 }),
+  body('subjects').isArray({ min: 1, max: MAX_SYLLABUS_SUBJECTS }).withMessage(`List between 1 and ${MAX_SYLLABUS_SUBJECTS} subjects.`),
+  body('subjects.*.code').optional({ values: 'falsy' }).isString().trim().isLength({ max: 20 }).withMessage('Subject codes are limited to 20 characters.'),
+  body('subjects.*.name').isString().trim().notEmpty().withMessage('Every subject needs a name.').isLength({ max: 120 }),
+  body('subjects.*.credits').optional({ values: 'null' }).isFloat({ min: 0, max: 30 }).withMessage('Credits must be between 0 and 30.').toFloat(),
+  body(['subjects.*.hours.lecture', 'subjects.*.hours.tutorial', 'subjects.*.hours.practical'])
+    .optional({ values: 'null' }).isInt({ min: 0, max: 20 }).withMessage('L-T-P hours must be between 0 and 20 a week.').toInt(),
+  body('subjects.*.units').optional().isArray({ max: MAX_SYLLABUS_UNITS }).withMessage(`A subject holds at most ${MAX_SYLLABUS_UNITS} units.`),
+  body('subjects.*.units.*.title').isString().trim().notEmpty().withMessage('Every unit needs a title.').isLength({ max: 200 }),
+  body('subjects.*.units.*.topics').optional().isArray({ max: MAX_SYLLABUS_TOPICS }).withMessage(`A unit holds at most ${MAX_SYLLABUS_TOPICS} topics.`),
+  body('subjects.*.units.*.topics.*.title').isString().trim().notEmpty().withMessage('Every topic needs a title.').isLength({ max: 200 }),
+  body('subjects.*.units.*.topics.*.hours').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('Topic hours must be between 0 and 100.').toFloat()
+];
+
+// Only the editable fields are stored, whatever else the client sends
+const toSyllabusFields = ({ title, university, department, semester, academicYear, difficulty, tags, link, subjects }) => ({
+  title,
+  university,
+  department,
+  semester,
+  academicYear: academicYear || undefined,
+  ...(difficulty && { difficulty }),
+  ...(tags && { tags }),
+  // An upload's file link is kept unless a new one is sent
+  ...(link && { link }),
+  subjects: subjects.map(({ code, name, credits, hours = {}, units = [] }) => ({
+    code: code || undefined,
+    name,
+    credits,
+    hours: { lecture: hours.lecture || 0, tutorial: hours.tutorial || 0, practical: hours.practical || 0 },
+    units: units.map((unit) => ({
+      title: unit.title,
+      topics: (unit.topics || []).map((topic) => ({ title: topic.title, hours: topic.hours }))
+    }))
+  }))
+});
+
+// --- Syllabus comparison: what changed between two structured syllabi, subject by subject ---
+
+const toSyllabusSummary = ({ _id, title, university, department, semester, academicYear }) => ({ _id, title, university, department, semester, academicYear });
+
+app.get(
+  '/api/syllabi/compare',
+  [
+    query('from').isMongoId().withMessage('Choose the syllabus to compare from.'),
+    query('to').isMongoId().withMessage('Choose the syllabus to compare with.')
+      .custom((to, { req }) => to !== req.query.from).withMessage('Choose two different syllabi.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { from, to } = matchedData(req, { locations: ['query'] });
+      const [fromSyllabus, toSyllabus] = await Promise.all([Syllabus.findById(from).lean(), Syllabus.findById(to).lean()]);
+      if (!fromSyllabus || !toSyllabus) {
+        return res.status(404).json({ message: 'Syllabus not found.' });
+      }
+      res.status(200).json({
+        from: toSyllabusSummary(fromSyllabus),
+        to: toSyllabusSummary(toSyllabus),
+        ...diffSyllabi(fromSyllabus, toSyllabus)
+      });
+    } catch (error) {
+      console.error('Error comparing syllabi:', error);
+      res.status(500).json({ message: 'Error comparing syllabi.' });
+    }
+  }
+);
+
+app.get(
+  '/api/syllabi/:id',
+  [syllabusIdRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const syllabus = await Syllabus.findById(req.params.id);
+      if (!syllabus) {
+        return res.status(404).json({ message: 'Syllabus not found.' });
+      }
+      res.status(200).json(syllabus);
+    } catch (error) {
+      console.error('Error fetching syllabus:', error);
+      res.status(500).json({ message: 'Error fetching syllabus.' });
+    }
+  }
+);
+
+// Moderators add structured syllabi straight to the catalog
+app.post(
+  '/api/syllabi',
+  requireModerator,
+  syllabusRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const syllabus = await Syllabus.create(toSyllabusFields(matchedData(req, { locations: ['body'] })));
+      res.status(201).json(syllabus);
+    } catch (error) {
+      console.error('Error creating syllabus:', error);
+      res.status(500).json({ message: 'Failed to create syllabus.' });
+    }
+  }
+);
+
+// Replaces a syllabus's details and its whole subject tree
+app.put(
+  '/api/syllabi/:id',
+  requireModerator,
+  [syllabusIdRule, ...syllabusRules],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const syllabus = await Syllabus.findByIdAndUpdate(
+        req.params.id,
+        { $set: toSyllabusFields(matchedData(req, { locations: ['body'] })) },
+        { new: true, runValidators: true }
+      );
+      if (!syllabus) {
+        return res.status(404).json({ message: 'Syllabus not found.' });
+      }
+      res.status(200).json(syllabus);
+    } catch (error) {
+      console.error('Error updating syllabus:', error);
+      res.status(500).json({ message: 'Failed to update syllabus.' });
+    }
+  }
+);
+
+// --- Upload Routes ---
+
+app.post(
+  '/api/uploads',
+  requireAuth,
+  handleFileUpload,
+  [
+    body('title').trim().notEmpty().withMessage('Title cannot be empty.').isLength({ max: 150 }).withMessage('Title is too long.'),
+    body('category').isIn(['notes', 'syllabus', 'pyq']).withMessage('Please choose what you are uploading.'),
+    body('university').trim().notEmpty().withMessage('University cannot be empty.'),
+    body('department').trim().notEmpty().withMessage('Department cannot be empty.'),
+    body('semester').isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12.').toInt(),
+    body('subject').trim().notEmpty().withMessage('Subject cannot be empty.'),
+    body('difficulty').optional().isIn(['Beginner', 'Intermediate', 'Advanced']).withMessage('Unknown difficulty.'),
+    body('tags').optional().trim(),
+    body('year')
+      .if(body('category').equals('pyq'))
+      .isInt({ min: 1990, max: new Date().getFullYear() }).withMessage('Please give the year of the exam.').toInt()
+  ],
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please attach a file to upload.' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeStoredFile(req.file.filename);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      title, category, university, department, semester, subject,
+      difficulty, tags, year
+    } = matchedData(req, { locations: ['body'] });
+
+    try {
+      const newUpload = await Upload.create({
+        title,
+        category,
+        university,
+        department,
+        semester,
+        subject,
+        fileType: ALLOWED_FILE_TYPES[req.file.mimetype],
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        originalName: req.file.originalname,
+        storedName: req.file.filename,
+        uploader: req.user.name,
+        user: req.user._id,
+        tags: tags ? tags.split(',').map((tag) => tag.trim()).filter(Boolean) : [],
+        difficulty: difficulty || undefined,
+        year: category === 'pyq' ? year : undefined
+      });
+
+      res.status(201).json({
+        message: 'Upload received! It will appear once a moderator has reviewed it.',
+        upload: newUpload
+      });
+    } catch (error) {
+      console.error('Error saving upload:', error);
+      removeStoredFile(req.file.filename);
+      res.status(500).json({ message: 'Failed to save upload.', error: error.message });
+    }
+  }
+);
+
+app.get(
+  '/api/uploads',
+  [
+    query('uploader').optional().trim(),
+    query('category').optional().isIn(['notes', 'syllabus', 'pyq']).withMessage('Unknown category.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { uploader, category } = matchedData(req, { locations: ['query'] });
+    const filter = { ...PUBLIC_FILTER };
+    if (uploader) filter.uploader = uploader;
+    if (category) filter.category = category;
+
+    try {
+      const uploads = await Upload.find(filter).sort({ createdAt: -1 }).limit(100);
+      res.status(200).json(uploads);
+    } catch (error) {
+      console.error('Error fetching uploads:', error);
+      res.status(500).json({ message: 'Error fetching uploads.' });
+    }
+  }
+);
+
+// The signed-in user's own uploads, in every moderation status
+app.get('/api/uploads/mine', requireAuth, async (req, res) => {
+  try {
+    const uploads = await Upload.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.status(200).json(uploads);
+  } catch (error) {
+    console.error('Error fetching uploads:', error);
+    res.status(500).json({ message: 'Error fetching uploads.' });
+  }
+});
+
+// Streams the stored file; `?download=1` asks the browser to save it instead of opening it
+app.get(
+  '/api/uploads/:id/file',
+  [param('id').isMongoId().withMessage('Invalid upload id.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      // Files still in (or turned away by) the moderation queue are only for their uploader and moderators
+      const canSeeUnpublished = req.user && ['moderator', 'admin'].includes(req.user.role);
+      const filter = { _id: req.params.id };
+      if (!canSeeUnpublished) {
+        filter.$or = [PUBLIC_FILTER, ...(req.user ? [{ user: req.user._id }] : [])];
+      }
+      const stored = await Upload.findOne(filter);
+      if (!stored) {
+        return res.status(404).json({ message: 'File not found.' });
+      }
+
+      const filePath = path.join(UPLOAD_DIR, stored.storedName);
+      if (req.query.download) {
+        return res.download(filePath, stored.originalName);
+      }
+      res.type(stored.mimeType);
+      res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(stored.originalName)}"`);
+      res.sendFile(filePath);
+    } catch (error) {
+      console.error('Error sending file:', error);
+      res.status(500).json({ message: 'Error sending file.' });
+    }
+  }
+);
+
+// --- Download Routes ---
+
+// Serves any catalog file and counts the download. Guests pass the fingerprint their
+// browser keeps as `client`; without one, repeats are matched on a hash of the IP address.
+app.get(
+  '/api/files/:id/download',
+  [
+    param('id').isMongoId().withMessage('Invalid file id.'),
+    query('client').optional().isUUID().withMessage('Invalid client fingerprint.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, client } = matchedData(req, { locations: ['params', 'query'] });
+
+    try {
+      const found = await Promise.all(Object.entries(DOWNLOADABLE).map(async ([kind, Model]) => {
+        const entry = await Model.findById(id, { questions: 0 });
+        return entry && { kind, entry };
+      }));
+      const match = found.find(Boolean);
+      if (!match) {
+        return res.status(404).json({ message: 'File not found.' });
+      }
+
+      const { kind, entry } = match;
+      const stored = entry.upload && await Upload.findById(entry.upload);
+      if (!stored && !entry.link) {
+        return res.status(404).json({ message: 'This item has no file to download yet.' });
+      }
+
+      // A failed count should never cost the student their file
+      await countDownload(kind, entry, downloadClientKey(req, client)).catch((error) => console.error('Error counting download:', error));
+
+      if (stored) {
+        return res.download(path.join(UPLOAD_DIR, stored.storedName), stored.originalName);
+      }
+      // Seeded entries point at files the client serves from its public folder
+      res.redirect(/^https?:\/\//i.test(entry.link) ? entry.link : `${CLIENT_URL}${entry.link}`);
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      res.status(500).json({ message: 'Error downloading file.' });
+    }
+  }
+);
+
+// The most downloaded notes, syllabi and papers of the past week, for the Home page
+app.get(
+  '/api/trending',
+  [query('limit').optional().isInt({ min: 1, max: 12 }).withMessage('Limit must be between 1 and 12.').toInt()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { limit = 4 } = matchedData(req, { locations: ['query'] });
+    const since = trendingSince();
+
+    try {
+      const [notes, syllabi, pyqs] = await Promise.all([
+        findTrending('note', limit, since),
+        findTrending('syllabus', limit, since),
+        findTrending('pyq', limit, since)
+      ]);
+      res.status(200).json({ since, days: TRENDING_DAYS, notes, syllabi, pyqs });
+    } catch (error) {
+      console.error('Error fetching trending materials:', error);
+      res.status(500).json({ message: 'Error fetching trending materials.' });
+    }
+  }
+);
+
+// --- Review Routes ---
+
+// Catalog collections that take star ratings, keyed by review kind
+const REVIEWABLE = { note: Note, syllabus: Syllabus };
+
+const reviewTargetRules = [
+  param('kind').isIn(Review.REVIEW_KINDS).withMessage('Only notes and syllabi can be reviewed.'),
+  param('itemId').isMongoId().withMessage('Invalid item id.')
+];
+
+// Recomputes an item's average from its reviews and stores it on the catalog entry
+const refreshRating = async (kind, itemId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { item: new mongoose.Types.ObjectId(String(itemId)) } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const rating = summary
+    ? { average: Math.round(summary.average * 10) / 10, count: summary.count }
+    : { average: 0, count: 0 };
+  await REVIEWABLE[kind].updateOne({ _id: itemId }, { $set: { ratingAverage: rating.average, ratingCount: rating.count } });
+  return rating;
+};
+
+// What the preview panel shows for one review; reviewer names are all that is shared about them
+const serializeReview = (review, user) => ({
+  _id: review._id,
+  rating: review.rating,
+  text: review.text,
+  author: review.user ? review.user.name : 'Former member',
+  isMine: !!user && !!review.user && review.user._id.equals(user._id),
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+// Newest reviews first, plus the item's average and, when signed in, the caller's own review
+app.get(
+  '/api/reviews/:kind/:itemId',
+  [
+    ...reviewTargetRules,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number.').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50.').toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind, itemId, page = 1, limit = 10 } = matchedData(req, { locations: ['params', 'query'] });
+
+    try {
+      const entry = await REVIEWABLE[kind].findById(itemId, { ratingAverage: 1, ratingCount: 1 });
+      if (!entry) {
+        return res.status(404).json({ message: 'Item not found.' });
+      }
+
+      const [reviews, total, mine] = await Promise.all([
+        Review.find({ item: itemId })
+          .sort({ updatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'name'),
+        Review.countDocuments({ item: itemId }),
+        req.user ? Review.findOne({ item: itemId, user: req.user._id }).populate('user', 'name') : null
+      ]);
+
+      res.status(200).json({
+        reviews: reviews.map((review) => serializeReview(review, req.user)),
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+        average: entry.ratingAverage,
+        count: entry.ratingCount,
+        mine: mine && serializeReview(mine, req.user)
+      });
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+      res.status(500).json({ message: 'Error fetching reviews.' });
+    }
+  }
+);
+
+// Creates the caller's review of an item, or replaces the one they already left
+app.put(
+  '/api/reviews/:kind/:itemId',
+  requireAuth,
+  [
+    ...reviewTargetRules,
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Pick a rating from 1 to 5 stars.').toInt(),
+    body('text').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Reviews are limited to 500 characters.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind, itemId, rating, text = '' } = matchedData(req, { locations: ['params', 'body'] });
+
+    try {
+      if (!(await REVIEWABLE[kind].exists({ _id: itemId }))) {
+        return res.status(404).json({ message: 'Item not found.' });
+      }
+
+      const review = await Review.findOneAndUpdate(
+        { item: itemId, user: req.user._id },
+        { $set: { rating, text, updatedAt: new Date() }, $setOnInsert: { kind } },
+        { new: true, upsert: true }
+      ).populate('user', 'name');
+      const summary = await refreshRating(kind, itemId);
+
+      res.status(200).json({ review: serializeReview(review, req.user), ...summary });
+    } catch (error) {
+      console.error('Error saving review:', error);
+      res.status(500).json({ message: 'Failed to save review.' });
+    }
+  }
+);
+
+// Reviewers can take back their own review; moderators and admins can remove any
+app.delete(
+  '/api/reviews/:id',
+  requireAuth,
+  [param('id').isMongoId().withMessage('Invalid review id.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const review = await Review.findById(req.params.id);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found.' });
+      }
+      if (!review.user.equals(req.user._id) && !['moderator', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({ message: 'You do not have permission to do that.' });
+      }
+
+      await review.deleteOne();
+      const summary = await refreshRating(review.kind, review.item);
+      res.status(200).json({ message: 'Review removed.', ...summary });
+    } catch (error) {
+      console.error('Error removing review:', error);
+      res.status(500).json({ message: 'Failed to remove review.' });
+    }
+  }
+);
+
+// --- Annotation Routes ---
+
+const MAX_ANNOTATIONS_PER_NOTE = 500;
+const MAX_ANNOTATION_RECTS = 50;
+
+const ANNOTATION_LABELS = { highlight: 'Highlight', underline: 'Underline', sticky: 'Note' };
+
+const annotationNoteRule = query('note').isMongoId().withMessage('Invalid note id.');
+
+const annotationIdRule = param('id').isMongoId().withMessage('Invalid annotation id.');
+
+const annotationCommentRule = body('comment').optional({ values: 'null' }).isString().trim()
+  .isLength({ max: 1000 }).withMessage('Comments are limited to 1000 characters.');
+
+const annotationColorRule = body('color').optional().isIn(Annotation.ANNOTATION_COLORS).withMessage('Unknown colour.');
+
+// The caller's own annotation; anyone else's answers 404 so marks stay private
+const findOwnAnnotation = (req) => Annotation.findOne({ _id: req.params.id, user: req.user._id });
+
+// Markdown listing of a note's annotations, grouped by page, for GET /api/annotations/export
+const toAnnotationMarkdown = (note, annotations) => {
+  const lines = [
+    `# Annotations: ${note.title}`,
+    '',
+    `${note.subject} • ${note.university} — exported ${new Date().toISOString().slice(0, 10)}`
+  ];
+  let page = null;
+  annotations.forEach((annotation) => {
+    if (annotation.page !== page) {
+      page = annotation.page;
+      lines.push('', `## Page ${page}`);
+    }
+    lines.push('');
+    if (annotation.text) lines.push(...annotation.text.split('\n').map((line) => `> ${line}`), '');
+    const label = ANNOTATION_LABELS[annotation.type];
+    lines.push(annotation.comment ? `**${label}:** ${annotation.comment}` : `*${label}*`);
+  });
+  if (!annotations.length) lines.push('', '_No annotations yet._');
+  return `${lines.join('\n')}\n`;
+};
+
+app.get(
+  '/api/annotations',
+  requireAuth,
+  [annotationNoteRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { note } = matchedData(req, { locations: ['query'] });
+    try {
+      const annotations = await Annotation.find({ user: req.user._id, note }).sort({ page: 1, createdAt: 1 });
+      res.status(200).json(annotations);
+    } catch (error) {
+      console.error('Error fetching annotations:', error);
+      res.status(500).json({ message: 'Error fetching annotations.' });
+    }
+  }
+);
+
+// The caller's annotations on a note as a Markdown file
+app.get(
+  '/api/annotations/export',
+  requireAuth,
+  [annotationNoteRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { note: noteId } = matchedData(req, { locations: ['query'] });
+    try {
+      const note = await Note.findById(noteId);
+      if (!note) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+      const annotations = await Annotation.find({ user: req.user._id, note: noteId }).sort({ page: 1, createdAt: 1 });
+
+      res.attachment(`${toArchiveName(note.title)} - annotations.md`);
+      res.type('text/markdown');
+      res.status(200).send(toAnnotationMarkdown(note, annotations));
+    } catch (error) {
+      console.error('Error exporting annotations:', error);
+      res.status(500).json({ message: 'Failed to export annotations.' });
+    }
+  }
+);
+
+// Highlights and underlines need the rectangles of the text they cover; sticky notes need a comment
+app.post(
+  '/api/annotations',
+  requireAuth,
+  [
+    body('note').isMongoId().withMessage('Invalid note id.'),
+    body('type').isIn(Annotation.ANNOTATION_TYPES).withMessage('Unknown annotation type.'),
+    body('page').isInt({ min: 1 }).withMessage('Page must be a positive number.').toInt(),
+    body('rects')
+      .isArray({ min: 1, max: MAX_ANNOTATION_RECTS }).withMessage(`Send between 1 and ${MAX_ANNOTATION_RECTS} rectangles.`),
+    body(['rects.*.x', 'rects.*.y', 'rects.*.width', 'rects.*.height'])
+      .isFloat({ min: 0, max: 1 }).withMessage('Rectangles are measured as fractions of the page.').toFloat(),
+    annotationColorRule,
+    body('text').optional({ values: 'null' }).isString().trim()
+      .isLength({ max: 2000 }).withMessage('Highlighted text is limited to 2000 characters.'),
+    annotationCommentRule,
+    body('comment').if(body('type').equals('sticky'))
+      .trim().notEmpty().withMessage('Write something for the sticky note.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { note, type, page, rects, color, text = '', comment = '' } = matchedData(req, { locations: ['body'] });
+
+    try {
+      if (!(await Note.exists({ _id: note }))) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+      if (await Annotation.countDocuments({ user: req.user._id, note }) >= MAX_ANNOTATIONS_PER_NOTE) {
+        return res.status(400).json({ message: `A note can hold at most ${MAX_ANNOTATIONS_PER_NOTE} of your annotations.` });
+      }
+
+      const annotation = await Annotation.create({
+        user: req.user._id,
+        note,
+        type,
+        page,
+        // Sticky notes are pinned at a point, so only the first rectangle's corner matters
+        rects: type === 'sticky' ? rects.slice(0, 1).map(({ x, y }) => ({ x, y })) : rects,
+        color,
+        text: type === 'sticky' ? '' : text,
+        comment
+      });
+      res.status(201).json(annotation);
+    } catch (error) {
+      console.error('Error saving annotation:', error);
+      res.status(500).json({ message: 'Failed to save annotation.' });
+    }
+  }
+);
+
+// Only the comment and colour of an annotation can change; marks are redrawn by deleting them
+app.patch(
+  '/api/annotations/:id',
+  requireAuth,
+  [annotationIdRule, annotationCommentRule, annotationColorRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = matchedData(req, { locations: ['body'] });
+    try {
+      const annotation = await findOwnAnnotation(req);
+      if (!annotation) {
+        return res.status(404).json({ message: 'Annotation not found.' });
+      }
+      if (annotation.type === 'sticky' && changes.comment === '') {
+        return res.status(400).json({ message: 'Write something for the sticky note, or delete it.' });
+      }
+
+      Object.assign(annotation, changes, { updatedAt: new Date() });
+      await annotation.save();
+      res.status(200).json(annotation);
+    } catch (error) {
+      console.error('Error updating annotation:', error);
+      res.status(500).json({ message: 'Failed to update annotation.' });
+    }
+  }
+);
+
+app.delete(
+  '/api/annotations/:id',
+  requireAuth,
+  [annotationIdRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const annotation = await findOwnAnnotation(req);
+      if (!annotation) {
+        return res.status(404).json({ message: 'Annotation not found.' });
+      }
+      await annotation.deleteOne();
+      res.status(200).json({ message: 'Annotation removed.' });
+    } catch (error) {
+      console.error('Error removing annotation:', error);
+      res.status(500).json({ message: 'Failed to remove annotation.' });
+    }
+  }
+);
+
+// --- Bookmark Routes ---
+
+const MAX_MERGED_BOOKMARKS = 200;
+
+// Validation for one bookmark; `prefix` is '' for a single body or e.g. 'bookmarks.*.' inside a list
+const bookmarkRules = (prefix = '') => [
+  body(`${prefix}kind`).isIn(Bookmark.BOOKMARK_KINDS).withMessage('Unknown bookmark type.'),
+  body(`${prefix}itemId`).isString().trim().notEmpty().withMessage('Item id is required.').isLength({ max: 64 }),
+  body(`${prefix}title`).isString().trim().notEmpty().withMessage('Title is required.').isLength({ max: 200 }),
+  body(`${prefix}subtitle`).optional({ values: 'null' }).isString().trim().isLength({ max: 200 }),
+  body(`${prefix}link`).optional({ values: 'falsy' }).isString().trim()
+    .matches(/^(\/|https?:\/\/)/).withMessage('Links must be a site path or an http(s) URL.').isLength({ max: 500 })
+];
+
+// Only the snapshot fields are ever stored, whatever else the client sends
+const toBookmarkFields = ({ kind, itemId, title, subtitle, link }) => ({ kind, itemId, title, subtitle, link });
+
+// The signed-in user's bookmarks, newest first, optionally of one kind
+app.get(
+  '/api/bookmarks',
+  requireAuth,
+  [query('kind').optional().isIn(Bookmark.BOOKMARK_KINDS).withMessage('Unknown bookmark type.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind } = matchedData(req, { locations: ['query'] });
+    try {
+      const bookmarks = await Bookmark.find({ user: req.user._id, ...(kind && { kind }) }).sort({ createdAt: -1 });
+      res.status(200).json(bookmarks);
+    } catch (error) {
+      console.error('Error fetching bookmarks:', error);
+      res.status(500).json({ message: 'Error fetching bookmarks.' });
+    }
+  }
+);
+
+// Saving an item twice just refreshes its snapshot
+app.post(
+  '/api/bookmarks',
+  requireAuth,
+  bookmarkRules(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = toBookmarkFields(matchedData(req, { locations: ['body'] }));
+    try {
+      const bookmark = await Bookmark.findOneAndUpdate(
+        { user: req.user._id, kind: fields.kind, itemId: fields.itemId },
+        { $set: fields },
+        { new: true, upsert: true }
+      );
+      res.status(201).json(bookmark);
+    } catch (error) {
+      console.error('Error saving bookmark:', error);
+      res.status(500).json({ message: 'Failed to save bookmark.' });
+    }
+  }
+);
+
+// Folds the bookmarks a guest saved in this browser into their account after signing in.
+// Existing bookmarks win, so an old snapshot never overwrites a newer one.
+app.post(
+  '/api/bookmarks/merge',
+  requireAuth,
+  [
+    body('bookmarks').isArray({ max: MAX_MERGED_BOOKMARKS }).withMessage(`Send at most ${MAX_MERGED_BOOKMARKS} bookmarks.`),
+    ...bookmarkRules('bookmarks.*.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookmarks } = matchedData(req, { locations: ['body'] });
+    try {
+      if (bookmarks.length > 0) {
+        await Bookmark.bulkWrite(bookmarks.map((item) => {
+          const fields = toBookmarkFields(item);
+          return {
+            updateOne: {
+              filter: { user: req.user._id, kind: fields.kind, itemId: fields.itemId },
+              update: { $setOnInsert: fields },
+              upsert: true
+            }
+          };
+        }));
+      }
+      const merged = await Bookmark.find({ user: req.user._id }).sort({ createdAt: -1 });
+      res.status(200).json(merged);
+    } catch (error) {
+      console.error('Error merging bookmarks:', error);
+      res.status(500).json({ message: 'Failed to merge bookmarks.' });
+    }
+  }
+);
+
+app.delete(
+  '/api/bookmarks/:kind/:itemId',
+  requireAuth,
+  [
+    param('kind').isIn(Bookmark.BOOKMARK_KINDS).withMessage('Unknown bookmark type.'),
+    param('itemId').notEmpty().isLength({ max: 64 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { kind, itemId } = req.params;
+      const deleted = await Bookmark.findOneAndDelete({ user: req.user._id, kind, itemId });
+      if (!deleted) {
+        return res.status(404).json({ message: 'Bookmark not found.' });
+      }
+      res.status(200).json({ message: 'Bookmark removed.' });
+    } catch (error) {
+      console.error('Error removing bookmark:', error);
+      res.status(500).json({ message: 'Failed to remove bookmark.' });
+    }
+  }
+);
+
+// --- Progress Routes ---
+
+const MAX_PROGRESS_SUBJECTS = 30;
+const MAX_PROGRESS_UNITS = 20;
+const MAX_PROGRESS_TOPICS = 60;
+const MAX_MERGED_TRACKERS = 50;
+
+const progressSyllabusRule = param('syllabusId').isMongoId().withMessage('Invalid syllabus id.');
+
+// Validation for one tracker's subject → unit → topic tree; `prefix` is '' for a single body or e.g. 'trackers.*.'
+const progressTreeRules = (prefix = '') => [
+  body(`${prefix}subjects`).isArray({ max: MAX_PROGRESS_SUBJECTS }).withMessage(`A tracker holds at most ${MAX_PROGRESS_SUBJECTS} subjects.`),
+  body(`${prefix}subjects.*.name`).isString().trim().notEmpty().withMessage('Subject names are required.').isLength({ max: 120 }),
+  body(`${prefix}subjects.*.units`).optional().isArray({ max: MAX_PROGRESS_UNITS }).withMessage(`A subject holds at most ${MAX_PROGRESS_UNITS} units.`),
+  body(`${prefix}subjects.*.units.*.title`).isString().trim().notEmpty().withMessage('Unit titles are required.').isLength({ max: 120 }),
+  body(`${prefix}subjects.*.units.*.topics`).optional().isArray({ max: MAX_PROGRESS_TOPICS }).withMessage(`A unit holds at most ${MAX_PROGRESS_TOPICS} topics.`),
+  body(`${prefix}subjects.*.units.*.topics.*.title`).isString().trim().notEmpty().withMessage('Topic titles are required.').isLength({ max: 120 }),
+  body(`${prefix}subjects.*.units.*.topics.*.done`).optional().isBoolean().toBoolean()
+];
+
+// Only the tree itself is stored, whatever else the client sends along
+const toProgressSubjects = (subjects) => subjects.map(({ name, units = [] }) => ({
+  name,
+  units: units.map(({ title, topics = [] }) => ({
+    title,
+    topics: topics.map((topic) => ({ title: topic.title, done: !!topic.done }))
+  }))
+}));
+
+// The signed-in user's trackers, most recently studied first
+app.get('/api/progress', requireAuth, async (req, res) => {
+  try {
+    const trackers = await SyllabusProgress.find({ user: req.user._id }).sort({ updatedAt: -1 });
+    res.status(200).json(trackers);
+  } catch (error) {
+    console.error('Error fetching progress:', error);
+    res.status(500).json({ message: 'Error fetching progress.' });
+  }
+});
+
+// Adopts a syllabus, or saves the latest state of a tracker already adopted
+app.put(
+  '/api/progress/:syllabusId',
+  requireAuth,
+  [progressSyllabusRule, ...progressTreeRules()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { syllabusId, subjects } = matchedData(req, { locations: ['params', 'body'] });
+    try {
+      const syllabus = await Syllabus.findById(syllabusId, { title: 1, university: 1 });
+      if (!syllabus) {
+        return res.status(404).json({ message: 'Syllabus not found.' });
+      }
+
+      const tracker = await SyllabusProgress.findOneAndUpdate(
+        { user: req.user._id, syllabus: syllabusId },
+        {
+          $set: { title: syllabus.title, university: syllabus.university, subjects: toProgressSubjects(subjects), updatedAt: new Date() },
+          $setOnInsert: { adoptedAt: new Date() }
+        },
+        { new: true, upsert: true }
+      );
+      res.status(200).json(tracker);
+    } catch (error) {
+      console.error('Error saving progress:', error);
+      res.status(500).json({ message: 'Failed to save progress.' });
+    }
+  }
+);
+
+// Folds the trackers a guest kept in this browser into their account after signing in.
+// For a syllabus tracked in both places, whichever copy was updated last wins. Trackers adopted
+// while the Syllabus page showed its built-in list are keyed by that list's ids instead; they
+// are matched to the catalog by title.
+app.post(
+  '/api/progress/merge',
+  requireAuth,
+  [
+    body('trackers').isArray({ max: MAX_MERGED_TRACKERS }).withMessage(`Send at most ${MAX_MERGED_TRACKERS} trackers.`),
+    body('trackers.*.syllabus').isString().matches(/^[\w-]{1,64}$/).withMessage('Invalid syllabus id.'),
+    body('trackers.*.title').optional().isString().trim().isLength({ max: 200 }),
+    body(['trackers.*.adoptedAt', 'trackers.*.updatedAt']).optional().isISO8601().withMessage('Invalid date.').toDate(),
+    ...progressTreeRules('trackers.*.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { trackers } = matchedData(req, { locations: ['body'] });
+    try {
+      const isCatalogId = (key) => /^[a-f\d]{24}$/i.test(key);
+      const listTitles = trackers.filter((tracker) => !isCatalogId(tracker.syllabus) && tracker.title).map((tracker) => tracker.title);
+      const listMatches = listTitles.length > 0 ? await Syllabus.find({ title: { $in: listTitles } }, { title: 1 }) : [];
+      const idsByTitle = new Map(listMatches.map((syllabus) => [syllabus.title, syllabus._id.toString()]));
+
+      const incoming = new Map(trackers
+        .map((tracker) => [isCatalogId(tracker.syllabus) ? tracker.syllabus : idsByTitle.get(tracker.title), tracker])
+        .filter(([id]) => id));
+      const ids = [...incoming.keys()];
+      const [syllabi, existing] = await Promise.all([
+        Syllabus.find({ _id: { $in: ids } }, { title: 1, university: 1 }),
+        SyllabusProgress.find({ user: req.user._id, syllabus: { $in: ids } }, { syllabus: 1, updatedAt: 1 })
+      ]);
+      const savedAt = new Map(existing.map((tracker) => [tracker.syllabus.toString(), tracker.updatedAt]));
+
+      // Trackers for syllabi that have since been removed are dropped
+      const operations = syllabi
+        .map((syllabus) => ({ syllabus, tracker: incoming.get(syllabus._id.toString()) }))
+        .filter(({ syllabus, tracker }) => {
+          const serverCopy = savedAt.get(syllabus._id.toString());
+          return !serverCopy || (tracker.updatedAt && tracker.updatedAt > serverCopy);
+        })
+        .map(({ syllabus, tracker }) => ({
+          updateOne: {
+            filter: { user: req.user._id, syllabus: syllabus._id },
+            update: {
+              $set: {
+                title: syllabus.title,
+                university: syllabus.university,
+                subjects: toProgressSubjects(tracker.subjects),
+                updatedAt: tracker.updatedAt || new Date()
+              },
+              $setOnInsert: { adoptedAt: tracker.adoptedAt || new Date() }
+            },
+            upsert: true
+          }
+        }));
+      if (operations.length > 0) await SyllabusProgress.bulkWrite(operations);
+
+      const merged = await SyllabusProgress.find({ user: req.user._id }).sort({ updatedAt: -1 });
+      res.status(200).json(merged);
+    } catch (error) {
+      console.error('Error merging progress:', error);
+      res.status(500).json({ message: 'Failed to merge progress.' });
+    }
+  }
+);
+
+app.delete(
+  '/api/progress/:syllabusId',
+  requireAuth,
+  [progressSyllabusRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const deleted = await SyllabusProgress.findOneAndDelete({ user: req.user._id, syllabus: req.params.syllabusId });
+      if (!deleted) {
+        return res.status(404).json({ message: 'You are not tracking this syllabus.' });
+      }
+      res.status(200).json({ message: 'Stopped tracking this syllabus.' });
+    } catch (error) {
+      console.error('Error removing progress:', error);
+      res.status(500).json({ message: 'Failed to stop tracking.' });
+    }
+  }
+);
+
+// --- Collection Routes ---
+
+const MAX_COLLECTION_ITEMS = 100;
+
+// Pack entries are described the same way search results are
+const COLLECTION_SOURCES = { note: SEARCH_SOURCES.notes, syllabus: SEARCH_SOURCES.syllabi, pyq: SEARCH_SOURCES.pyqs };
+
+// `requireTitle` is false for updates, where every field is optional
+const collectionRules = ({ requireTitle }) => [
+  (requireTitle ? body('title') : body('title').optional())
+    .isString().trim().notEmpty().withMessage('Give the collection a title.')
+    .isLength({ max: 120 }).withMessage('Title is too long.'),
+  body('description').optional().isString().trim().isLength({ max: 1000 }).withMessage('Description is too long.'),
+  body('subject').optional().isString().trim().isLength({ max: 120 }),
+  body('visibility').optional().isIn(Collection.VISIBILITIES).withMessage('Visibility must be private or public.'),
+  body('items').optional().isArray({ max: MAX_COLLECTION_ITEMS }).withMessage(`A collection holds at most ${MAX_COLLECTION_ITEMS} items.`),
+  body('items.*.kind').isIn(Collection.ITEM_KINDS).withMessage('Unknown item type.'),
+  body('items.*.item').isMongoId().withMessage('Invalid item id.'),
+  body('items.*.note').optional().isString().trim().isLength({ max: 200 }).withMessage('Item notes must be under 200 characters.')
+];
+
+// Keeps the known fields of each entry and drops repeats, preserving the order they were sent in
+const toCollectionItems = (items) => {
+  const seen = new Set();
+  return items
+    .map(({ kind, item, note }) => ({ kind, item, note }))
+    .filter(({ kind, item }) => {
+      const key = `${kind}:${item}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Looks up what each entry points at; entries whose material was removed stay in place, flagged as missing
+const resolveCollectionItems = async (items) => {
+  const found = await Promise.all(Object.entries(COLLECTION_SOURCES).map(async ([kind, { Model, filter, toResult }]) => {
+    const ids = items.filter((entry) => entry.kind === kind).map((entry) => entry.item);
+    if (ids.length === 0) return [];
+    const docs = await Model.find({ ...filter, _id: { $in: ids } }).lean();
+    return docs.map((doc) => [`${kind}:${doc._id}`, toResult(doc)]);
+  }));
+  const byKey = new Map(found.flat());
+
+  return items.map(({ kind, item, note }) => {
+    const resolved = byKey.get(`${kind}:${item}`);
+    return resolved
+      ? { kind, itemId: item, note, ...resolved }
+      : { kind, itemId: item, note, title: 'No longer available', subtitle: null, link: null, missing: true };
+  });
+};
+
+const isCollectionOwner = (collection, user) => !!user && collection.owner._id.equals(user._id);
+
+const serializeCollection = async (collection, user) => ({
+  ...collection.toObject(),
+  items: await resolveCollectionItems(collection.items),
+  isOwner: isCollectionOwner(collection, user)
+});
+
+const collectionIdRule = param('id').isMongoId().withMessage('Invalid collection id.');
+
+// The signed-in user's packs, most recently edited first (items are not resolved here)
+app.get('/api/collections/mine', requireAuth, async (req, res) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id }).sort({ updatedAt: -1 });
+    res.status(200).json(collections);
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ message: 'Error fetching collections.' });
+  }
+});
+
+// Private packs answer 404 to everyone but their owner, so their existence is not leaked
+app.get(
+  '/api/collections/:id',
+  [collectionIdRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const collection = await Collection.findById(req.params.id).populate('owner', 'name');
+      if (!collection || (collection.visibility !== 'public' && !isCollectionOwner(collection, req.user))) {
+        return res.status(404).json({ message: 'Collection not found.' });
+      }
+      res.status(200).json(await serializeCollection(collection, req.user));
+    } catch (error) {
+      console.error('Error fetching collection:', error);
+      res.status(500).json({ message: 'Error fetching collection.' });
+    }
+  }
+);
+
+// ZIP of a pack's files in pack order; every file in it counts as a download of that item
+app.get(
+  '/api/collections/:id/archive',
+  [collectionIdRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const collection = await Collection.findById(req.params.id).populate('owner', 'name');
+      if (!collection || (collection.visibility !== 'public' && !isCollectionOwner(collection, req.user))) {
+        return res.status(404).json({ message: 'Collection not found.' });
+      }
+
+      const found = await Promise.all(Object.entries(COLLECTION_SOURCES).map(async ([kind, { Model, filter }]) => {
+        const ids = collection.items.filter((entry) => entry.kind === kind).map((entry) => entry.item);
+        if (ids.length === 0) return [];
+        const docs = await Model.find({ ...filter, _id: { $in: ids } }, { questions: 0 }).lean();
+        return docs.map((doc) => [`${kind}:${doc._id}`, { ...doc, kind }]);
+      }));
+      const byKey = new Map(found.flat());
+      const entries = collection.items.map(({ kind, item }) => byKey.get(`${kind}:${item}`)).filter(Boolean);
+      if (entries.length === 0) {
+        return res.status(404).json({ message: 'This collection has nothing to download yet.' });
+      }
+
+      const included = await sendCatalogArchive(res, {
+        name: toArchiveName(collection.title),
+        filters: { collection: collection._id },
+        entries,
+        describe: (entry) => ({ kind: entry.kind, title: entry.title }),
+        toPath: (entry, index) => `${String(index + 1).padStart(2, '0')} ${toArchiveName(entry.title)}`
+      });
+      const clientKey = downloadClientKey(req);
+      await Promise.all(included.map((entry) => countDownload(entry.kind, entry, clientKey)))
+        .catch((error) => console.error('Error counting download:', error));
+    } catch (error) {
+      console.error('Error archiving collection:', error);
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({ message: 'Failed to prepare the download.' });
+    }
+  }
+);
+
+app.post(
+  '/api/collections',
+  requireAuth,
+  collectionRules({ requireTitle: true }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, subject, visibility, items = [] } = matchedData(req, { locations: ['body'] });
+    try {
+      const collection = await Collection.create({
+        owner: req.user._id,
+        title,
+        description,
+        subject,
+        visibility,
+        items: toCollectionItems(items)
+      });
+      await collection.populate('owner', 'name');
+      res.status(201).json(await serializeCollection(collection, req.user));
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      res.status(500).json({ message: 'Failed to create collection.' });
+    }
+  }
+);
+
+// Owners edit details, visibility and the ordered item list; `items` replaces the whole list
+app.put(
+  '/api/collections/:id',
+  requireAuth,
+  [collectionIdRule, ...collectionRules({ requireTitle: false })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, ...details } = matchedData(req, { locations: ['body'] });
+    try {
+      const collection = await Collection.findById(req.params.id).populate('owner', 'name');
+      if (!collection || !isCollectionOwner(collection, req.user)) {
+        return res.status(404).json({ message: 'Collection not found.' });
+      }
+
+      collection.set(details);
+      if (items) collection.items = toCollectionItems(items);
+      collection.updatedAt = new Date();
+      await collection.save();
+      res.status(200).json(await serializeCollection(collection, req.user));
+    } catch (error) {
+      console.error('Error updating collection:', error);
+      res.status(500).json({ message: 'Failed to update collection.' });
+    }
+  }
+);
+
+// Owners can delete their packs; moderators can remove anyone's
+app.delete(
+  '/api/collections/:id',
+  requireAuth,
+  [collectionIdRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const collection = await Collection.findById(req.params.id);
+      const canDelete = collection
+        && (collection.owner.equals(req.user._id) || ['moderator', 'admin'].includes(req.user.role));
+      if (!canDelete) {
+        return res.status(404).json({ message: 'Collection not found.' });
+      }
+      await collection.deleteOne();
+      res.status(200).json({ message: 'Collection deleted.' });
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      res.status(500).json({ message: 'Failed to delete collection.' });
+    }
+  }
+);
+
+// --- Delete Routes ---
+
+app.delete(
+  '/api/feedbacks/:id',
+  requireModerator,
+  [param('id').isMongoId().withMessage('Invalid feedback id.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const deleted = await Feedback.findByIdAndDelete(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ message: 'Feedback not found.' });
+      }
+      await FeedbackVote.deleteMany({ feedback: deleted._id });
+      res.status(200).json({ message: 'Feedback deleted.' });
+    } catch (error) {
+      console.error('Error deleting feedback:', error);
+      res.status(500).json({ message: 'Failed to delete feedback.' });
+    }
+  }
+);
+
+// Removes the upload record, its file on disk and any catalog entry made from it
+app.delete(
+  '/api/uploads/:id',
+  requireModerator,
+  [param('id').isMongoId().withMessage('Invalid upload id.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const deleted = await Upload.findByIdAndDelete(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ message: 'Upload not found.' });
+      }
+      await unpublishUploads([deleted._id]);
+      removeStoredFile(deleted.storedName);
+      res.status(200).json({ message: 'Upload deleted.' });
+    } catch (error) {
+      console.error('Error deleting upload:', error);
+      res.status(500).json({ message: 'Failed to delete upload.' });
+    }
+  }
+);
+
+app.delete(
+  '/api/notes/:id',
+  requireRole('admin'),
+  [param('id').isMongoId().withMessage('Invalid note id.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const deleted = await Note.findByIdAndDelete(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+      await Review.deleteMany({ item: deleted._id });
+      await Annotation.deleteMany({ note: deleted._id });
+      res.status(200).json({ message: 'Note deleted.' });
+    } catch (error) {
+      console.error('Error deleting note:', error);
+      res.status(500).json({ message: 'Failed to delete note.' });
+    }
+  }
+);
+
+app.delete(
+  '/api/syllabi/:id',
+  requireRole('admin'),
+  [param('id').isMongoId().withMessage('Invalid syllabus id.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const deleted = await Syllabus.findByIdAndDelete(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ message: 'Syllabus not found.' });
+      }
+      await Review.deleteMany({ item: deleted._id });
+      await SyllabusProgress.deleteMany({ syllabus: deleted._id });
+      res.status(200).json({ message: 'Syllabus deleted.' });
+    } catch (error) {
+      console.error('Error deleting syllabus:', error);
+      res.status(500).json({ message: 'Failed to delete syllabus.' });
+    }
+  }
+);
+
+// --- Moderation Routes ---
+
+app.get(
+  '/api/moderation/queue',
+  requireModerator,
+  [
+    query('type').optional().isIn(Object.keys(MODERATED_MODELS)).withMessage('Unknown content type.'),
+    query('status').optional().isIn(MODERATION_STATUSES).withMessage('Unknown status.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, status = 'pending' } = matchedData(req, { locations: ['query'] });
+    const types = type ? [type] : Object.keys(MODERATED_MODELS);
+
+    try {
+      const results = await Promise.all(
+        types.map((key) => MODERATED_MODELS[key].find({ status }).sort({ createdAt: 1 }).limit(100))
+      );
+      const queue = {};
+      types.forEach((key, index) => { queue[key] = results[index]; });
+      res.status(200).json(queue);
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+      res.status(500).json({ message: 'Error fetching moderation queue.' });
+    }
+  }
+);
+
+app.patch(
+  '/api/moderation/:type/:id',
+  requireModerator,
+  [
+    param('type').isIn(Object.keys(MODERATED_MODELS)).withMessage('Unknown content type.'),
+    param('id').isMongoId().withMessage('Invalid id.'),
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected.'),
+    body('reason')
+      .if(body('status').equals('rejected'))
+      .trim().notEmpty().withMessage('Please give a reason for the rejection.'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason is too long.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, id } = req.params;
+    const { status, reason } = matchedData(req, { locations: ['body'] });
+
+    try {
+      const item = await MODERATED_MODELS[type].findByIdAndUpdate(
+        id,
+        { status, moderationReason: reason || undefined, reviewedAt: new Date() },
+        { new: true }
+      );
+      if (!item) {
+        return res.status(404).json({ message: 'Item not found.' });
+      }
+
+      // Re-approving reported feedback clears its reports so it isn't hidden again straight away
+      if (type === 'feedback' && status === 'approved' && item.reportCount) {
+        await FeedbackVote.deleteMany({ feedback: item._id, kind: 'report' });
+        item.reportCount = 0;
+        await item.save();
+      }
+
+      if (type === 'uploads') {
+        // Keep the Notes and PYQ catalogs in step with the decision
+        const publish = CATALOG_PUBLISHERS[item.category];
+        if (publish) {
+          if (status === 'approved') await publish(item);
+          else await unpublishUploads([item._id]);
+        }
+        // A student's first approved upload makes them a contributor
+        if (status === 'approved' && item.user) {
+          await User.updateOne({ _id: item.user, role: 'student' }, { role: 'contributor' });
+        }
+      }
+
+      res.status(200).json({ message: `Item ${status}.`, item });
+    } catch (error) {
+      console.error('Error moderating item:', error);
+      res.status(500).json({ message: 'Failed to update item.', error: error.message });
+    }
+  }
+);
+
+// --- Admin Routes ---
+
+app.get(
+  '/api/admin/feedback',
+  requireModerator,
+  [
+    ...adminListRules,
+    query('status').optional().isIn(MODERATION_STATUSES).withMessage('Unknown status.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, status, page, limit } = matchedData(req, { locations: ['query'] });
+    const filter = searchFilter(search, ADMIN_COLLECTIONS.feedback.searchFields);
+    if (status) filter.status = status;
+
+    try {
+      res.status(200).json(await paginate(Feedback, filter, { page, limit }));
+    } catch (error) {
+      console.error('Error fetching feedback:', error);
+      res.status(500).json({ message: 'Error fetching feedback.' });
+    }
+  }
+);
+
+app.get(
+  '/api/admin/uploads',
+  requireModerator,
+  [
+    ...adminListRules,
+    query('status').optional().isIn(MODERATION_STATUSES).withMessage('Unknown status.'),
+    query('category').optional().isIn(['notes', 'syllabus', 'pyq']).withMessage('Unknown category.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, status, category, page, limit } = matchedData(req, { locations: ['query'] });
+    const filter = searchFilter(search, ADMIN_COLLECTIONS.uploads.searchFields);
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+
+    try {
+      res.status(200).json(await paginate(Upload, filter, { page, limit }));
+    } catch (error) {
+      console.error('Error fetching uploads:', error);
+      res.status(500).json({ message: 'Error fetching uploads.' });
+    }
+  }
+);
+
+app.get(
+  '/api/admin/users',
+  requireRole('admin'),
+  [
+    ...adminListRules,
+    query('role').optional().isIn(User.ROLES).withMessage('Unknown role.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, role, page, limit } = matchedData(req, { locations: ['query'] });
+    const filter = searchFilter(search, ADMIN_COLLECTIONS.users.searchFields);
+    if (role) filter.role = role;
+
+    try {
+      res.status(200).json(await paginate(User, filter, { page, limit }));
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({ message: 'Error fetching users.' });
+    }
+  }
+);
+
+app.patch(
+  '/api/admin/users/:id/role',
+  requireRole('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid user id.'),
+    body('role').isIn(User.ROLES).withMessage('Unknown role.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Stops the last admin from locking everyone out by demoting themselves
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role.' });
+    }
+
+    try {
+      const user = await User.findByIdAndUpdate(req.params.id, { role: req.body.role }, { new: true });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found.' });
+      }
+      res.status(200).json({ message: `${user.name} is now ${user.role}.`, user });
+    } catch (error) {
+      console.error('Error changing role:', error);
+      res.status(500).json({ message: 'Failed to change role.' });
+    }
+  }
+);
+
+// Deletes many documents at once; users can only be removed by admins
+app.post(
+  '/api/admin/:type/bulk-delete',
+  requireModerator,
+  [
+    param('type').isIn(Object.keys(ADMIN_COLLECTIONS)).withMessage('Unknown content type.'),
+    body('ids').isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 items.'),
+    body('ids.*').isMongoId().withMessage('Invalid id.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type } = req.params;
+    if (type === 'users' && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You do not have permission to do that.' });
+    }
+    // Admins never delete their own account from the dashboard
+    const ids = type === 'users'
+      ? req.body.ids.filter((id) => id !== req.user._id.toString())
+      : req.body.ids;
+
+    try {
+      const { Model } = ADMIN_COLLECTIONS[type];
+      // Uploads take their files and catalog entries with them
+      if (type === 'uploads') {
+        const uploads = await Upload.find({ _id: { $in: ids } });
+        await unpublishUploads(ids);
+        uploads.forEach((item) => removeStoredFile(item.storedName));
+      }
+      if (type === 'feedback') await FeedbackVote.deleteMany({ feedback: { $in: ids } });
+      if (type === 'users') {
+        await Annotation.deleteMany({ user: { $in: ids } });
+        await Bookmark.deleteMany({ user: { $in: ids } });
+        await Collection.deleteMany({ owner: { $in: ids } });
+        await SyllabusProgress.deleteMany({ user: { $in: ids } });
+        // Their ratings come out of the averages they counted towards
+        const reviews = await Review.find({ user: { $in: ids } }, { kind: 1, item: 1 });
+        await Review.deleteMany({ user: { $in: ids } });
+        await Promise.all(reviews.map((review) => refreshRating(review.kind, review.item)));
+      }
+      const { deletedCount } = await Model.deleteMany({ _id: { $in: ids } });
+      res.status(200).json({ message: `Deleted ${deletedCount} item${deletedCount === 1 ? '' : 's'}.`, deletedCount });
+    } catch (error) {
+      console.error('Error deleting items:', error);
+      res.status(500).json({ message: 'Failed to delete items.' });
+    }
+  }
+);
+
 
 // Server Start (From your original file)
 const PORT = process.env.PORT || 5000;
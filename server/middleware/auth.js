@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set.');
+  return process.env.JWT_SECRET;
+};
+
+// Signs a session token for the user; `jti` lets us revoke this one token on logout
+const signToken = (user) => jwt.sign(
+  { sub: user._id.toString() },
+  getSecret(),
+  { expiresIn: TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+// Attaches `req.user` (and `req.token`) when a valid Bearer token is sent.
+// Requests without one carry on as guests; use requireAuth to insist on a user.
+const authenticate = async (req, res, next) => {
+  const header = req.get('authorization') || '';
+  if (!header.startsWith('Bearer ')) return next();
+
+  try {
+    const payload = jwt.verify(header.slice(7), getSecret());
+    const [user, revoked] = await Promise.all([
+      User.findById(payload.sub),
+      RevokedToken.exists({ jti: payload.jti })
+    ]);
+    if (user && !revoked) {
+      req.user = user;
+      req.token = payload;
+    }
+    next();
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) return next();
+    next(error);
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Please sign in to continue.' });
+  }
+  next();
+};
+
+// Only lets signed-in users with one of the given roles through, e.g. requireRole('moderator', 'admin')
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Please sign in to continue.' });
+  }
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'You do not have permission to do that.' });
+  }
+  next();
+};
+
+module.exports = { signToken, authenticate, requireAuth, requireRole };
@@ -0,0 +1,45 @@
+// Undoes the HTML escaping older feedback was stored with (e.g. "Trees &amp; Graphs"), now that
+// React escapes on output instead. Without it those entries show entities on screen and never
+// match the ?subject= and ?university= filters.
+// Usage: npm run migrate:feedback  (run it once: a second run would also decode text that
+// genuinely contained an entity)
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Feedback = require('./models/Feedback');
+
+dotenv.config();
+
+const TEXT_FIELDS = ['studentName', 'university', 'department', 'subject', 'examDate', 'preparationTime', 'examPattern', 'feedback', 'tips', 'timeManagement'];
+const LIST_FIELDS = ['importantTopics', 'resources'];
+
+// The entities express-validator's escape() writes; &amp; goes last so "&amp;lt;" decodes to "&lt;"
+const ENTITIES = [['&lt;', '<'], ['&gt;', '>'], ['&quot;', '"'], ['&#x27;', "'"], ['&#x2F;', '/'], ['&#x5C;', '\\'], ['&#96;', '`'], ['&amp;', '&']];
+const unescapeText = (text) => ENTITIES.reduce((result, [entity, character]) => result.split(entity).join(character), text);
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const escaped = { $regex: '&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);' };
+  const filter = { $or: [...TEXT_FIELDS, ...LIST_FIELDS].map((field) => ({ [field]: escaped })) };
+  const operations = [];
+  for await (const feedback of Feedback.find(filter).lean()) {
+    const update = {};
+    TEXT_FIELDS.forEach((field) => {
+      if (typeof feedback[field] === 'string') update[field] = unescapeText(feedback[field]);
+    });
+    LIST_FIELDS.forEach((field) => {
+      if (Array.isArray(feedback[field])) update[field] = feedback[field].map(unescapeText);
+    });
+    operations.push({ updateOne: { filter: { _id: feedback._id }, update: { $set: update } } });
+  }
+
+  if (operations.length) await Feedback.bulkWrite(operations);
+  console.log(`✅ Unescaped ${operations.length} feedback entries`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,124 @@
+// Moves what was saved while the Syllabus page showed its built-in list over to the syllabus catalog.
+// Syllabus uploads approved before the catalog existed are published into it. Collection items and
+// bookmarks that pointed at such an upload, and bookmarks and progress trackers keyed by a built-in
+// list id, are re-pointed at the catalog entry. Built-in entries are matched by title, so on a
+// database without syllabi run `npm run seed` first. The upload text index search used is dropped.
+// Usage: npm run migrate:syllabi  (safe to run more than once)
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Bookmark = require('./models/Bookmark');
+const Collection = require('./models/Collection');
+const Syllabus = require('./models/Syllabus');
+const SyllabusProgress = require('./models/SyllabusProgress');
+const Upload = require('./models/Upload');
+
+dotenv.config();
+
+// Same as the server's helper, for the file size shown on published uploads
+const formatFileSize = (bytes) => (
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`
+);
+
+// Mirrors publishSyllabus in index.js
+const publishSyllabus = (stored) => Syllabus.create({
+  title: stored.title,
+  university: stored.university,
+  department: stored.department,
+  semester: stored.semester,
+  subjects: [{ name: stored.subject }],
+  tags: stored.tags,
+  difficulty: stored.difficulty,
+  fileType: stored.fileType,
+  fileSize: formatFileSize(stored.size),
+  link: `/api/uploads/${stored._id}/file`,
+  upload: stored._id
+});
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const published = await Syllabus.find({ upload: { $ne: null } }, { upload: 1 });
+  const unpublished = await Upload.find({
+    category: 'syllabus',
+    status: { $in: ['approved', null] },
+    _id: { $nin: published.map((syllabus) => syllabus.upload) }
+  });
+  for (const stored of unpublished) await publishSyllabus(stored);
+  console.log(`✅ Published ${unpublished.length} approved syllabus uploads`);
+
+  const catalog = await Syllabus.find({}, { title: 1, university: 1, link: 1, upload: 1 });
+  const catalogIds = new Set(catalog.map((syllabus) => syllabus._id.toString()));
+  const byUpload = new Map(catalog.filter((syllabus) => syllabus.upload).map((syllabus) => [syllabus.upload.toString(), syllabus]));
+  const byTitle = new Map(catalog.map((syllabus) => [syllabus.title, syllabus]));
+  // The catalog entry an old upload id or built-in list id stands for; null when it already is one or has none
+  const findSyllabus = (key, title) => {
+    if (catalogIds.has(String(key))) return null;
+    return byUpload.get(String(key)) || (title && byTitle.get(title)) || null;
+  };
+
+  let movedItems = 0;
+  for await (const collection of Collection.find({ 'items.kind': 'syllabus' })) {
+    let changed = false;
+    collection.items.forEach((entry) => {
+      const syllabus = entry.kind === 'syllabus' && findSyllabus(entry.item);
+      if (!syllabus) return;
+      entry.item = syllabus._id;
+      changed = true;
+      movedItems += 1;
+    });
+    if (changed) await collection.save();
+  }
+  console.log(`✅ Re-pointed ${movedItems} collection items`);
+
+  let movedBookmarks = 0;
+  for await (const bookmark of Bookmark.find({ kind: 'syllabus' })) {
+    const syllabus = findSyllabus(bookmark.itemId, bookmark.title);
+    if (!syllabus) continue;
+    const itemId = syllabus._id.toString();
+    // Someone who bookmarked both keeps the one bookmark
+    if (await Bookmark.exists({ user: bookmark.user, kind: 'syllabus', itemId })) {
+      await bookmark.deleteOne();
+    } else {
+      await Bookmark.updateOne({ _id: bookmark._id }, { $set: { itemId, link: syllabus.link } });
+    }
+    movedBookmarks += 1;
+  }
+  console.log(`✅ Re-pointed ${movedBookmarks} bookmarks`);
+
+  // Runs on the raw collection: the model would try to cast a built-in list id into an ObjectId
+  let movedTrackers = 0;
+  let unmatchedTrackers = 0;
+  for await (const tracker of SyllabusProgress.collection.find({ syllabus: { $type: 'string' } })) {
+    const syllabus = byTitle.get(tracker.title);
+    if (!syllabus) {
+      unmatchedTrackers += 1;
+      continue;
+    }
+    // A syllabus tracked under both keys keeps whichever copy was updated last
+    const existing = await SyllabusProgress.collection.findOne({ user: tracker.user, syllabus: syllabus._id });
+    if (existing && existing.updatedAt >= tracker.updatedAt) {
+      await SyllabusProgress.collection.deleteOne({ _id: tracker._id });
+    } else {
+      if (existing) await SyllabusProgress.collection.deleteOne({ _id: existing._id });
+      await SyllabusProgress.collection.updateOne(
+        { _id: tracker._id },
+        { $set: { syllabus: syllabus._id, title: syllabus.title, university: syllabus.university } }
+      );
+    }
+    movedTrackers += 1;
+  }
+  console.log(`✅ Re-pointed ${movedTrackers} progress trackers`);
+  if (unmatchedTrackers) console.log(`⚠️  ${unmatchedTrackers} trackers match no syllabus title and were left as they are`);
+
+  await Upload.syncIndexes();
+  console.log('✅ Upload indexes are up to date');
+};
+
+migrate()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
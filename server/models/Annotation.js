@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const ANNOTATION_TYPES = ['highlight', 'underline', 'sticky'];
+const ANNOTATION_COLORS = ['yellow', 'green', 'pink', 'blue'];
+
+// Where a mark sits on its page, as fractions of the page's width and height so it lines up at any zoom
+const rectSchema = new mongoose.Schema({
+  x: { type: Number, min: 0, max: 1, required: true },
+  y: { type: Number, min: 0, max: 1, required: true },
+  width: { type: Number, min: 0, max: 1, default: 0 },
+  height: { type: Number, min: 0, max: 1, default: 0 }
+}, { _id: false });
+
+// A signed-in user's private mark on one page of a note's PDF. Highlights and underlines cover
+// the selected text (kept in `text` for exports); sticky notes are pinned at a single point.
+const annotationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  note: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+  type: { type: String, enum: ANNOTATION_TYPES, required: true },
+  page: { type: Number, min: 1, required: true },
+  rects: { type: [rectSchema], default: [] },
+  color: { type: String, enum: ANNOTATION_COLORS, default: 'yellow' },
+  text: { type: String, trim: true, maxlength: 2000, default: '' },
+  comment: { type: String, trim: true, maxlength: 1000, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+annotationSchema.index({ user: 1, note: 1, page: 1 });
+
+const Annotation = mongoose.model('Annotation', annotationSchema);
+Annotation.ANNOTATION_TYPES = ANNOTATION_TYPES;
+Annotation.ANNOTATION_COLORS = ANNOTATION_COLORS;
+
+module.exports = Annotation;
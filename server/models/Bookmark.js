@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const BOOKMARK_KINDS = ['note', 'syllabus', 'pyq', 'feedback'];
+
+// A saved item for a signed-in user. `itemId` is kept as a string because some
+// catalog pages still use static sample data, and title/subtitle/link are a
+// snapshot so the profile can list bookmarks without joining four collections.
+const bookmarkSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: BOOKMARK_KINDS, required: true },
+  itemId: { type: String, required: true },
+  title: { type: String, required: true },
+  subtitle: String,
+  link: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+bookmarkSchema.index({ user: 1, kind: 1, itemId: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+Bookmark.BOOKMARK_KINDS = BOOKMARK_KINDS;
+
+module.exports = Bookmark;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const ITEM_KINDS = ['note', 'syllabus', 'pyq'];
+const VISIBILITIES = ['private', 'public'];
+
+// One entry in a pack; array order is the order the pack is read in.
+// `item` is the id of the Note, Syllabus or PYQ catalog entry.
+const collectionItemSchema = new mongoose.Schema({
+  kind: { type: String, enum: ITEM_KINDS, required: true },
+  item: { type: mongoose.Schema.Types.ObjectId, required: true },
+  note: { type: String, trim: true }
+}, { _id: false });
+
+// A user-curated study pack, e.g. syllabus + notes + the last five years of papers for one subject.
+// Public packs can be opened by anyone with the link; private ones only by their owner.
+const collectionSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  subject: { type: String, trim: true },
+  visibility: { type: String, enum: VISIBILITIES, default: 'private' },
+  items: { type: [collectionItemSchema], default: [] },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Collection = mongoose.model('Collection', collectionSchema);
+Collection.ITEM_KINDS = ITEM_KINDS;
+Collection.VISIBILITIES = VISIBILITIES;
+
+module.exports = Collection;
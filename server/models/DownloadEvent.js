@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const DOWNLOAD_KINDS = ['note', 'syllabus', 'pyq'];
+
+// Kept long enough to cover the trending window with room to spare
+const RETENTION_DAYS = 90;
+
+// One counted download of a catalog file. `client` is "user:<id>", "anon:<hash>" of the
+// browser fingerprint or "ip:<hash>", and is what repeat downloads are matched on.
+const downloadEventSchema = new mongoose.Schema({
+  file: { type: mongoose.Schema.Types.ObjectId, required: true },
+  kind: { type: String, enum: DOWNLOAD_KINDS, required: true },
+  client: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: RETENTION_DAYS * 24 * 60 * 60 }
+});
+
+downloadEventSchema.index({ file: 1, client: 1, createdAt: -1 });
+downloadEventSchema.index({ kind: 1, createdAt: -1 });
+
+const DownloadEvent = mongoose.model('DownloadEvent', downloadEventSchema);
+DownloadEvent.DOWNLOAD_KINDS = DOWNLOAD_KINDS;
+
+module.exports = DownloadEvent;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { moderationFields } = require('./moderation');
+
+const DIFFICULTIES = ['easy', 'moderate', 'hard'];
+
+// One shape for every exam experience, whether it came from the quick modal or the full form
+const feedbackSchema = new mongoose.Schema({
+    studentName: String,
+    university: { type: String, required: true },
+    department: String,
+    subject: { type: String, required: true },
+    semester: { type: Number, min: 1, max: 12 },
+    examDate: String,
+    difficulty: { type: String, enum: DIFFICULTIES, required: true },
+    rating: { type: Number, min: 1, max: 5, required: true },
+    preparationTime: String,
+    importantTopics: [String],
+    examPattern: String,
+    feedback: String,
+    tips: String,
+    timeManagement: String,
+    resources: [String],
+    helpfulCount: { type: Number, default: 0 },
+    reportCount: { type: Number, default: 0 },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    ...moderationFields,
+    createdAt: { type: Date, default: Date.now }
+});
+
+feedbackSchema.index({ university: 1, department: 1, subject: 1 });
+feedbackSchema.index(
+    { subject: 'text', importantTopics: 'text', tips: 'text', feedback: 'text', examPattern: 'text', university: 'text' },
+    { name: 'feedback_text', weights: { subject: 10, importantTopics: 5, tips: 2, feedback: 2, examPattern: 1, university: 1 } }
+);
+
+const Feedback = mongoose.model('Feedback', feedbackSchema);
+Feedback.DIFFICULTIES = DIFFICULTIES;
+
+module.exports = Feedback;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const VOTE_KINDS = ['helpful', 'report'];
+
+// One row per voter per action on a feedback entry. `voter` is "user:<id>" for
+// signed-in users or "guest:<hash>" of a guest's IP address and user agent, and the
+// unique index is what enforces one vote (or report) each.
+const feedbackVoteSchema = new mongoose.Schema({
+  feedback: { type: mongoose.Schema.Types.ObjectId, ref: 'Feedback', required: true },
+  voter: { type: String, required: true },
+  kind: { type: String, enum: VOTE_KINDS, required: true },
+  reason: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+feedbackVoteSchema.index({ feedback: 1, voter: 1, kind: 1 }, { unique: true });
+
+const FeedbackVote = mongoose.model('FeedbackVote', feedbackVoteSchema);
+FeedbackVote.VOTE_KINDS = VOTE_KINDS;
+
+module.exports = FeedbackVote;
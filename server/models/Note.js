@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const noteSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  university: { type: String, required: true, trim: true },
+  department: { type: String, required: true, trim: true },
+  semester: { type: Number, required: true, min: 1, max: 12 },
+  subject: { type: String, required: true, trim: true },
+  fileType: { type: String, default: 'PDF' },
+  fileSize: String,
+  tags: { type: [String], default: [] },
+  difficulty: { type: String, enum: ['Beginner', 'Intermediate', 'Advanced'], default: 'Beginner' },
+  link: { type: String, required: true },
+  // Set when the note came in through POST /api/uploads
+  upload: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload' },
+  downloadCount: { type: Number, default: 0 },
+  // Kept in step with the Review collection so cards and the top rated sort need no join
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+  uploadDate: { type: Date, default: Date.now }
+});
+
+// Backs the university → department → semester → subject filters on the Notes page
+noteSchema.index({ university: 1, department: 1, semester: 1, subject: 1 });
+// Full-text search; titles count most, then subject, then tags
+noteSchema.index(
+  { title: 'text', subject: 'text', tags: 'text', university: 'text', department: 'text' },
+  { name: 'note_text', weights: { title: 10, subject: 5, tags: 3, university: 1, department: 1 } }
+);
+
+module.exports = mongoose.model('Note', noteSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One question on a paper, tagged so topics can be compared across years
+const questionSchema = new mongoose.Schema({
+  number: { type: String, trim: true },
+  text: { type: String, trim: true },
+  topic: { type: String, required: true, trim: true },
+  unit: { type: Number, min: 1, max: 20 },
+  marks: { type: Number, min: 0, max: 100 }
+}, { _id: false });
+
+// A previous year question paper in the public catalog
+const pyqSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  university: { type: String, required: true, trim: true },
+  department: { type: String, required: true, trim: true },
+  semester: { type: Number, required: true, min: 1, max: 12 },
+  subject: { type: String, required: true, trim: true },
+  year: { type: Number, required: true, min: 1990, max: 2100 },
+  fileType: { type: String, default: 'PDF' },
+  fileSize: String,
+  uploader: { type: String, trim: true, default: 'Anonymous' },
+  link: String,
+  questions: { type: [questionSchema], default: [] },
+  // Set when the paper came in through POST /api/uploads
+  upload: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload' },
+  downloadCount: { type: Number, default: 0 },
+  uploadDate: { type: Date, default: Date.now }
+});
+
+pyqSchema.index({ university: 1, department: 1, semester: 1, subject: 1, year: -1 });
+pyqSchema.index({ 'questions.topic': 1 });
+pyqSchema.index(
+  { title: 'text', subject: 'text', 'questions.topic': 'text', university: 'text' },
+  { name: 'pyq_text', weights: { title: 10, subject: 5, 'questions.topic': 3, university: 1 } }
+);
+
+module.exports = mongoose.model('PYQ', pyqSchema);
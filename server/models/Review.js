@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const REVIEW_KINDS = ['note', 'syllabus'];
+
+// A signed-in user's star rating, with an optional short review, of one note or syllabus.
+// Each user keeps a single review per item and edits it in place.
+const reviewSchema = new mongoose.Schema({
+  kind: { type: String, enum: REVIEW_KINDS, required: true },
+  item: { type: mongoose.Schema.Types.ObjectId, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, min: 1, max: 5, required: true },
+  text: { type: String, trim: true, maxlength: 500, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reviewSchema.index({ item: 1, user: 1 }, { unique: true });
+reviewSchema.index({ item: 1, updatedAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+Review.REVIEW_KINDS = REVIEW_KINDS;
+
+module.exports = Review;
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Tokens signed out before they expired. Mongo drops each entry once the token
+// would have expired anyway, so the collection stays small.
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
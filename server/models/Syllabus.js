@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const topicSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  // Suggested teaching hours for the topic, when the scheme gives them
+  hours: { type: Number, min: 0, max: 100 }
+}, { _id: false });
+
+const unitSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  topics: { type: [topicSchema], default: [] }
+}, { _id: false });
+
+// One course in the syllabus. `hours` are the weekly lecture-tutorial-practical (L-T-P) hours
+// printed on university schemes, e.g. 3-1-2.
+const subjectSchema = new mongoose.Schema({
+  code: { type: String, trim: true, uppercase: true, maxlength: 20 },
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  credits: { type: Number, min: 0, max: 30 },
+  hours: {
+    lecture: { type: Number, min: 0, max: 20, default: 0 },
+    tutorial: { type: Number, min: 0, max: 20, default: 0 },
+    practical: { type: Number, min: 0, max: 20, default: 0 }
+  },
+  units: { type: [unitSchema], default: [] }
+}, { _id: false });
+
+// A course syllabus in the public catalog: subjects → units → topics. Seeded samples carry no
+// file yet; approved syllabus uploads get a link to the stored file.
+const syllabusSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  university: { type: String, required: true, trim: true },
+  department: { type: String, required: true, trim: true },
+  semester: { type: Number, required: true, min: 1, max: 12 },
+  // The session the scheme applies to, e.g. "2024-25", so revisions can be told apart and compared
+  academicYear: { type: String, trim: true, maxlength: 9 },
+  subjects: { type: [subjectSchema], default: [] },
+  tags: { type: [String], default: [] },
+  difficulty: { type: String, enum: ['Beginner', 'Intermediate', 'Advanced'], default: 'Beginner' },
+  fileType: { type: String, default: 'PDF' },
+  fileSize: String,
+  link: String,
+  // Set when the syllabus came in through POST /api/uploads
+  upload: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload' },
+  downloadCount: { type: Number, default: 0 },
+  // Kept in step with the Review collection so cards and the top rated sort need no join
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+  uploadDate: { type: Date, default: Date.now }
+});
+
+syllabusSchema.index({ university: 1, department: 1, semester: 1 });
+syllabusSchema.index(
+  { title: 'text', 'subjects.name': 'text', 'subjects.code': 'text', tags: 'text', university: 'text', department: 'text' },
+  { name: 'syllabus_text', weights: { title: 10, 'subjects.name': 5, 'subjects.code': 5, tags: 3, university: 1, department: 1 } }
+);
+
+module.exports = mongoose.model('Syllabus', syllabusSchema);
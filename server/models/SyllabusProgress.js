@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const topicSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 120 },
+  done: { type: Boolean, default: false }
+}, { _id: false });
+
+const unitSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 120 },
+  topics: { type: [topicSchema], default: [] }
+}, { _id: false });
+
+const subjectSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  units: { type: [unitSchema], default: [] }
+}, { _id: false });
+
+// A signed-in user's tracker for a syllabus they adopted: its subjects broken down into the units
+// and topics they study, with each topic ticked off as it is covered. The whole tree is saved at
+// once, and the title/university are a snapshot so the profile widget needs no join.
+const syllabusProgressSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  syllabus: { type: mongoose.Schema.Types.ObjectId, ref: 'Syllabus', required: true },
+  title: { type: String, required: true },
+  university: String,
+  subjects: { type: [subjectSchema], default: [] },
+  adoptedAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+syllabusProgressSchema.index({ user: 1, syllabus: 1 }, { unique: true });
+syllabusProgressSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('SyllabusProgress', syllabusProgressSchema);
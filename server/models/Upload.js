@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { moderationFields } = require('./moderation');
+
+// A study material file stored on local disk, plus what the uploader told us about it
+const uploadSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  category: { type: String, enum: ['notes', 'syllabus', 'pyq'], required: true },
+  university: { type: String, required: true, trim: true },
+  department: { type: String, required: true, trim: true },
+  semester: { type: Number, required: true, min: 1, max: 12 },
+  subject: { type: String, required: true, trim: true },
+  fileType: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  originalName: { type: String, required: true },
+  storedName: { type: String, required: true },
+  uploader: { type: String, trim: true, default: 'Anonymous' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // Catalog details for notes, applied when the upload is approved
+  tags: { type: [String], default: [] },
+  difficulty: { type: String, enum: ['Beginner', 'Intermediate', 'Advanced'], default: 'Beginner' },
+  // Exam year, for question papers
+  year: { type: Number, min: 1990, max: 2100 },
+  ...moderationFields,
+  createdAt: { type: Date, default: Date.now }
+});
+
+uploadSchema.index({ uploader: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Upload', uploadSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Ordered from least to most privileged
+const ROLES = ['student', 'contributor', 'moderator', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true, select: false },
+  avatar: String,
+  role: { type: String, enum: ROLES, default: 'student' },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+userSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
@@ -0,0 +1,14 @@
+// Fields shared by everything that goes through the moderation queue
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const moderationFields = {
+  status: { type: String, enum: MODERATION_STATUSES, default: 'pending', index: true },
+  moderationReason: { type: String, trim: true },
+  reviewedAt: Date
+};
+
+// What public listings may show. Documents saved before moderation existed have no
+// status at all and were already public, so they count as approved.
+const PUBLIC_FILTER = { status: { $in: ['approved', null] } };
+
+module.exports = { MODERATION_STATUSES, moderationFields, PUBLIC_FILTER };
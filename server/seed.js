@@ -0,0 +1,183 @@
+// Seeds the catalog collections with the sample data the client used to ship inline.
+// Usage: npm run seed  (existing notes, syllabi and PYQs are replaced; for feedback only earlier copies of the samples are)
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Note = require('./models/Note');
+const PYQ = require('./models/PYQ');
+const Syllabus = require('./models/Syllabus');
+const Feedback = require('./models/Feedback');
+
+dotenv.config();
+
+const notes = [
+  { title: "Python - Notes", university: "Mumbai University", department: "Electronics Engineering", semester: 1, subject: "Python", fileType: "PDF", downloadCount: 1400, uploadDate: "2024-02-01", fileSize: "3.5 MB", tags: ["CSE", "Python", "First Year"], difficulty: "Beginner", link: "/pdf/python.pdf" },
+  { title: "Operating Systems - Detailed Notes", university: "NIT Trichy", department: "Computer Science", semester: 2, subject: "Operating Systems", fileType: "PDF", downloadCount: 870, uploadDate: "2024-04-02", fileSize: "5.8 MB", tags: ["CSE", "OS", "Semester 4"], difficulty: "Intermediate", link: "/pdf/OS.pdf" },
+  { title: "Data Structures - Notes", university: "Anna University", department: "Computer Science", semester: 3, subject: "Data Structures", fileType: "PDF", downloadCount: 980, uploadDate: "2024-03-15", fileSize: "4.2 MB", tags: ["CSE", "DSA"], difficulty: "Intermediate", link: "/pdf/DSA.pdf" },
+  { title: "Database Management Systems (DBMS) - Notes", university: "IIT Delhi", department: "Computer Science", semester: 4, subject: "Database Systems", fileType: "PDF", downloadCount: 1100, uploadDate: "2024-03-18", fileSize: "6.0 MB", tags: ["CSE", "DBMS", "SQL"], difficulty: "Intermediate", link: "/pdf/DBMS.pdf" },
+  { title: "Java - Notes", university: "Delhi University", department: "Computer Science", semester: 5, subject: "Java", fileType: "PDF", downloadCount: 1400, uploadDate: "2024-02-01", fileSize: "3.5 MB", tags: ["CSE", "Java", "First Year"], difficulty: "Beginner", link: "/pdf/Java.pdf" },
+  { title: "Advance Web Development", university: "VIT Vellore", department: "Computer Science", semester: 6, subject: "Web Development", fileType: "PDF", downloadCount: 640, uploadDate: "2024-07-01", fileSize: "6.5 MB", tags: ["CSE", "Web", "Semester 6"], difficulty: "Advanced", link: "/pdf/WebDevelopment.pdf" },
+];
+
+const topics = (...entries) => entries.map(([title, hours]) => ({ title, hours }));
+
+// One fully broken-down syllabus to show the subject → unit → topic page; the others only name their subjects
+const cseSemester3Subjects = [
+  {
+    code: "CS201", name: "Data Structures", credits: 4, hours: { lecture: 3, tutorial: 0, practical: 2 },
+    units: [
+      { title: "Unit 1: Arrays and Linked Lists", topics: topics(["Array operations and complexity", 3], ["Singly and doubly linked lists", 4], ["Circular lists", 2]) },
+      { title: "Unit 2: Stacks and Queues", topics: topics(["Stack ADT and applications", 3], ["Infix to postfix conversion", 2], ["Queues, circular and priority queues", 3]) },
+      { title: "Unit 3: Trees", topics: topics(["Binary tree traversals", 3], ["Binary search trees", 4], ["AVL trees", 4], ["Heaps", 3]) },
+      { title: "Unit 4: Graphs", topics: topics(["Representations", 2], ["BFS and DFS", 3], ["Shortest paths", 4], ["Minimum spanning trees", 3]) },
+      { title: "Unit 5: Sorting and Hashing", topics: topics(["Quick, merge and heap sort", 4], ["Hash functions and collision handling", 3]) },
+    ],
+  },
+  {
+    code: "CS202", name: "Computer Organization", credits: 3, hours: { lecture: 3, tutorial: 1, practical: 0 },
+    units: [
+      { title: "Unit 1: Data Representation", topics: topics(["Number systems", 2], ["Fixed and floating point", 3]) },
+      { title: "Unit 2: CPU Design", topics: topics(["Instruction formats and addressing modes", 3], ["Control unit design", 4], ["Pipelining", 4]) },
+      { title: "Unit 3: Memory and I/O", topics: topics(["Cache mapping", 4], ["Virtual memory", 3], ["Interrupts and DMA", 3]) },
+    ],
+  },
+  {
+    code: "MA201", name: "Discrete Mathematics", credits: 4, hours: { lecture: 3, tutorial: 1, practical: 0 },
+    units: [
+      { title: "Unit 1: Logic and Proofs", topics: topics(["Propositional logic", 3], ["Predicates and quantifiers", 3], ["Proof techniques", 3]) },
+      { title: "Unit 2: Sets, Relations and Functions", topics: topics(["Equivalence relations", 2], ["Partial orders and lattices", 3]) },
+      { title: "Unit 3: Combinatorics", topics: topics(["Permutations and combinations", 3], ["Recurrence relations", 4]) },
+      { title: "Unit 4: Graph Theory", topics: topics(["Euler and Hamilton paths", 3], ["Planar graphs and colouring", 3]) },
+    ],
+  },
+  {
+    code: "CS203", name: "Database Systems", credits: 4, hours: { lecture: 3, tutorial: 0, practical: 2 },
+    units: [
+      { title: "Unit 1: Data Models", topics: topics(["ER modelling", 3], ["Relational model", 2]) },
+      { title: "Unit 2: SQL", topics: topics(["Queries and joins", 4], ["Views and constraints", 2], ["Triggers", 2]) },
+      { title: "Unit 3: Normalization", topics: topics(["Functional dependencies", 3], ["1NF to BCNF", 4]) },
+      { title: "Unit 4: Transactions", topics: topics(["ACID properties", 2], ["Concurrency control", 4], ["Recovery", 3]) },
+    ],
+  },
+  { code: "CS204", name: "Software Engineering", credits: 3, hours: { lecture: 3, tutorial: 0, practical: 0 }, units: [] },
+];
+
+// The previous year's scheme for the same course, so the compare view has a revision to show
+const cseSemester3SubjectsPrevious = [
+  {
+    code: "CS201", name: "Data Structures", credits: 4, hours: { lecture: 3, tutorial: 0, practical: 2 },
+    units: [
+      { title: "Unit 1: Arrays and Linked Lists", topics: topics(["Array operations and complexity", 3], ["Singly and doubly linked lists", 4]) },
+      { title: "Unit 2: Stacks and Queues", topics: topics(["Stack ADT and applications", 3], ["Infix to postfix conversion", 2], ["Queues, circular and priority queues", 3], ["Hash functions and collision handling", 3]) },
+      { title: "Unit 3: Trees", topics: topics(["Binary tree traversals", 3], ["Binary search trees", 4], ["Heaps", 3]) },
+      { title: "Unit 4: Sorting and Searching", topics: topics(["Quick, merge and heap sort", 4], ["Linear and binary search", 2]) },
+    ],
+  },
+  {
+    code: "CS202", name: "Computer Organization", credits: 4, hours: { lecture: 3, tutorial: 1, practical: 0 },
+    units: [
+      { title: "Unit 1: Data Representation", topics: topics(["Number systems", 2], ["Fixed and floating point", 3]) },
+      { title: "Unit 2: CPU Design", topics: topics(["Instruction formats and addressing modes", 3], ["Control unit design", 4], ["Pipelining", 4]) },
+      { title: "Unit 3: Memory and I/O", topics: topics(["Cache mapping", 4], ["Virtual memory", 3], ["Interrupts and DMA", 3]) },
+    ],
+  },
+  {
+    code: "MA201", name: "Discrete Mathematics", credits: 4, hours: { lecture: 3, tutorial: 1, practical: 0 },
+    units: [
+      { title: "Unit 1: Logic and Proofs", topics: topics(["Propositional logic", 3], ["Predicates and quantifiers", 3], ["Proof techniques", 3]) },
+      { title: "Unit 2: Sets, Relations and Functions", topics: topics(["Equivalence relations", 2], ["Partial orders and lattices", 3]) },
+      { title: "Unit 3: Combinatorics", topics: topics(["Permutations and combinations", 3], ["Recurrence relations", 4]) },
+      { title: "Unit 4: Graph Theory", topics: topics(["Euler and Hamilton paths", 3], ["Planar graphs and colouring", 3]) },
+    ],
+  },
+  {
+    code: "CS203", name: "Database Systems", credits: 4, hours: { lecture: 3, tutorial: 0, practical: 2 },
+    units: [
+      { title: "Unit 1: Data Models", topics: topics(["ER modelling", 3], ["Relational model", 2]) },
+      { title: "Unit 2: SQL", topics: topics(["Queries and joins", 4], ["Views and constraints", 2]) },
+      { title: "Unit 3: Normalization", topics: topics(["Functional dependencies", 3], ["1NF to BCNF", 4]) },
+      { title: "Unit 4: Transactions", topics: topics(["ACID properties", 2], ["Concurrency control", 4], ["Recovery", 3]) },
+    ],
+  },
+  {
+    code: "CS205", name: "Object Oriented Programming", credits: 3, hours: { lecture: 2, tutorial: 0, practical: 2 },
+    units: [
+      { title: "Unit 1: Classes and Objects", topics: topics(["Encapsulation", 2], ["Constructors and destructors", 2]) },
+      { title: "Unit 2: Inheritance and Polymorphism", topics: topics(["Inheritance types", 3], ["Virtual functions", 3]) },
+    ],
+  },
+];
+
+// The syllabi have no files yet, so they list without a download link
+const syllabi = [
+  { title: "Computer Science Engineering - Semester 1", university: "Delhi University", department: "Computer Science", semester: 1, subjects: ["Mathematics I", "Physics", "Chemistry", "Programming in C", "English Communication"], downloadCount: 1250, uploadDate: "2024-01-15", fileSize: "2.4 MB", difficulty: "Beginner", tags: ["CSE", "First Year", "Basic Programming"] },
+  { title: "Computer Science Engineering - Semester 3", university: "Delhi University", department: "Computer Science", semester: 3, academicYear: "2023-24", subjects: cseSemester3SubjectsPrevious, downloadCount: 410, uploadDate: "2023-07-10", fileSize: "3.1 MB", difficulty: "Intermediate", tags: ["CSE", "Data Structures", "Database"] },
+  { title: "Computer Science Engineering - Semester 3", university: "Delhi University", department: "Computer Science", semester: 3, academicYear: "2024-25", subjects: cseSemester3Subjects, downloadCount: 890, uploadDate: "2024-01-20", fileSize: "3.1 MB", difficulty: "Intermediate", tags: ["CSE", "Data Structures", "Database"] },
+  { title: "Mechanical Engineering - Semester 2", university: "Mumbai University", department: "Mechanical Engineering", semester: 2, subjects: ["Engineering Mechanics", "Thermodynamics", "Manufacturing Processes", "Engineering Drawing", "Materials Science"], downloadCount: 675, uploadDate: "2024-01-18", fileSize: "2.8 MB", difficulty: "Intermediate", tags: ["Mechanical", "Thermodynamics", "Manufacturing"] },
+  { title: "Electronics Engineering - Semester 4", university: "IIT Delhi", department: "Electronics Engineering", semester: 4, subjects: ["Digital Electronics", "Microprocessors", "Control Systems", "Signals & Systems", "Communication Systems"], downloadCount: 1120, uploadDate: "2024-01-22", fileSize: "3.5 MB", difficulty: "Advanced", tags: ["Electronics", "Microprocessors", "Communication"] },
+  { title: "Information Technology - Semester 1", university: "Anna University", department: "Information Technology", semester: 1, subjects: ["Programming Fundamentals", "Digital Logic", "Computer Networks Basics", "Web Technologies", "Statistics"], downloadCount: 945, uploadDate: "2024-01-25", fileSize: "2.2 MB", difficulty: "Beginner", tags: ["IT", "Web Development", "Networks"] },
+  { title: "Civil Engineering - Semester 3", university: "NIT Trichy", department: "Civil Engineering", semester: 3, subjects: ["Structural Analysis", "Fluid Mechanics", "Surveying", "Building Materials", "Environmental Engineering"], downloadCount: 720, uploadDate: "2024-01-12", fileSize: "2.9 MB", difficulty: "Intermediate", tags: ["Civil", "Structural", "Environmental"] },
+  { title: "Computer Science Engineering - Semester 5", university: "VIT Vellore", department: "Computer Science", semester: 5, subjects: ["Machine Learning", "Compiler Design", "Computer Graphics", "Network Security", "Mobile Computing"], downloadCount: 1340, uploadDate: "2024-01-28", fileSize: "4.2 MB", difficulty: "Advanced", tags: ["CSE", "Machine Learning", "Security"] },
+  { title: "Electrical Engineering - Semester 2", university: "IIT Bombay", department: "Electrical Engineering", semester: 2, subjects: ["Circuit Analysis", "Electromagnetic Theory", "Power Systems", "Digital Circuits", "Instrumentation"], downloadCount: 850, uploadDate: "2024-01-14", fileSize: "3.3 MB", difficulty: "Intermediate", tags: ["Electrical", "Power Systems", "Circuits"] },
+].map((syllabus) => ({ ...syllabus, subjects: syllabus.subjects.map((subject) => (typeof subject === 'string' ? { name: subject } : subject)) }));
+
+// Shorthand for the tagged questions on the sample papers: [number, topic, unit, marks]
+const toQuestions = (rows) => rows.map(([number, topic, unit, marks]) => ({ number, topic, unit, marks }));
+
+const pyqs = [
+  {
+    title: "Computer Science - 2024 End Semester Paper", university: "LPU", department: "Engineering", semester: 4, subject: "Computer Science", year: 2024, uploader: "Harish", uploadDate: "2024-05-20",
+    questions: toQuestions([["1a", "Sorting Algorithms", 1, 5], ["1b", "Linked Lists", 1, 5], ["2", "Trees", 2, 10], ["3", "Graphs", 3, 10], ["4", "Process Scheduling", 4, 10], ["5", "Normalization", 5, 10]]),
+  },
+  {
+    title: "Mathematics - 2023 End Semester Paper", university: "DU", department: "Science", semester: 3, subject: "Mathematics", year: 2023, uploader: "Ananya Gupta", uploadDate: "2023-12-10",
+    questions: toQuestions([["1", "Matrices", 1, 10], ["2", "Differential Equations", 2, 15], ["3", "Laplace Transform", 3, 15], ["4", "Fourier Series", 4, 10]]),
+  },
+  {
+    title: "Physics - 2022 End Semester Paper", university: "JNU", department: "Science", semester: 2, subject: "Physics", year: 2022, uploader: "Ravi Verma", uploadDate: "2022-06-15",
+    questions: toQuestions([["1", "Optics", 1, 10], ["2", "Quantum Mechanics", 2, 15], ["3", "Semiconductors", 3, 15]]),
+  },
+  {
+    title: "Computer Science - 2023 End Semester Paper", university: "LPU", department: "Engineering", semester: 4, subject: "Computer Science", year: 2023, uploader: "Sneha Singh", uploadDate: "2023-11-02",
+    questions: toQuestions([["1", "Sorting Algorithms", 1, 10], ["2", "Trees", 2, 10], ["3a", "Graphs", 3, 5], ["3b", "Dynamic Programming", 3, 5], ["4", "Process Scheduling", 4, 10], ["5", "SQL Queries", 5, 10]]),
+  },
+  {
+    title: "Computer Science - 2022 End Semester Paper", university: "LPU", department: "Engineering", semester: 4, subject: "Computer Science", year: 2022, uploader: "Harish", uploadDate: "2022-12-05",
+    questions: toQuestions([["1", "Linked Lists", 1, 10], ["2", "Trees", 2, 10], ["3", "Hashing", 3, 10], ["4", "Deadlocks", 4, 10], ["5", "Normalization", 5, 10]]),
+  },
+];
+
+// Sample exam experiences that used to be hardcoded on the feedback page; seeded as already approved
+const feedbacks = [
+  { studentName: "Arjun K.", university: "Kerala University", department: "Computer Science", subject: "Data Structures", semester: 4, examDate: "May 2024", difficulty: "moderate", rating: 4, preparationTime: "6 weeks", importantTopics: ["Trees", "Graphs", "Sorting Algorithms", "Dynamic Programming"], examPattern: "3 sections: MCQs (20 marks), Short answers (40 marks), Long problems (40 marks)", tips: "Focus heavily on tree traversals and graph algorithms. Practice coding problems daily. Previous year papers are very helpful.", timeManagement: "Spent 40% time on basics, 60% on problem solving", resources: ["Textbook", "GeeksforGeeks", "Previous Papers", "YouTube tutorials"] },
+  { studentName: "Priya S.", university: "Calicut University", department: "Electronics", subject: "Digital Signal Processing", semester: 6, examDate: "April 2024", difficulty: "hard", rating: 3, preparationTime: "8 weeks", importantTopics: ["Z-Transform", "DFT & FFT", "FIR Filters", "IIR Filters"], examPattern: "2 sections: Theory (60 marks), Numerical problems (40 marks)", tips: "Mathematical derivations are crucial. Practice numerical problems extensively. Understanding concepts is more important than memorizing.", timeManagement: "70% theory, 30% numericals", resources: ["Reference books", "MATLAB practice", "Online courses"] },
+  { studentName: "Mohammed R.", university: "Cochin University", department: "Mechanical", subject: "Thermodynamics", semester: 3, examDate: "June 2024", difficulty: "easy", rating: 5, preparationTime: "4 weeks", importantTopics: ["Laws of Thermodynamics", "Steam Tables", "Heat Engines", "Refrigeration"], examPattern: "Mixed: 5 short questions (50 marks), 3 long problems (50 marks)", tips: "Memorize steam table values. Practice problem-solving daily. Understand the physical concepts behind formulas.", timeManagement: "Equal time for theory and numericals", resources: ["Class notes", "Standard textbooks", "Problem banks"] },
+  { studentName: "Sneha M.", university: "Kerala University", department: "Mathematics", subject: "Real Analysis", semester: 5, examDate: "May 2024", difficulty: "hard", rating: 4, preparationTime: "10 weeks", importantTopics: ["Sequences & Series", "Continuity", "Differentiability", "Riemann Integration"], examPattern: "Proof-based: 6 questions, attempt any 4 (25 marks each)", tips: "Focus on understanding proofs rather than memorizing. Practice writing clear, logical arguments. Work through examples step by step.", timeManagement: "80% proof understanding, 20% problem practice", resources: ["Standard textbooks", "Proof writing guides", "Study groups"] },
+  { studentName: "Rahul T.", university: "Calicut University", department: "Physics", subject: "Quantum Mechanics", semester: 6, examDate: "April 2024", difficulty: "moderate", rating: 4, preparationTime: "7 weeks", importantTopics: ["Schrödinger Equation", "Wave Functions", "Operators", "Angular Momentum"], examPattern: "Theory + Derivations: 4 long questions (25 marks each)", tips: "Master the mathematical formalism. Practice derivations multiple times. Understand physical interpretations of mathematical results.", timeManagement: "60% derivations, 40% conceptual understanding", resources: ["Griffiths textbook", "Video lectures", "Problem sets"] },
+  { studentName: "Aisha K.", university: "Cochin University", department: "Chemical", subject: "Process Control", semester: 7, examDate: "March 2024", difficulty: "moderate", rating: 5, preparationTime: "5 weeks", importantTopics: ["PID Controllers", "Stability Analysis", "Root Locus", "Frequency Response"], examPattern: "Numerical heavy: 3 sections with increasing difficulty", tips: "MATLAB simulations helped a lot. Practice controller design problems. Understand stability criteria thoroughly.", timeManagement: "50% theory, 50% MATLAB practice", resources: ["Course materials", "MATLAB", "Industrial case studies"] },
+].map((feedback) => ({ ...feedback, status: 'approved' }));
+
+const seed = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  await Note.deleteMany({});
+  await Note.insertMany(notes);
+  console.log(`✅ Seeded ${notes.length} notes`);
+
+  await Syllabus.deleteMany({});
+  await Syllabus.insertMany(syllabi);
+  console.log(`✅ Seeded ${syllabi.length} syllabi`);
+
+  await PYQ.deleteMany({});
+  await PYQ.insertMany(pyqs);
+  console.log(`✅ Seeded ${pyqs.length} PYQs`);
+
+  await Feedback.deleteMany({ user: null, studentName: { $in: feedbacks.map((f) => f.studentName) } });
+  await Feedback.insertMany(feedbacks);
+  console.log(`✅ Seeded ${feedbacks.length} feedback entries`);
+};
+
+seed()
+  .catch((err) => {
+    console.error('❌ Seeding failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
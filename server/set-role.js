@@ -0,0 +1,27 @@
+// Grants a role to an existing account, e.g. to create the first admin.
+// Usage: npm run set-role -- <email> <student|contributor|moderator|admin>
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const User = require('./models/User');
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+
+const setRole = async () => {
+  if (!email || !User.ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <email> <${User.ROLES.join('|')}>`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+  if (!user) throw new Error(`No account found for ${email}`);
+  console.log(`✅ ${user.email} is now ${user.role}`);
+};
+
+setRole()
+  .catch((err) => {
+    console.error('❌ Could not set role:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
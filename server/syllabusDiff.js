@@ -0,0 +1,111 @@
+// What changed between two structured syllabi, subject by subject, for GET /api/syllabi/compare
+
+const toComparable = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// "Unit 3: Trees" and "Unit 4 - Trees" are the same unit renumbered
+const toUnitKey = (title) => toComparable(title.replace(/^\s*(unit|module|chapter)\s*[0-9ivx]+\s*[:.\-–]?\s*/i, '')) || toComparable(title);
+
+// Pairs each `from` subject with its `to` counterpart, by code when both have one, then by name
+const pairSubjects = (fromSubjects, toSubjects) => {
+  const pairs = new Map();
+  const taken = new Set();
+  const claim = (isMatch) => fromSubjects.forEach((subject, fromIndex) => {
+    if (pairs.has(fromIndex)) return;
+    const toIndex = toSubjects.findIndex((candidate, index) => !taken.has(index) && isMatch(subject, candidate));
+    if (toIndex === -1) return;
+    pairs.set(fromIndex, toIndex);
+    taken.add(toIndex);
+  });
+  claim((a, b) => a.code && b.code && a.code === b.code);
+  claim((a, b) => toComparable(a.name) === toComparable(b.name));
+  return pairs;
+};
+
+// Maps each `from` unit index to its `to` unit by title, falling back to position for renamed units
+const pairUnits = (fromUnits, toUnits) => {
+  const pairs = new Map();
+  const taken = new Set();
+  fromUnits.forEach((unit, fromIndex) => {
+    const toIndex = toUnits.findIndex((candidate, index) => !taken.has(index) && toUnitKey(candidate.title) === toUnitKey(unit.title));
+    if (toIndex === -1) return;
+    pairs.set(fromIndex, toIndex);
+    taken.add(toIndex);
+  });
+  fromUnits.forEach((unit, fromIndex) => {
+    if (!pairs.has(fromIndex) && fromIndex < toUnits.length && !taken.has(fromIndex)) {
+      pairs.set(fromIndex, fromIndex);
+      taken.add(fromIndex);
+    }
+  });
+  return pairs;
+};
+
+// Every topic in a subject keyed by its comparable title, with the unit it sits in
+const indexTopics = (subject) => {
+  const topics = new Map();
+  subject.units.forEach((unit, unitIndex) => unit.topics.forEach((topic) => {
+    const key = toComparable(topic.title);
+    if (!topics.has(key)) topics.set(key, { title: topic.title, unit: unit.title, unitIndex });
+  }));
+  return topics;
+};
+
+const toLtp = ({ hours = {} }) => `${hours.lecture || 0}-${hours.tutorial || 0}-${hours.practical || 0}`;
+
+const diffSubject = (from, to) => {
+  const fromTopics = indexTopics(from);
+  const toTopics = indexTopics(to);
+  const units = pairUnits(from.units, to.units);
+  const diff = { added: [], removed: [], moved: [], unchanged: 0 };
+
+  toTopics.forEach((topic, key) => {
+    const before = fromTopics.get(key);
+    if (!before) diff.added.push({ title: topic.title, unit: topic.unit });
+    else if (units.get(before.unitIndex) !== topic.unitIndex) diff.moved.push({ title: topic.title, from: before.unit, to: topic.unit });
+    else diff.unchanged += 1;
+  });
+  fromTopics.forEach((topic, key) => {
+    if (!toTopics.has(key)) diff.removed.push({ title: topic.title, unit: topic.unit });
+  });
+
+  diff.changes = [
+    ['Code', from.code, to.code],
+    ['Name', from.name, to.name],
+    ['Credits', from.credits, to.credits],
+    ['L-T-P', toLtp(from), toLtp(to)]
+  ]
+    .filter(([, before, after]) => (before ?? null) !== (after ?? null))
+    .map(([field, before, after]) => ({ field, from: before ?? null, to: after ?? null }));
+  return diff;
+};
+
+const allTopics = (subject) => subject.units.flatMap((unit) => unit.topics.map((topic) => ({ title: topic.title, unit: unit.title })));
+
+// Subjects in `to` order, followed by those `to` dropped; `totals` counts topics across all of them
+const diffSyllabi = (from, to) => {
+  const pairs = pairSubjects(from.subjects, to.subjects);
+  const fromIndexOf = new Map([...pairs].map(([fromIndex, toIndex]) => [toIndex, fromIndex]));
+
+  const subjects = to.subjects.map((subject, toIndex) => {
+    if (!fromIndexOf.has(toIndex)) {
+      return { status: 'added', code: subject.code, name: subject.name, added: allTopics(subject), removed: [], moved: [], unchanged: 0, changes: [] };
+    }
+    return { status: 'matched', code: subject.code, name: subject.name, ...diffSubject(from.subjects[fromIndexOf.get(toIndex)], subject) };
+  });
+  from.subjects.forEach((subject, fromIndex) => {
+    if (!pairs.has(fromIndex)) {
+      subjects.push({ status: 'removed', code: subject.code, name: subject.name, added: [], removed: allTopics(subject), moved: [], unchanged: 0, changes: [] });
+    }
+  });
+
+  const totals = subjects.reduce((sum, subject) => ({
+    added: sum.added + subject.added.length,
+    removed: sum.removed + subject.removed.length,
+    moved: sum.moved + subject.moved.length,
+    unchanged: sum.unchanged + subject.unchanged
+  }), { added: 0, removed: 0, moved: 0, unchanged: 0 });
+
+  return { subjects, totals };
+};
+
+module.exports = { toUnitKey, pairSubjects, pairUnits, diffSyllabi };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toUnitKey, pairSubjects, pairUnits, diffSyllabi } = require('./syllabusDiff');
+
+const unit = (title, ...topics) => ({ title, topics: topics.map((topicTitle) => ({ title: topicTitle })) });
+
+test('toUnitKey ignores unit numbering and punctuation', () => {
+  assert.equal(toUnitKey('Unit 3: Trees'), 'trees');
+  assert.equal(toUnitKey('UNIT IV - Trees'), 'trees');
+  assert.equal(toUnitKey('Module 2. Graph Algorithms'), 'graph algorithms');
+  // A title that is only a number is kept rather than reduced to nothing
+  assert.equal(toUnitKey('Unit 5'), 'unit 5');
+});
+
+test('pairSubjects matches by code before name', () => {
+  const from = [{ code: 'CS201', name: 'Data Structures' }, { name: 'Discrete Maths' }];
+  const to = [{ name: 'Discrete Mathematics' }, { name: 'discrete maths' }, { code: 'CS201', name: 'Data Structures and Algorithms' }];
+  assert.deepEqual([...pairSubjects(from, to)], [[0, 2], [1, 1]]);
+});
+
+test('pairSubjects pairs each target subject at most once', () => {
+  const from = [{ name: 'Physics' }, { name: 'physics' }];
+  const to = [{ name: 'Physics' }];
+  assert.deepEqual([...pairSubjects(from, to)], [[0, 0]]);
+});
+
+test('pairUnits matches renumbered units by title and falls back to position', () => {
+  const from = [unit('Unit 1: Arrays'), unit('Unit 2: Trees'), unit('Unit 3: Hashing')];
+  const to = [unit('Unit 1: Trees'), unit('Unit 2: Linear structures'), unit('Unit 3: Hashing')];
+  // Trees and Hashing match by title; Arrays keeps no partner because its old position now holds Trees
+  assert.deepEqual([...pairUnits(from, to)].sort(), [[1, 0], [2, 2]]);
+
+  const renamed = [unit('Unit 1: Arrays'), unit('Unit 2: Trees')];
+  assert.deepEqual([...pairUnits(renamed, [unit('Unit 1: Linear structures'), unit('Unit 2: Trees')])].sort(), [[0, 0], [1, 1]]);
+});
+
+test('pairUnits leaves a unit unpaired when its position is taken', () => {
+  const from = [unit('Unit 1: Sorting'), unit('Unit 2: Searching')];
+  const to = [unit('Unit 1: Searching')];
+  assert.deepEqual([...pairUnits(from, to)], [[1, 0]]);
+});
+
+test('diffSyllabi reports added, removed, moved and unchanged topics', () => {
+  const from = {
+    subjects: [{
+      code: 'CS201',
+      name: 'Data Structures',
+      credits: 4,
+      hours: { lecture: 3, tutorial: 1 },
+      units: [unit('Unit 1: Linear', 'Arrays', 'Linked Lists', 'Stacks'), unit('Unit 2: Trees', 'Binary Trees', 'AVL Trees')]
+    }]
+  };
+  const to = {
+    subjects: [{
+      code: 'CS201',
+      name: 'Data Structures',
+      credits: 3,
+      hours: { lecture: 3, tutorial: 1 },
+      units: [unit('Unit 1: Linear', 'Arrays', 'linked lists'), unit('Unit 2: Trees', 'Binary trees', 'Stacks', 'Heaps')]
+    }]
+  };
+
+  const { subjects, totals } = diffSyllabi(from, to);
+  assert.equal(subjects.length, 1);
+  const [subject] = subjects;
+  assert.equal(subject.status, 'matched');
+  assert.deepEqual(subject.added, [{ title: 'Heaps', unit: 'Unit 2: Trees' }]);
+  assert.deepEqual(subject.removed, [{ title: 'AVL Trees', unit: 'Unit 2: Trees' }]);
+  assert.deepEqual(subject.moved, [{ title: 'Stacks', from: 'Unit 1: Linear', to: 'Unit 2: Trees' }]);
+  assert.equal(subject.unchanged, 3);
+  assert.deepEqual(subject.changes, [{ field: 'Credits', from: 4, to: 3 }]);
+  assert.deepEqual(totals, { added: 1, removed: 1, moved: 1, unchanged: 3 });
+});
+
+test('diffSyllabi does not count topics in a renumbered unit as moved', () => {
+  const from = { subjects: [{ name: 'DS', units: [unit('Unit 1: Intro', 'Complexity'), unit('Unit 2: Trees', 'BST')] }] };
+  const to = { subjects: [{ name: 'DS', units: [unit('Unit 1: Trees', 'BST'), unit('Unit 2: Intro', 'Complexity')] }] };
+  const [subject] = diffSyllabi(from, to).subjects;
+  assert.deepEqual(subject.moved, []);
+  assert.equal(subject.unchanged, 2);
+});
+
+test('diffSyllabi lists new subjects in order and dropped subjects last', () => {
+  const from = { subjects: [{ name: 'Old Subject', units: [unit('Unit 1', 'A')] }, { name: 'Kept', units: [] }] };
+  const to = { subjects: [{ name: 'New Subject', code: 'NS1', units: [unit('Unit 1', 'B', 'C')] }, { name: 'Kept', units: [] }] };
+
+  const { subjects, totals } = diffSyllabi(from, to);
+  assert.deepEqual(subjects.map(({ status, name }) => [status, name]), [
+    ['added', 'New Subject'],
+    ['matched', 'Kept'],
+    ['removed', 'Old Subject']
+  ]);
+  assert.deepEqual(subjects[0].added.map((topic) => topic.title), ['B', 'C']);
+  assert.deepEqual(subjects[2].removed, [{ title: 'A', unit: 'Unit 1' }]);
+  assert.deepEqual(totals, { added: 2, removed: 1, moved: 0, unchanged: 0 });
+});
+
+test('diffSyllabi reports code, name and L-T-P changes on a matched subject', () => {
+  const from = { subjects: [{ code: 'MA101', name: 'Maths I', hours: { lecture: 3 }, units: [] }] };
+  const to = { subjects: [{ code: 'MA101', name: 'Engineering Maths I', hours: { lecture: 3, tutorial: 1 }, units: [] }] };
+  assert.deepEqual(diffSyllabi(from, to).subjects[0].changes, [
+    { field: 'Name', from: 'Maths I', to: 'Engineering Maths I' },
+    { field: 'L-T-P', from: '3-0-0', to: '3-1-0' }
+  ]);
+});